@@ -0,0 +1,121 @@
+/**
+ * Pre-upload validation of parsed ad copy (see extractAdMetaFromCard), against a network profile
+ * (network-profiles.js; Facebook when none is given).
+ *
+ *  - Length: over `recommended` → warning (the network truncates in feed), over `max` → blocking error.
+ *    ADPILER_COPY_STRICT=true makes the recommended lengths blocking too.
+ *  - Required: fields the network needs (e.g. LinkedIn Headline) are blocking when empty.
+ *  - CTA: free text is mapped onto the network's call_to_action vocabulary (exact, alias, then fuzzy match).
+ *  - URL: must be an absolute http(s) URL with a real hostname.
+ *  - Per-slide carousel copy (meta.slides) gets the same checks, reported as "Slide 2: …" / "file.jpg: …".
+ *
+ * validateAdMeta(meta, { profile }) → { meta (CTA canonicalized), errors: [{ field, reason }], warnings: [{ field, reason }] }
+ */
+
+const { URL } = require('url');
+const { PROFILES, META_CTAS, META_LIMITS } = require('./network-profiles');
+
+const { ADPILER_COPY_STRICT = 'false' } = process.env;
+
+const COPY_LIMITS = META_LIMITS;
+const CTA_VALUES = META_CTAS;
+
+// common producer phrasings that aren't close enough for the fuzzy match (Meta vocabulary;
+// other networks use an alias only when its target is in their list)
+const CTA_ALIASES = {
+  readmore: 'Learn More', moreinfo: 'Learn More', findoutmore: 'Learn More', discovermore: 'Learn More',
+  buynow: 'Shop Now', shop: 'Shop Now', purchase: 'Shop Now',
+  register: 'Sign Up', registernow: 'Sign Up', joinnow: 'Sign Up', signupnow: 'Sign Up',
+  book: 'Book Now', reserve: 'Book Now', schedule: 'Book Now',
+  apply: 'Apply Now', contact: 'Contact Us', callus: 'Call Now', donate: 'Donate Now',
+  watch: 'Watch More', watchnow: 'Watch More', install: 'Install Now', getdirections: 'Get Directions',
+  directions: 'Get Directions', quote: 'Get Quote', order: 'Order Now', none: 'No Button'
+};
+
+const squash = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/** Map free-text CTA onto `values` (default CTA_VALUES). Returns { value, exact } or null when nothing is close. */
+function matchCta(input, values = CTA_VALUES) {
+  const key = squash(input);
+  if (!key) return null;
+  const exact = values.find(v => squash(v) === key);
+  if (exact) return { value: exact, exact: true };
+  if (CTA_ALIASES[key] && values.includes(CTA_ALIASES[key])) return { value: CTA_ALIASES[key], exact: false };
+
+  let best = null;
+  for (const v of values) {
+    const d = levenshtein(key, squash(v));
+    if (!best || d < best.d) best = { v, d };
+  }
+  if (best && best.d <= Math.max(1, Math.floor(squash(best.v).length / 4))) return { value: best.v, exact: false };
+  return null;
+}
+
+// checks the copy fields present on `meta`, writing canonical values into `out`
+function checkCopy(meta, out, { errors, warnings, strict, profile, prefix = '' }) {
+  for (const [field, lim] of Object.entries(profile.limits)) {
+    const len = [...String(meta[field] || '')].length;
+    if (len > lim.max) errors.push({ field, reason: `${prefix}${lim.label} is ${len} characters (max ${lim.max} on ${profile.label}).` });
+    else if (len > lim.recommended) {
+      const issue = { field, reason: `${prefix}${lim.label} is ${len} characters; ${profile.label} truncates after ${lim.recommended}.` };
+      (strict ? errors : warnings).push(issue);
+    }
+  }
+
+  if (meta.cta && profile.ctas) {
+    const m = matchCta(meta.cta, profile.ctas);
+    if (!m) errors.push({ field: 'cta', reason: `${prefix}CTA "${meta.cta}" is not a ${profile.label} call to action (allowed: ${profile.ctas.join(', ')}).` });
+    else {
+      if (!m.exact || m.value !== meta.cta) warnings.push({ field: 'cta', reason: `${prefix}CTA "${meta.cta}" mapped to "${m.value}".` });
+      out.cta = m.value;
+    }
+  }
+
+  if (meta.url) {
+    let u = null;
+    try { u = new URL(meta.url); } catch {}
+    if (!u || !/^https?:$/.test(u.protocol)) errors.push({ field: 'url', reason: `${prefix}Landing Page URL "${meta.url}" is not an absolute http(s) URL.` });
+    else if (/\s/.test(meta.url) || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(u.hostname)) errors.push({ field: 'url', reason: `${prefix}Landing Page URL "${meta.url}" has an invalid hostname.` });
+  }
+}
+
+function validateAdMeta(meta = {}, { profile = PROFILES.facebook } = {}) {
+  const strict = String(ADPILER_COPY_STRICT).toLowerCase() === 'true';
+  const errors = [];
+  const warnings = [];
+  const out = { ...meta };
+
+  checkCopy(meta, out, { errors, warnings, strict, profile });
+  if (!meta.url) warnings.push({ field: 'url', reason: 'No Landing Page URL found.' });
+  for (const field of profile.required || []) {
+    if (!meta[field]) errors.push({ field, reason: `${profile.limits[field]?.label || field} is required for ${profile.label} ads.` });
+  }
+
+  if (meta.slides) {
+    out.slides = { byIndex: {}, byFile: {} };
+    for (const [kind, prefixFor] of [['byIndex', k => `Slide ${k}: `], ['byFile', k => `${k}: `]]) {
+      for (const [key, slide] of Object.entries(meta.slides[kind] || {})) {
+        out.slides[kind][key] = { ...slide };
+        checkCopy(slide, out.slides[kind][key], { errors, warnings, strict, profile, prefix: prefixFor(key) });
+      }
+    }
+  }
+
+  return { meta: out, errors, warnings };
+}
+
+module.exports = { validateAdMeta, matchCta, CTA_VALUES, COPY_LIMITS };
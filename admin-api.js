@@ -0,0 +1,183 @@
+/**
+ * Admin HTTP API for upload jobs (mounted at /admin by server.js).
+ *
+ * Auth: ADMIN_TOKEN as "Authorization: Bearer <token>" (or x-admin-token). Without ADMIN_TOKEN
+ * every route answers 503 so the API is never open by accident.
+ *
+ *  GET  /admin/jobs                 recent jobs (?status=&cardId=&limit=50; limit=0 returns all)
+ *  GET  /admin/jobs/:id             one job with its full log (parsed JSON log lines, see logger.js)
+ *  GET  /admin/jobs/:id/log         the job's raw log file (application/x-ndjson)
+ *  POST /admin/jobs                 run a card now: { cardId, mode?, dryRun?, force? } (skips the cooldown)
+ *  POST /admin/jobs/:id/retry       re-run a job's card: { mode?, dryRun?, force? } override the original options
+ *  POST /admin/jobs/:id/cancel      cancel a queued job
+ *  POST /admin/batches              queue every card of a list: { boardId, list | listId, labels?, dueBefore?, dueAfter?,
+ *                                   name? (regex), mode?, dryRun?, force? } → { batchId, cards, jobs } (see batch-upload.js)
+ *  GET  /admin/batches/:id          batch report: card → ad id → preview URL → error (?format=csv for CSV)
+ *  GET  /admin/webhooks             last Trello webhook health report (?refresh=1 checks now, without repairing)
+ *  POST /admin/webhooks/ensure      create / repair the configured boards' webhooks now (see trello-webhooks.js)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { readBatchRequest, findBatchCards, batchReport, toCsv } = require('./batch-upload');
+const webhooks = require('./trello-webhooks');
+const { log } = require('./logger');
+
+const MODES = new Set(['display', 'post', 'post-carousel']);
+
+function summarize(job) {
+  return {
+    id: job.id,
+    cardId: job.cardId,
+    status: job.status,
+    source: job.source || '',
+    mode: job.result?.mode || job.mode || '',
+    campaignId: job.result?.campaignId || '',
+    outcome: job.result?.outcome || '',
+    error: job.error || '',
+    attempts: job.attempts || 0,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || ''
+  };
+}
+
+function requireAdmin(token) {
+  const want = Buffer.from(String(token || ''));
+  return (req, res, next) => {
+    if (!want.length) return res.status(503).json({ error: 'Admin API disabled (set ADMIN_TOKEN)' });
+    const auth = req.get('authorization') || '';
+    const got = Buffer.from(auth.startsWith('Bearer ') ? auth.slice(7).trim() : (req.get('x-admin-token') || ''));
+    if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) {
+      log.warn(`🚫 Admin API: rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+// true/false or "true"/"false"; anything else is undefined (bad input)
+function readFlag(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+// body → job options; returns { error } on bad input
+function readRunOptions(body = {}, base = {}) {
+  const opts = { mode: base.mode || '', dryRun: !!base.dryRun, force: !!base.force };
+  if (body.mode !== undefined) {
+    const mode = String(body.mode || '').toLowerCase().trim();
+    if (mode && !MODES.has(mode)) return { error: `mode must be one of ${[...MODES].join(', ')}` };
+    opts.mode = mode;
+  }
+  for (const flag of ['dryRun', 'force']) {
+    if (body[flag] === undefined) continue;
+    opts[flag] = readFlag(body[flag]);
+    if (opts[flag] === undefined) return { error: `${flag} must be true or false` };
+  }
+  return { opts };
+}
+
+// logs written before structured logging are plain text lines; keep those as strings
+function parseLogLine(line) {
+  try { return JSON.parse(line); } catch { return line; }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.jobStore      job-store.js
+ * @param {Function} deps.enqueueCardJob (cardId, extra) → job
+ * @param {string} deps.adminToken
+ */
+function createAdminRouter({ jobStore, enqueueCardJob, adminToken }) {
+  const router = express.Router();
+  router.use(requireAdmin(adminToken));
+
+  router.get('/jobs', (req, res) => {
+    const n = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(n) || n < 0 ? 50 : Math.min(500, n); // 0 = all (job-store recentJobs)
+    const jobs = jobStore.recentJobs({ status: req.query.status, cardId: req.query.cardId, limit });
+    res.json({ jobs: jobs.map(summarize) });
+  });
+
+  router.get('/jobs/:id', (req, res) => {
+    const job = jobStore.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job, log: jobStore.readLog(job.id).split('\n').filter(Boolean).map(parseLogLine) });
+  });
+
+  router.get('/jobs/:id/log', (req, res) => {
+    const job = jobStore.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.type('application/x-ndjson').send(jobStore.readLog(job.id));
+  });
+
+  router.post('/jobs', (req, res) => {
+    const cardId = String(req.body?.cardId || '').trim();
+    if (!cardId) return res.status(400).json({ error: 'cardId is required' });
+    const { opts, error } = readRunOptions(req.body);
+    if (error) return res.status(400).json({ error });
+    const job = enqueueCardJob(cardId, { source: 'admin', ...opts });
+    res.status(202).json({ job: summarize(job) });
+  });
+
+  router.post('/jobs/:id/retry', (req, res) => {
+    const prev = jobStore.getJob(req.params.id);
+    if (!prev) return res.status(404).json({ error: 'Job not found' });
+    const { opts, error } = readRunOptions(req.body, prev);
+    if (error) return res.status(400).json({ error });
+    const job = enqueueCardJob(prev.cardId, { source: 'admin-retry', retryOf: prev.id, ...opts });
+    res.status(202).json({ job: summarize(job) });
+  });
+
+  router.post('/jobs/:id/cancel', (req, res) => {
+    const r = jobStore.cancelJob(req.params.id);
+    if (!r.ok && r.reason === 'not found') return res.status(404).json({ error: 'Job not found' });
+    if (!r.ok) return res.status(409).json({ error: `Only queued jobs can be cancelled (${r.reason})` });
+    log.info(`🛑 Job ${r.job.id} (card ${r.job.cardId}) cancelled via admin API`);
+    res.json({ job: summarize(r.job) });
+  });
+
+  router.post('/batches', async (req, res) => {
+    const { source, filters, error } = readBatchRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    const run = readRunOptions(req.body);
+    if (run.error) return res.status(400).json({ error: run.error });
+    let cards;
+    try { cards = await findBatchCards(source, filters); }
+    catch (e) { return res.status(502).json({ error: e.message }); }
+    if (!cards.length) return res.json({ batchId: '', cards: [], jobs: [] });
+
+    const batchId = crypto.randomUUID();
+    const jobs = cards.map(c => enqueueCardJob(c.id, { source: 'batch', batchId, cardName: c.name, ...run.opts }));
+    log.info(`📦 Batch ${batchId}: queued ${jobs.length} card(s) via admin API${run.opts.dryRun ? ' (dry run)' : ''}`);
+    res.status(202).json({ batchId, cards, jobs: jobs.map(summarize) });
+  });
+
+  router.get('/batches/:id', (req, res) => {
+    const jobs = jobStore.listJobs({ batchId: req.params.id });
+    if (!jobs.length) return res.status(404).json({ error: 'Batch not found' });
+    const report = batchReport(req.params.id, jobs);
+    if (String(req.query.format || '').toLowerCase() === 'csv') return res.type('text/csv').send(toCsv(report.rows));
+    res.json(report);
+  });
+
+  router.get('/webhooks', async (req, res) => {
+    const cached = webhooks.getLastReport();
+    if (cached && !req.query.refresh) return res.json(cached);
+    try { res.json(await webhooks.ensureWebhooks({ repair: false })); }
+    catch (e) { res.status(502).json({ error: e.message }); }
+  });
+
+  router.post('/webhooks/ensure', async (_req, res) => {
+    try {
+      const report = await webhooks.ensureWebhooks({ repair: true });
+      log.info(`🪝 Webhooks ensured via admin API: ${report.webhooks.map(w => `${w.board} ${w.status}`).join(', ') || 'no boards configured'}`);
+      res.json(report);
+    } catch (e) { res.status(502).json({ error: e.message }); }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,97 @@
+/**
+ * Per-job attachment cache.
+ *
+ * Each attachment is fetched once, streamed to a temp file and hashed on the way through, so the pre-scan
+ * (display sizes, squares, videos, fallback pick) and the upload share one download and no attachment is
+ * ever held in memory whole. Entries: { id, path, filename, mimeType, bytes, sha1 }.
+ *
+ * Readers take only what they need — image-size on the path (header bytes), inspectVideoFile (atom headers +
+ * moov) — and uploads stream the file (fileStream). The job's directory lives under ATTACHMENT_CACHE_DIR
+ * (default: the OS temp dir); cleanup() removes it, sweepStale() removes what a crashed process left behind.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { promisify } = require('util');
+
+const { ATTACHMENT_CACHE_DIR = os.tmpdir() } = process.env;
+
+const PREFIX = 'adpiler-attachments-';
+const pump = promisify(pipeline);
+const safeName = (s) => String(s || '').replace(/[/\\:\0]/g, '_').replace(/^\.+/, '_').slice(0, 180) || 'file';
+
+/**
+ * @param {Function} open  (attachment) → Promise<{ body: Readable, filename?, mimeType? }>
+ * @param {object} [opts]
+ * @param {string} [opts.label]  part of the temp directory name (card id)
+ */
+function createAttachmentCache(open, { label = '' } = {}) {
+  let dir = null;
+  const entries = new Map(); // attachment id → Promise<entry>
+
+  async function download(att) {
+    if (!dir) {
+      fs.mkdirSync(ATTACHMENT_CACHE_DIR, { recursive: true });
+      dir = fs.mkdtempSync(path.join(ATTACHMENT_CACHE_DIR, `${PREFIX}${safeName(label)}-`));
+    }
+    const { body, filename, mimeType } = await open(att);
+    const name = filename || att.name || `asset-${att.id}`;
+    const sub = path.join(dir, safeName(att.id));
+    fs.mkdirSync(sub, { recursive: true });
+    const file = path.join(sub, safeName(name));
+    const hash = crypto.createHash('sha1');
+    let bytes = 0;
+    const tap = new Transform({
+      transform(chunk, _enc, cb) { hash.update(chunk); bytes += chunk.length; cb(null, chunk); }
+    });
+    await pump(body, tap, fs.createWriteStream(file));
+    return { id: att.id, path: file, filename: name, mimeType: mimeType || att.mimeType || '', bytes, sha1: hash.digest('hex') };
+  }
+
+  return {
+    /** Cached entry for an attachment; concurrent callers share one download, a failed one is retried next time. */
+    get(att) {
+      const key = String(att.id);
+      if (!entries.has(key)) {
+        const pending = download(att);
+        entries.set(key, pending);
+        pending.catch(() => entries.delete(key));
+      }
+      return entries.get(key);
+    },
+    cleanup() {
+      if (dir) {
+        try { fs.rmSync(dir, { recursive: true, force: true }); } catch { /* temp dir; the next sweep gets it */ }
+      }
+      dir = null;
+      entries.clear();
+    }
+  };
+}
+
+/** Read stream for a cached entry, with the options form-data needs to send a Content-Length. */
+function fileStream(entry) {
+  return [fs.createReadStream(entry.path), { filename: entry.filename, knownLength: entry.bytes, contentType: entry.mimeType || undefined }];
+}
+
+/** Remove cache directories older than maxAgeMs (left by a crash or a killed job). Returns how many went. */
+function sweepStale(maxAgeMs = 6 * 60 * 60 * 1000) {
+  let removed = 0;
+  let names = [];
+  try { names = fs.readdirSync(ATTACHMENT_CACHE_DIR); } catch { return 0; }
+  for (const name of names) {
+    if (!name.startsWith(PREFIX)) continue;
+    const dir = path.join(ATTACHMENT_CACHE_DIR, name);
+    try {
+      if (Date.now() - fs.statSync(dir).mtimeMs < maxAgeMs) continue;
+      fs.rmSync(dir, { recursive: true, force: true });
+      removed++;
+    } catch { /* raced with another cleanup */ }
+  }
+  return removed;
+}
+
+module.exports = { createAttachmentCache, fileStream, sweepStale };
@@ -0,0 +1,172 @@
+/**
+ * Batch uploads: every card in a Trello list through the normal job queue.
+ *
+ * findBatchCards({ boardId, list } | { listId }, filters) lists the list's open cards and keeps those matching all filters:
+ *  - labels:    every named label must be on the card (case-insensitive)
+ *  - dueBefore / dueAfter: ISO dates; a card without a due date never matches a due filter
+ *  - name:      regular expression on the card name (case-insensitive)
+ * admin-api.js enqueues one job per card (POST /admin/batches, jobs tagged with batchId) and reports the batch
+ * (GET /admin/batches/:id) as rows card → ad id → preview URL → error, in JSON or CSV (batchReport / toCsv).
+ *
+ * CLI — drives a running server through the admin API, so batch jobs share its queue, rate limits and journal:
+ *   node batch-upload.js --board <id> --list "Ready For AdPiler" [--label Paid] [--due-before 2026-11-01]
+ *     [--due-after 2026-10-01] [--name "^Acme"] [--mode post] [--dry-run] [--force] [--format json|csv] [--out report.csv]
+ *   (--list-id <id> instead of --board/--list). ADMIN_URL (default http://localhost:$PORT) and ADMIN_TOKEN must be set.
+ */
+
+// the CLI is its own entry point, so it loads .env for ADMIN_URL / ADMIN_TOKEN / PORT
+if (require.main === module) require('dotenv').config();
+
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { trelloFetch } = require('./rate-limit');
+
+const normalize = (s) => (s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const ACTIVE = new Set(['queued', 'running']);
+
+// ---------- FILTERS ----------
+/** Request body / CLI flags → { source, filters } or { error }. */
+function readBatchRequest(body = {}) {
+  const source = {
+    boardId: String(body.boardId || '').trim(),
+    list: String(body.list || '').trim(),
+    listId: String(body.listId || '').trim()
+  };
+  if (!source.listId && !(source.boardId && source.list)) return { error: 'boardId and list (name or id), or listId, are required' };
+
+  const filters = { labels: [].concat(body.labels || []).map(String).map(s => s.trim()).filter(Boolean) };
+  for (const key of ['dueBefore', 'dueAfter']) {
+    if (!body[key]) continue;
+    const at = Date.parse(body[key]);
+    if (Number.isNaN(at)) return { error: `${key} must be a date (e.g. 2026-11-01)` };
+    filters[key] = at;
+  }
+  if (body.name) {
+    try { filters.name = new RegExp(String(body.name), 'i'); } catch (e) { return { error: `name is not a valid regular expression: ${e.message}` }; }
+  }
+  return { source, filters };
+}
+
+function matchesFilters(card, { labels = [], dueBefore, dueAfter, name } = {}) {
+  const cardLabels = new Set((card.labels || []).map(l => normalize(l.name)));
+  if (!labels.every(l => cardLabels.has(normalize(l)))) return false;
+  if (dueBefore || dueAfter) {
+    const due = card.due ? Date.parse(card.due) : NaN;
+    if (Number.isNaN(due)) return false;
+    if (dueBefore && due >= dueBefore) return false;
+    if (dueAfter && due < dueAfter) return false;
+  }
+  if (name && !name.test(card.name || '')) return false;
+  return true;
+}
+
+// ---------- TRELLO ----------
+async function resolveListId({ boardId, list, listId }) {
+  if (listId) return listId;
+  const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
+  const res = await trelloFetch(`https://api.trello.com/1/boards/${encodeURIComponent(boardId)}/lists?fields=name&${auth}`);
+  if (!res.ok) throw new Error(`Failed to fetch lists of board ${boardId} (${res.status})`);
+  const lists = await res.json();
+  const found = lists.find(l => l.id === list) || lists.find(l => normalize(l.name) === normalize(list));
+  if (!found) throw new Error(`List "${list}" not found on board ${boardId}`);
+  return found.id;
+}
+
+/** Open cards of the list that pass the filters: [{ id, name, due, labels }] (list order). */
+async function findBatchCards(source, filters = {}) {
+  const listId = await resolveListId(source);
+  const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
+  const res = await trelloFetch(`https://api.trello.com/1/lists/${encodeURIComponent(listId)}/cards?fields=name,due,labels,closed&${auth}`);
+  if (!res.ok) throw new Error(`Failed to fetch cards of list ${listId} (${res.status})`);
+  const cards = (await res.json()).filter(c => !c.closed && matchesFilters(c, filters));
+  return cards.map(c => ({ id: c.id, name: c.name, due: c.due || '', labels: (c.labels || []).map(l => l.name).filter(Boolean) }));
+}
+
+// ---------- REPORT ----------
+/** One row per ad (multi-ad cards give several), or one per card that failed / has not run yet. */
+function batchReport(batchId, jobs = []) {
+  const rows = [];
+  for (const job of jobs) {
+    const base = { cardId: job.cardId, cardName: job.cardName || '', status: job.status, mode: job.result?.mode || job.mode || '', outcome: job.result?.outcome || '' };
+    const r = job.result || {};
+    if (r.ads?.length) {
+      for (const ad of r.ads) rows.push({ ...base, group: ad.group || '', adId: ad.adId || '', previewUrl: ad.previewUrl || '', error: '' });
+      for (const f of r.errors || []) rows.push({ ...base, group: f.group || '', adId: '', previewUrl: '', error: f.error || '' });
+    } else {
+      const error = job.error || (r.errors || []).map(f => (f.group && f.group !== 'main' ? `${f.group}: ${f.error}` : f.error)).join('; ');
+      rows.push({ ...base, group: '', adId: r.adId || r.displayAdId || '', previewUrl: (r.previewUrls || []).join(' '), error });
+    }
+  }
+  const counts = {};
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+  return { batchId, done: jobs.every(j => !ACTIVE.has(j.status)), cards: jobs.length, counts, rows };
+}
+
+const CSV_COLUMNS = ['cardId', 'cardName', 'status', 'mode', 'outcome', 'group', 'adId', 'previewUrl', 'error'];
+
+function toCsv(rows = []) {
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [CSV_COLUMNS.join(','), ...rows.map(r => CSV_COLUMNS.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+// ---------- CLI ----------
+function parseArgs(argv) {
+  const args = { labels: [] };
+  const takes = { '--board': 'boardId', '--list': 'list', '--list-id': 'listId', '--due-before': 'dueBefore', '--due-after': 'dueAfter', '--name': 'name', '--mode': 'mode', '--format': 'format', '--out': 'out', '--wait-minutes': 'waitMinutes' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--label') args.labels.push(argv[++i]);
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--force') args.force = true;
+    else if (takes[a]) args[takes[a]] = argv[++i];
+    else throw new Error(`Unknown option ${a}`);
+  }
+  return args;
+}
+
+async function runCli(argv) {
+  const args = parseArgs(argv);
+  const { ADMIN_URL = `http://localhost:${process.env.PORT || 10000}`, ADMIN_TOKEN } = process.env;
+  if (!ADMIN_TOKEN) throw new Error('Set ADMIN_TOKEN (and ADMIN_URL if the server is not local)');
+  const format = (args.format || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) throw new Error('--format must be json or csv');
+
+  const admin = async (path, init = {}) => {
+    const res = await fetch(`${ADMIN_URL.replace(/\/+$/, '')}/admin${path}`, { ...init, headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'content-type': 'application/json', ...init.headers } });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`Admin API ${res.status} on ${path}: ${text}`);
+    return path.includes('format=csv') ? text : JSON.parse(text);
+  };
+
+  const { waitMinutes, out } = args;
+  const body = { boardId: args.boardId, list: args.list, listId: args.listId, labels: args.labels, dueBefore: args.dueBefore, dueAfter: args.dueAfter, name: args.name, mode: args.mode, dryRun: args.dryRun, force: args.force };
+  const started = await admin('/batches', { method: 'POST', body: JSON.stringify(body) });
+  if (!started.batchId) {
+    console.error('No cards matched; nothing queued.');
+    return;
+  }
+  console.error(`📦 Batch ${started.batchId}: ${started.cards.length} card(s) queued${args.dryRun ? ' (dry run)' : ''}.`);
+
+  const deadline = Date.now() + (parseFloat(waitMinutes) || 60) * 60 * 1000;
+  let report;
+  for (;;) {
+    report = await admin(`/batches/${started.batchId}`);
+    if (report.done || Date.now() > deadline) break;
+    console.error(`⏳ ${Object.entries(report.counts).map(([k, v]) => `${k}: ${v}`).join(', ')}`);
+    await new Promise(r => setTimeout(r, 5000));
+  }
+  if (!report.done) console.error('⌛ Gave up waiting; the report below is partial.');
+
+  const text = format === 'csv' ? await admin(`/batches/${started.batchId}?format=csv`) : `${JSON.stringify(report, null, 2)}\n`;
+  if (out) { fs.writeFileSync(out, text); console.error(`📝 Report written to ${out}`); } else process.stdout.write(text);
+  if (report.rows.some(r => r.error)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).catch(e => { console.error(`❌ ${e.message}`); process.exit(1); });
+}
+
+module.exports = { readBatchRequest, matchesFilters, findBatchCards, batchReport, toCsv };
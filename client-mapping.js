@@ -0,0 +1,208 @@
+/**
+ * Trello card → AdPiler client/campaign mapping, shared by the API and UI uploaders.
+ *
+ * Sources (first one set wins):
+ *  - CLIENT_MAPPING_FILE: local .json (array of rows) or .csv, path relative to this folder
+ *  - CLIENT_CSV_URL:      published CSV (Google Sheets → "Publish to web" → CSV)
+ * Rows are cached for CLIENT_MAPPING_TTL_MS (default 5 min); a failed refresh keeps serving the stale copy.
+ *
+ * Columns (CSV headers, or the same keys / camelCase keys in JSON):
+ *   "Trello Client Name", "Adpiler Client ID", "Adpiler Folder ID", "Adpiler Campaign ID",
+ *   "Adpiler Campaign Code", optional "Trello List Name" and "Trello Board Name",
+ *   optional "Page Name" (social page/handle) and per-network "<Network> Page Name" (e.g. "Instagram Page Name")
+ *
+ * Matching: exact client name beats the longest client name found as whole words in the card title.
+ * Rows with a list/board name only match cards in that list/board, and win ties over rows without one.
+ * No match → DEFAULT_CLIENT_ID / DEFAULT_PROJECT_ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const csv = require('csvtojson');
+const { log } = require('./logger');
+
+const {
+  CLIENT_CSV_URL,
+  CLIENT_MAPPING_FILE,
+  CLIENT_MAPPING_TTL_MS = '300000',
+  DEFAULT_CLIENT_ID = '',
+  DEFAULT_PROJECT_ID = ''
+} = process.env;
+
+const TTL_MS = Math.max(0, parseInt(CLIENT_MAPPING_TTL_MS, 10) || 0);
+const normalize = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let cache = null; // { rows, loadedAt }
+
+// ---------- LOADING ----------
+const COLUMNS = {
+  name:         ['Trello Client Name', 'trelloClientName'],
+  clientId:     ['Adpiler Client ID', 'adpilerClientId'],
+  folderId:     ['Adpiler Folder ID', 'adpilerFolderId'],
+  campaignId:   ['Adpiler Campaign ID', 'adpilerCampaignId'],
+  campaignCode: ['Adpiler Campaign Code', 'adpilerCampaignCode'],
+  listName:     ['Trello List Name', 'trelloListName'],
+  boardName:    ['Trello Board Name', 'trelloBoardName'],
+  pageName:     ['Page Name', 'pageName']
+};
+
+function toRow(raw, index) {
+  const row = { line: index + 2 }; // CSV line number (header is line 1)
+  for (const [key, names] of Object.entries(COLUMNS)) {
+    const hit = names.find(n => raw[n] !== undefined && raw[n] !== null);
+    row[key] = hit ? String(raw[hit]).trim() : '';
+  }
+  // "Instagram Page Name" → pageNames.instagram (JSON rows may also give a pageNames object)
+  row.pageNames = {};
+  for (const [col, value] of Object.entries(raw.pageNames && typeof raw.pageNames === 'object' ? raw.pageNames : {})) {
+    if (String(value || '').trim()) row.pageNames[normalize(col).replace(/[^a-z0-9]/g, '')] = String(value).trim();
+  }
+  for (const [col, value] of Object.entries(raw)) {
+    const m = col.match(/^(.+?)\s*Page Name$/i);
+    if (m && String(value || '').trim()) row.pageNames[normalize(m[1]).replace(/[^a-z0-9]/g, '')] = String(value).trim();
+  }
+  return row;
+}
+
+function mappingSource() {
+  if (CLIENT_MAPPING_FILE) return { kind: 'file', where: path.resolve(__dirname, CLIENT_MAPPING_FILE) };
+  if (CLIENT_CSV_URL) return { kind: 'url', where: CLIENT_CSV_URL };
+  return null;
+}
+
+async function fetchRows(src) {
+  if (src.kind === 'file') {
+    const text = fs.readFileSync(src.where, 'utf8');
+    const raw = /\.json$/i.test(src.where) ? JSON.parse(text) : await csv().fromString(text);
+    if (!Array.isArray(raw)) throw new Error(`${src.where} must contain an array of rows`);
+    return raw.map(toRow);
+  }
+  const res = await fetch(src.where);
+  if (!res.ok) throw new Error(`Mapping CSV fetch failed (${res.status})`);
+  return (await csv().fromString(await res.text())).map(toRow);
+}
+
+/** Mapping rows from the configured source, cached for CLIENT_MAPPING_TTL_MS. `null` when no source is set. */
+async function loadMappingRows({ refresh = false } = {}) {
+  const src = mappingSource();
+  if (!src) return null;
+  if (!refresh && cache && Date.now() - cache.loadedAt < TTL_MS) return cache.rows;
+  try {
+    const rows = await fetchRows(src);
+    cache = { rows, loadedAt: Date.now() };
+    return rows;
+  } catch (e) {
+    if (cache) {
+      log.warn(`Mapping refresh failed (${e.message}); using copy from ${new Date(cache.loadedAt).toISOString()}.`);
+      return cache.rows;
+    }
+    throw e;
+  }
+}
+
+function clearMappingCache() { cache = null; }
+
+// ---------- MATCHING ----------
+function nameScore(rowName, cardName) {
+  const n = normalize(rowName);
+  const c = normalize(cardName);
+  if (!n) return 0;
+  if (n === c) return Number.MAX_SAFE_INTEGER;
+  const rx = new RegExp(`(^|[^a-z0-9])${escapeRx(n)}($|[^a-z0-9])`);
+  return rx.test(c) ? n.length : 0;
+}
+
+function findMappingRow(rows, cardName, { listName = '', boardName = '' } = {}) {
+  const list = normalize(listName);
+  const board = normalize(boardName);
+  const scored = [];
+  for (const row of rows) {
+    const score = nameScore(row.name, cardName);
+    if (!score) continue;
+    if (row.listName && list && normalize(row.listName) !== list) continue;
+    if (row.boardName && board && normalize(row.boardName) !== board) continue;
+    const specificity = (row.listName && list ? 2 : 0) + (row.boardName && board ? 1 : 0);
+    scored.push({ row, score, specificity });
+  }
+  scored.sort((a, b) => (b.score - a.score) || (b.specificity - a.specificity) || (a.row.line - b.row.line));
+  const [best, next] = scored;
+  if (best && next && best.score === next.score && best.specificity === next.specificity) {
+    log.warn(`Ambiguous mapping for "${cardName}": rows ${best.row.line} and ${next.row.line} both match "${best.row.name}"; using row ${best.row.line}.`);
+  }
+  return best ? best.row : null;
+}
+
+function defaultMapping(source) {
+  const clientId = String(DEFAULT_CLIENT_ID || '').trim();
+  const campaignId = String(DEFAULT_PROJECT_ID || '').trim();
+  return { clientId, folderId: '', campaignId, projectId: campaignId, campaignCode: '', pageName: '', pageNames: {}, source };
+}
+
+/**
+ * Resolve a card to { clientId, folderId, campaignId, projectId, campaignCode, pageName, pageNames, source }.
+ * @param {string} cardName
+ * @param {{ listName?: string, boardName?: string }} [where] the card's list/board, for rows scoped to one
+ */
+async function getClientMapping(cardName, where = {}) {
+  const rows = await loadMappingRows();
+  if (!rows) {
+    if (DEFAULT_CLIENT_ID) return defaultMapping('defaults (no mapping source)');
+    throw new Error('CLIENT_CSV_URL / CLIENT_MAPPING_FILE not set and no DEFAULT_CLIENT_ID provided');
+  }
+
+  const row = findMappingRow(rows, cardName, where);
+  if (row && row.clientId) {
+    const campaignId = row.campaignId || String(DEFAULT_PROJECT_ID || '').trim();
+    return {
+      clientId: row.clientId,
+      folderId: row.folderId,
+      campaignId,
+      projectId: campaignId,
+      campaignCode: row.campaignCode,
+      pageName: row.pageName,
+      pageNames: { ...row.pageNames },
+      source: `mapping row ${row.line} "${row.name}"${row.listName ? ` / list "${row.listName}"` : ''}`
+    };
+  }
+
+  if (!DEFAULT_CLIENT_ID) throw new Error(`No client mapping found for card name "${cardName}"`);
+  if (row) return defaultMapping(`defaults (mapping row ${row.line} "${row.name}" has no client ID)`);
+  log.warn(`No mapping match for "${cardName}". Falling back to defaults.`);
+  return defaultMapping('defaults (no mapping match)');
+}
+
+// ---------- STARTUP CHECK ----------
+/**
+ * Flag rows that will map badly: missing IDs, duplicates, and names contained in other names.
+ * Returns { source, rows, problems: [{ level: 'error'|'warning', line, message }] }.
+ */
+async function checkMapping() {
+  const src = mappingSource();
+  if (!src) return { source: 'none', rows: 0, problems: DEFAULT_CLIENT_ID ? [] : [{ level: 'error', line: 0, message: 'No mapping source and no DEFAULT_CLIENT_ID' }] };
+
+  const rows = await loadMappingRows({ refresh: true });
+  const problems = [];
+  const seen = new Map();
+  for (const r of rows) {
+    if (!r.name) { problems.push({ level: 'error', line: r.line, message: 'Missing "Trello Client Name"' }); continue; }
+    if (!r.clientId) problems.push({ level: 'error', line: r.line, message: `"${r.name}" has no Adpiler Client ID` });
+    if (!r.campaignId && !DEFAULT_PROJECT_ID) problems.push({ level: 'error', line: r.line, message: `"${r.name}" has no Adpiler Campaign ID (and no DEFAULT_PROJECT_ID)` });
+
+    const key = [normalize(r.name), normalize(r.listName), normalize(r.boardName)].join('|');
+    if (seen.has(key)) problems.push({ level: 'error', line: r.line, message: `Duplicate of row ${seen.get(key)} ("${r.name}"${r.listName ? ` / "${r.listName}"` : ''})` });
+    else seen.set(key, r.line);
+  }
+  for (const a of rows) {
+    for (const b of rows) {
+      if (a === b || !a.name || !b.name || normalize(a.name) === normalize(b.name)) continue;
+      if (nameScore(a.name, b.name)) {
+        problems.push({ level: 'warning', line: a.line, message: `"${a.name}" also appears in "${b.name}" (row ${b.line}); the longer name wins when both match` });
+      }
+    }
+  }
+  return { source: src.where, rows: rows.length, problems };
+}
+
+module.exports = { getClientMapping, loadMappingRows, findMappingRow, checkMapping, clearMappingCache };
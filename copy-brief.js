@@ -0,0 +1,87 @@
+/**
+ * Ad copy from briefs attached to the card, for cards whose description / "Ad Meta" checklist leave fields empty.
+ *
+ * A copy document is:
+ *  - an uploaded .txt / .md / .docx file (or a text/plain / Word mime type) — Google Docs "Download as" exports included
+ *  - a linked Google Doc (docs.google.com/document/d/<id>/…), read through its plain-text export; the doc must be
+ *    shared "anyone with the link", otherwise Google answers with a sign-in page and the brief is skipped
+ *
+ * The text is returned as-is; upload-to-adpiler.js parses it with the card's own label grammar (Primary Text:,
+ * Headline:, CTA:, URL:, Slide 2 Headline:, …). .docx is read locally: word/document.xml out of the zip
+ * (html5-banner.js reader), one line per paragraph. Copy documents are never ad media (isCopyDocument).
+ */
+
+const fs = require('fs');
+const { readZipEntries } = require('./html5-banner');
+const { log } = require('./logger');
+
+const { COPY_BRIEF_MAX_KB = '10240' } = process.env;
+
+const MAX_BYTES = (parseInt(COPY_BRIEF_MAX_KB, 10) || 10240) * 1024;
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const GOOGLE_DOC_RX = /^https?:\/\/docs\.google\.com\/document\/(?:u\/\d+\/)?d\/([\w-]{20,})/i;
+
+// ---------- DETECTION ----------
+const isDocxName = (n = '', m = '') => /\.docx$/i.test(String(n)) || String(m).toLowerCase() === DOCX_MIME;
+const isTextName = (n = '', m = '') => /\.(txt|text|md)$/i.test(String(n)) || /^text\/(plain|markdown)\b/i.test(String(m));
+const googleDocId = (att = {}) => (!att.isUpload && String(att.url || '').match(GOOGLE_DOC_RX)?.[1]) || '';
+
+/** True for attachments that carry copy rather than media. */
+function isCopyDocument(att) {
+  if (!att) return false;
+  return isDocxName(att.name, att.mimeType) || isTextName(att.name, att.mimeType) || !!googleDocId(att);
+}
+
+// ---------- TEXT ----------
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  return XML_ENTITIES[e] ?? m;
+});
+
+/** Plain text of a .docx buffer: one line per paragraph, tabs and line breaks kept. */
+function docxToText(buf) {
+  const entry = readZipEntries(buf).find(e => e.name === 'word/document.xml');
+  if (!entry) throw new Error('not a Word document (no word/document.xml)');
+  const xml = entry.read().toString('utf8');
+  return decodeXml(xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(?:br|cr)\b[^>]*\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/\u00a0/g, ' ');
+}
+
+async function readDocument(files, att) {
+  const docId = googleDocId(att);
+  // the editor URL serves an HTML app; the export endpoint serves the text
+  const source = docId
+    ? { ...att, url: `https://docs.google.com/document/d/${docId}/export?format=txt`, name: `${att.name || `google-doc-${docId}`}.txt`, mimeType: 'text/plain' }
+    : att;
+  const file = await files.get(source);
+  if (file.bytes > MAX_BYTES) throw new Error(`${file.bytes} bytes is over COPY_BRIEF_MAX_KB (${MAX_BYTES / 1024} KB)`);
+  const buf = fs.readFileSync(file.path);
+  if (isDocxName(file.filename, file.mimeType) && !docId) return docxToText(buf);
+  const text = buf.toString('utf8').replace(/^\uFEFF/, '');
+  if (/^\s*<(!doctype\s+html|html)\b/i.test(text)) throw new Error('got an HTML page instead of text (is the document shared?)');
+  return text;
+}
+
+/**
+ * Read every copy document among the attachments, in attachment order.
+ * Returns [{ id, filename, text }]; unreadable documents are logged and left out.
+ */
+async function readCopyDocuments(files, attachments = []) {
+  const out = [];
+  for (const att of (attachments || []).filter(isCopyDocument)) {
+    try {
+      const text = (await readDocument(files, att)).replace(/\r\n?/g, '\n');
+      if (text.trim()) out.push({ id: att.id, filename: att.name || att.url, text });
+    } catch (e) {
+      log.warn(`📝 Copy brief ${att.name || att.url} skipped: ${e.message}`);
+    }
+  }
+  return out;
+}
+
+module.exports = { isCopyDocument, readCopyDocuments, docxToText };
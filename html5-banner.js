@@ -0,0 +1,128 @@
+/**
+ * HTML5 banner bundle (.zip) inspection — pure Node, no unzip dependency.
+ *
+ * Checks performed on the zip buffer:
+ *  - entry HTML: index.html closest to the root (else the only .html file)
+ *  - <meta name="ad.size" content="width=300,height=250"> in the entry HTML
+ *  - a clickTag reference in the entry HTML or any bundled .js
+ *  - bundle weight (zip bytes) against maxBytes
+ *
+ * Returns { ok, width, height, entry, hasClickTag, totalBytes, files, errors: [], warnings: [] }.
+ */
+
+const zlib = require('zlib');
+
+const SIG_EOCD = 0x06054b50;
+const SIG_CDIR = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+// ---------- ZIP READER ----------
+function findEocd(buf) {
+  const min = Math.max(0, buf.length - 65557); // EOCD (22) + max comment (65535)
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === SIG_EOCD) return i;
+  }
+  return -1;
+}
+
+/** List zip entries as [{ name, method, compressedSize, size, read() }]. */
+function readZipEntries(buf) {
+  const eocd = findEocd(buf);
+  if (eocd < 0) throw new Error('not a zip file (no end-of-central-directory record)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || p === 0xffffffff) throw new Error('ZIP64 bundles are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== SIG_CDIR) throw new Error('corrupt zip central directory');
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    entries.push({
+      name,
+      method,
+      compressedSize,
+      size,
+      read() {
+        if (buf.readUInt32LE(localOffset) !== SIG_LOCAL) throw new Error(`corrupt local header for ${name}`);
+        const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`unsupported compression method ${method} for ${name}`);
+      }
+    });
+  }
+  return entries;
+}
+
+// ---------- BANNER CHECKS ----------
+function pickEntryHtml(files) {
+  const html = files.filter(f => /\.html?$/i.test(f.name) && !f.name.startsWith('__MACOSX/'));
+  const depth = (n) => n.split('/').length;
+  const index = html.filter(f => /(^|\/)index\.html?$/i.test(f.name)).sort((a, b) => depth(a.name) - depth(b.name));
+  if (index.length) return index[0];
+  return html.length === 1 ? html[0] : null;
+}
+
+function parseAdSize(html) {
+  const tag = (html.match(/<meta\b[^>]*\bname\s*=\s*["']ad\.size["'][^>]*>/i) || [])[0];
+  if (!tag) return null;
+  const content = (tag.match(/\bcontent\s*=\s*["']([^"']*)["']/i) || [])[1] || '';
+  const w = (content.match(/width\s*=\s*(\d+)/i) || [])[1];
+  const h = (content.match(/height\s*=\s*(\d+)/i) || [])[1];
+  return (w && h) ? { width: +w, height: +h } : null;
+}
+
+function inspectHtml5Zip(buffer, { maxBytes = 150 * 1024 } = {}) {
+  const out = { ok: false, width: 0, height: 0, entry: '', hasClickTag: false, totalBytes: buffer.length, files: 0, errors: [], warnings: [] };
+
+  let entries;
+  try { entries = readZipEntries(buffer); }
+  catch (e) { out.errors.push(`unreadable zip: ${e.message}`); return out; }
+
+  const files = entries.filter(e => !e.name.endsWith('/'));
+  out.files = files.length;
+
+  const entry = pickEntryHtml(files);
+  if (!entry) {
+    out.errors.push('no index.html (or single .html) entry file');
+    return out;
+  }
+  out.entry = entry.name;
+
+  let html = '';
+  try { html = entry.read().toString('utf8'); }
+  catch (e) { out.errors.push(`cannot read ${entry.name}: ${e.message}`); return out; }
+
+  const size = parseAdSize(html);
+  if (size) { out.width = size.width; out.height = size.height; }
+  else out.errors.push(`missing <meta name="ad.size" content="width=…,height=…"> in ${entry.name}`);
+
+  const clickTagRx = /\bclicktag\d*\b/i;
+  out.hasClickTag = clickTagRx.test(html);
+  for (const f of files) {
+    if (out.hasClickTag) break;
+    if (!/\.js$/i.test(f.name) || f.size > 2 * 1024 * 1024) continue;
+    try { out.hasClickTag = clickTagRx.test(f.read().toString('utf8')); } catch {}
+  }
+  if (!out.hasClickTag) out.errors.push('no clickTag found in the entry HTML or bundled scripts');
+
+  if (maxBytes > 0 && buffer.length > maxBytes) {
+    out.errors.push(`bundle is ${Math.ceil(buffer.length / 1024)} KB (limit ${Math.floor(maxBytes / 1024)} KB)`);
+  }
+  if (files.some(f => /^__MACOSX\//.test(f.name))) out.warnings.push('bundle contains __MACOSX/ metadata');
+
+  out.ok = out.errors.length === 0;
+  return out;
+}
+
+module.exports = { inspectHtml5Zip, readZipEntries };
@@ -0,0 +1,193 @@
+/**
+ * File-backed job journal for the upload queue.
+ *
+ * State lives in a single JSON file (JOB_STORE_PATH, default ./data/jobs.json):
+ *  - jobs:    one record per card job, status queued | running | succeeded | failed | cancelled
+ *  - lastRun: per-card cooldown timestamps (ms)
+ *
+ * Each job's log lines (JSON, see logger.js) are appended to <JOB_LOG_DIR>/<jobId>.log (default ./data/job-logs).
+ *
+ * Every mutation is flushed with write-to-temp + rename so a crash mid-write
+ * never leaves a half-written journal behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+// ---------- ENV ----------
+const {
+  JOB_STORE_PATH = path.join(__dirname, 'data', 'jobs.json'),
+  JOB_HISTORY_LIMIT = '500',
+  JOB_MAX_ATTEMPTS = '3',
+  JOB_LOG_DIR = path.join(path.dirname(JOB_STORE_PATH), 'job-logs')
+} = process.env;
+
+const HISTORY_LIMIT = Math.max(10, parseInt(JOB_HISTORY_LIMIT, 10) || 500);
+const MAX_ATTEMPTS = Math.max(1, parseInt(JOB_MAX_ATTEMPTS, 10) || 3);
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+let state = null;
+
+// ---------- PERSISTENCE ----------
+function load() {
+  if (state) return state;
+  try {
+    const raw = JSON.parse(fs.readFileSync(JOB_STORE_PATH, 'utf8'));
+    state = { jobs: Array.isArray(raw.jobs) ? raw.jobs : [], lastRun: raw.lastRun || {} };
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.warn(`⚠️  Job journal unreadable (${e.message}); starting empty.`);
+    state = { jobs: [], lastRun: {} };
+  }
+  return state;
+}
+
+function flush() {
+  const dir = path.dirname(JOB_STORE_PATH);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${JOB_STORE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, JOB_STORE_PATH);
+}
+
+// drop the oldest finished jobs once the journal grows past the history limit
+function prune() {
+  const extra = state.jobs.length - HISTORY_LIMIT;
+  if (extra <= 0) return;
+  let dropped = 0;
+  state.jobs = state.jobs.filter(j => {
+    if (dropped < extra && FINISHED.has(j.status)) {
+      dropped++;
+      fs.rm(logPath(j.id), { force: true }, () => {});
+      return false;
+    }
+    return true;
+  });
+}
+
+// ---------- JOBS ----------
+function createJob({ cardId, ...extra }) {
+  load();
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    cardId,
+    status: 'queued',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    ...extra
+  };
+  state.jobs.push(job);
+  prune();
+  flush();
+  return { ...job };
+}
+
+function updateJob(id, patch) {
+  load();
+  const job = state.jobs.find(j => j.id === id);
+  if (!job) return null;
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  flush();
+  return { ...job };
+}
+
+function getJob(id) {
+  const job = load().jobs.find(j => j.id === id);
+  return job ? { ...job } : null;
+}
+
+function listJobs({ status, cardId, batchId } = {}) {
+  return load().jobs
+    .filter(j => (!status || j.status === status) && (!cardId || j.cardId === cardId) && (!batchId || j.batchId === batchId))
+    .map(j => ({ ...j }));
+}
+
+/** Newest first; `limit` 0 means all. */
+function recentJobs({ status, cardId, limit = 50 } = {}) {
+  const list = listJobs({ status, cardId }).reverse();
+  return limit > 0 ? list.slice(0, limit) : list;
+}
+
+function cancelJob(id) {
+  load();
+  const job = state.jobs.find(j => j.id === id);
+  if (!job) return { ok: false, reason: 'not found' };
+  if (job.status !== 'queued') return { ok: false, reason: `job is ${job.status}`, job: { ...job } };
+  Object.assign(job, { status: 'cancelled', updatedAt: new Date().toISOString(), finishedAt: new Date().toISOString() });
+  flush();
+  return { ok: true, job: { ...job } };
+}
+
+/** Oldest queued job, skipping cards in `skipCards` (a Set of card ids that already have a job running). */
+function nextQueued({ skipCards } = {}) {
+  const job = load().jobs.find(j => j.status === 'queued' && !skipCards?.has(j.cardId));
+  return job ? { ...job } : null;
+}
+
+/**
+ * Called once at startup. Jobs left "running" by a crash or redeploy are put
+ * back in the queue, unless they already used up JOB_MAX_ATTEMPTS.
+ */
+function recoverInterrupted() {
+  load();
+  const recovered = [];
+  for (const job of state.jobs) {
+    if (job.status !== 'running') continue;
+    if ((job.attempts || 0) >= MAX_ATTEMPTS) {
+      Object.assign(job, { status: 'failed', error: `Interrupted after ${job.attempts} attempt(s)`, updatedAt: new Date().toISOString() });
+    } else {
+      Object.assign(job, { status: 'queued', updatedAt: new Date().toISOString() });
+      recovered.push({ ...job });
+    }
+  }
+  flush();
+  return recovered;
+}
+
+// ---------- JOB LOGS ----------
+function logPath(id) {
+  return path.join(JOB_LOG_DIR, `${String(id).replace(/[^a-zA-Z0-9-]/g, '')}.log`);
+}
+
+function appendLog(id, line) {
+  try {
+    fs.mkdirSync(JOB_LOG_DIR, { recursive: true });
+    fs.appendFileSync(logPath(id), `${line}\n`);
+  } catch { /* logging must never break a job */ }
+}
+
+function readLog(id) {
+  try { return fs.readFileSync(logPath(id), 'utf8'); } catch { return ''; }
+}
+
+// ---------- COOLDOWN ----------
+function getLastRun(cardId) {
+  return load().lastRun[cardId] || 0;
+}
+
+function setLastRun(cardId, ts, maxAgeMs = 0) {
+  load();
+  state.lastRun[cardId] = ts;
+  if (maxAgeMs > 0) {
+    for (const [id, at] of Object.entries(state.lastRun)) if (ts - at > maxAgeMs) delete state.lastRun[id];
+  }
+  flush();
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  recentJobs,
+  cancelJob,
+  nextQueued,
+  appendLog,
+  readLog,
+  recoverInterrupted,
+  getLastRun,
+  setLastRun
+};
@@ -0,0 +1,135 @@
+/**
+ * Structured logging shared by server.js and both uploaders.
+ *
+ * One JSON object per line: { ts, level, msg, jobId, cardId, campaignId, mode, ...fields }.
+ * LOG_FORMAT=text prints "<ts> LEVEL [job/card] msg {fields}" instead, for reading locally;
+ * LOG_LEVEL (debug | info | warn | error, default info) drops quieter lines.
+ *
+ * Job context rides on AsyncLocalStorage: server.js opens it per job with runWithContext(), the
+ * uploaders add campaignId/mode with setContext() once they know them, and every line logged inside
+ * the job carries those fields and is handed to the job sink (job-store.js → that job's .log file).
+ * log.time(step, fn) logs how long a step took (durationMs), also when it throws.
+ *
+ * Each line is redacted before it leaves the process: values of the SECRET_ENV variables,
+ * key= / token= query parameters and Bearer tokens, so URLs and AdPiler error bodies can be logged as-is.
+ */
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { LOG_FORMAT = 'json', LOG_LEVEL = 'info' } = process.env;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[LOG_LEVEL.toLowerCase()] || LEVELS.info;
+const SECRET_ENV = ['TRELLO_TOKEN', 'TRELLO_API_KEY', 'ADPILER_API_KEY', 'ADPILER_PASS', 'BROWSERLESS_TOKEN', 'ADMIN_TOKEN', 'TRELLO_WEBHOOK_SECRET', 'TRELLO_APP_SECRET'];
+const CONTEXT_KEYS = ['jobId', 'cardId', 'campaignId', 'mode', 'group'];
+
+const context = new AsyncLocalStorage();
+let jobSink = null; // (jobId, line) => void
+
+// ---------- REDACTION ----------
+function redact(text) {
+  let out = String(text);
+  for (const name of SECRET_ENV) {
+    const value = process.env[name];
+    if (value && value.length >= 6) {
+      out = out.split(value).join(`[${name}]`);
+      const encoded = encodeURIComponent(value);
+      if (encoded !== value) out = out.split(encoded).join(`[${name}]`);
+    }
+  }
+  return out
+    .replace(/([?&](?:key|token|api_key|apikey|access_token)=)[^&\s"'\\]+/gi, '$1[redacted]')
+    .replace(/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, '$1[redacted]');
+}
+
+// ---------- CONTEXT ----------
+/** Run fn with a fresh job context ({ jobId, cardId, … }); lines logged inside carry it. */
+function runWithContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+/** Add fields (campaignId, mode, …) to the current job context; a no-op outside one. */
+function setContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function getContext() {
+  return context.getStore() || null;
+}
+
+function setJobSink(fn) {
+  jobSink = fn;
+}
+
+// ---------- FORMATTING ----------
+const isPlainObject = (v) => v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+function errorFields(e) {
+  const out = { message: e.message };
+  for (const k of ['status', 'endpoint', 'uiStep', 'fallback']) if (e[k] !== undefined) out[k] = e[k];
+  if (e.body !== undefined) out.body = (typeof e.body === 'string' ? e.body : JSON.stringify(e.body)).slice(0, 2000);
+  if (e.stack) out.stack = e.stack.split('\n').slice(0, 6).join('\n');
+  return out;
+}
+
+// console-style arguments → { msg, fields }; a trailing plain object after the message is taken as fields
+function toRecord(args) {
+  const parts = [...args];
+  let fields = {};
+  if (parts.length > 1 && isPlainObject(parts[parts.length - 1])) fields = parts.pop();
+  const err = parts.find(a => a instanceof Error);
+  if (err) fields = { error: errorFields(err), ...fields };
+  const msg = parts.map(a => (a instanceof Error ? a.message : a)).map(a => (typeof a === 'string' ? a : util.inspect(a, { depth: 4, breakLength: Infinity }))).join(' ');
+  return { msg, fields };
+}
+
+function textLine(rec) {
+  const { ts, level, msg, jobId, cardId, ...rest } = rec;
+  for (const k of ['campaignId', 'mode', 'group']) if (rest[k] === undefined) delete rest[k];
+  const where = jobId ? ` [${jobId}${cardId ? `/${cardId}` : ''}]` : '';
+  const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+  return `${ts} ${level.toUpperCase()}${where} ${msg}${extra}`;
+}
+
+function write(level, args, bindings = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const ctx = context.getStore() || {};
+  const { msg, fields } = toRecord(args);
+  const rec = { ts: new Date().toISOString(), level, msg };
+  for (const k of CONTEXT_KEYS) if (ctx[k] !== undefined && ctx[k] !== '') rec[k] = ctx[k];
+  const line = redact(JSON.stringify({ ...rec, ...bindings, ...fields }));
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  stream.write(`${LOG_FORMAT === 'text' ? textLine(JSON.parse(line)) : line}\n`);
+  if (ctx.jobId && jobSink) {
+    try { jobSink(ctx.jobId, line); } catch { /* logging must never break a job */ }
+  }
+}
+
+// ---------- LOGGER ----------
+function createLogger(bindings = {}) {
+  return {
+    debug: (...args) => write('debug', args, bindings),
+    info: (...args) => write('info', args, bindings),
+    warn: (...args) => write('warn', args, bindings),
+    error: (...args) => write('error', args, bindings),
+    child: (more) => createLogger({ ...bindings, ...more }),
+    /** Await fn and log "<step> done" / "<step> failed" with durationMs. */
+    async time(step, fn, fields = {}) {
+      const started = Date.now();
+      try {
+        const out = await fn();
+        write('info', [`${step} done`, { step, durationMs: Date.now() - started, ...fields }], bindings);
+        return out;
+      } catch (e) {
+        write('warn', [`${step} failed: ${e.message}`, { step, durationMs: Date.now() - started, ...fields }], bindings);
+        throw e;
+      }
+    }
+  };
+}
+
+const log = createLogger();
+
+module.exports = { log, createLogger, runWithContext, setContext, getContext, setJobSink, redact };
@@ -0,0 +1,246 @@
+/**
+ * Offline stand-in for the AdPiler web app, so upload-to-adpiler-ui.js can be exercised without AdPiler,
+ * Browserless or Trello.
+ *
+ * Serves login → campaign → new display ad / new social ad → slide pages with the field names and button
+ * labels the UI uploader looks for (UI_SELECTORS / UI_BUTTONS), keeps every submitted ad and slide in memory
+ * (GET /__mock/state, POST /__mock/reset), and serves a folder of creatives at /__assets/<file> so a card's
+ * attachments can point there instead of Trello.
+ *
+ *   node mock-adpiler-ui.js [--port 4010] [--assets ./creatives] [--run card.json] [--fail display|social|slide|login]
+ *
+ * --run points ADPILER_LOGIN_URL/ADPILER_BASE_URL at the mock, launches the local Chromium from
+ * CHROME_EXECUTABLE_PATH and runs uploadToAdpilerUI on card.json ({ name, desc, labels?, attachments? };
+ * attachments default to every file in --assets). It prints the result and what the mock received, then exits.
+ * --fail makes that save answer 500 (or rejects the login) to check the failed-step screenshots/HTML dumps
+ * written to ADPILER_UI_ARTIFACTS_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { PROFILES } = require('./network-profiles');
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// forms marked data-json post their fields as JSON (file inputs as [{ name, size, type }]) and follow { redirect }
+const FORM_SCRIPT = `
+document.querySelectorAll('form[data-json]').forEach(form => form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const error = form.querySelector('.error');
+  error.textContent = '';
+  const data = {};
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    if (el.type === 'file') data[el.name] = [...el.files].map(f => ({ name: f.name, size: f.size, type: f.type }));
+    else if (el.type === 'checkbox') data[el.name] = el.checked;
+    else data[el.name] = el.value;
+  }
+  const res = await fetch(form.action, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(data) });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) { error.textContent = out.error || ('HTTP ' + res.status); return; }
+  if (out.redirect) { location.href = out.redirect; return; }
+  const li = document.createElement('li');
+  li.textContent = out.label;
+  document.getElementById('slides').append(li);
+  form.reset();
+  form.hidden = true;
+}));`;
+
+const layout = (title, body) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)} · AdPiler (mock)</title>
+<style>body{font:14px sans-serif;margin:2em}label{display:block;margin:.5em 0}.error{color:#b00}</style></head>
+<body><h1>${esc(title)}</h1>${body}<script>${FORM_SCRIPT}</script></body></html>`;
+
+const field = (label, input) => `<label>${label} ${input}</label>`;
+const options = (list) => list.map(([value, text]) => `<option value="${esc(value)}">${esc(text)}</option>`).join('');
+const ALL_CTAS = [...new Set(Object.values(PROFILES).flatMap(p => p.ctas || []))].sort();
+
+function createMockAdpiler({ user = 'mock@adpiler.test', pass = 'mock', previewDomain = process.env.ADPILER_PREVIEW_DOMAIN || 'preview.adpiler.com', fail = '', assetsDir = '' } = {}) {
+  const state = { ads: [], nextId: 1000 };
+  const app = express();
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(bodyParser.json());
+  if (assetsDir) app.use('/__assets', express.static(path.resolve(assetsDir)));
+
+  app.get('/__mock/state', (_req, res) => res.json({ ads: state.ads }));
+  app.post('/__mock/reset', (_req, res) => { state.ads = []; res.json({ ok: true }); });
+
+  // ---------- LOGIN ----------
+  const loginPage = (error = '') => layout('Log in', `
+    <form method="post" action="/login">
+      ${field('Email', '<input type="email" name="email">')}
+      ${field('Password', '<input type="password" name="password">')}
+      <p class="error">${esc(error)}</p>
+      <button type="submit">Log in</button>
+    </form>`);
+  app.get('/login', (_req, res) => res.send(loginPage()));
+  app.post('/login', (req, res) => {
+    if (fail === 'login' || req.body.email !== user || req.body.password !== pass) return res.status(401).send(loginPage('These credentials do not match our records.'));
+    res.set('Set-Cookie', 'mock_session=1; Path=/; HttpOnly').redirect('/campaigns');
+  });
+  app.use((req, res, next) => (/(^|;\s*)mock_session=1/.test(req.get('cookie') || '') ? next() : res.redirect('/login')));
+
+  // ---------- CAMPAIGN ----------
+  const code = (campaignId) => `MOCK${campaignId}`;
+  app.get('/campaigns', (_req, res) => res.send(layout('Campaigns', '<p>Open a campaign at /campaigns/&lt;id&gt;.</p>')));
+  app.get('/campaigns/:id', (req, res) => {
+    const { id } = req.params;
+    const ads = state.ads.filter(a => a.campaignId === id);
+    res.send(layout(`Campaign ${id}`, `
+      <p><a href="/campaigns/${esc(id)}/ads/new">New Ad</a> · <a href="/campaigns/${esc(id)}/social-ads/new">New Social Ad</a></p>
+      <p><a href="https://${esc(previewDomain)}/${code(id)}/">Share preview</a></p>
+      <ul>${ads.map(a => `<li>${esc(a.kind)} ${a.id}: ${esc(a.name)} — <a href="https://${esc(previewDomain)}/${code(id)}/?ad=${a.id}">preview</a></li>`).join('')}</ul>`));
+  });
+
+  const failWith = (kind, res) => res.status(500).json({ error: `Mock failure saving the ${kind} (--fail ${kind}).` });
+  const missing = (body, keys) => keys.filter(k => Array.isArray(body[k]) ? !body[k].length : !String(body[k] ?? '').trim());
+
+  // ---------- DISPLAY ADS ----------
+  app.get('/campaigns/:id/ads/new', (req, res) => res.send(layout('New Ad', `
+    <form data-json method="post" action="/campaigns/${esc(req.params.id)}/ads">
+      ${field('File', '<input type="file" name="file">')}
+      ${field('Name', '<input name="name">')}
+      ${field('Width', '<input name="width" type="number">')}
+      ${field('Height', '<input name="height" type="number">')}
+      ${field('Landing page URL', '<input name="landing_page_url">')}
+      <p class="error"></p>
+      <button type="submit">Create</button>
+    </form>`)));
+  app.post('/campaigns/:id/ads', (req, res) => {
+    if (fail === 'display') return failWith('display', res);
+    const gaps = missing(req.body, ['file', 'name', 'width', 'height']);
+    if (gaps.length) return res.status(422).json({ error: `Missing: ${gaps.join(', ')}` });
+    const ad = { id: state.nextId++, kind: 'display', campaignId: req.params.id, ...req.body };
+    state.ads.push(ad);
+    res.json({ redirect: `/campaigns/${req.params.id}/ads/${ad.id}` });
+  });
+  app.get('/campaigns/:id/ads/:adId', (req, res) => {
+    const ad = state.ads.find(a => String(a.id) === req.params.adId && a.kind === 'display');
+    if (!ad) return res.status(404).send(layout('Not found', ''));
+    res.send(layout(`Ad ${ad.id}`, `<div data-ad-id="${ad.id}">${esc(ad.name)} ${esc(ad.width)}x${esc(ad.height)}</div>`));
+  });
+
+  // ---------- SOCIAL ADS ----------
+  app.get('/campaigns/:id/social-ads/new', (req, res) => res.send(layout('New Social Ad', `
+    <form data-json method="post" action="/campaigns/${esc(req.params.id)}/social-ads">
+      ${field('Name', '<input name="name">')}
+      ${field('Network', `<select name="network">${options(Object.values(PROFILES).map(p => [p.key, p.label]))}</select>`)}
+      ${field('Page name', '<input name="page_name">')}
+      ${field('Type', `<select name="type">${options([['post', 'Post'], ['post-carousel', 'Post Carousel']])}</select>`)}
+      ${field('Paid', '<input type="checkbox" name="paid">')}
+      ${field('Message', '<textarea name="message"></textarea>')}
+      <p class="error"></p>
+      <button type="submit">Create</button>
+    </form>`)));
+  app.post('/campaigns/:id/social-ads', (req, res) => {
+    if (fail === 'social') return failWith('social', res);
+    const gaps = missing(req.body, ['name', 'network', 'page_name', 'type']);
+    if (gaps.length) return res.status(422).json({ error: `Missing: ${gaps.join(', ')}` });
+    const ad = { id: state.nextId++, kind: 'social', campaignId: req.params.id, ...req.body, slides: [] };
+    state.ads.push(ad);
+    res.json({ redirect: `/campaigns/${req.params.id}/social-ads/${ad.id}` });
+  });
+  app.get('/campaigns/:id/social-ads/:adId', (req, res) => {
+    const ad = state.ads.find(a => String(a.id) === req.params.adId && a.kind === 'social');
+    if (!ad) return res.status(404).send(layout('Not found', ''));
+    res.send(layout(`Social Ad ${ad.id}`, `
+      <div data-ad-id="${ad.id}">${esc(ad.name)} — ${esc(ad.network)} ${esc(ad.type)}</div>
+      <ol id="slides">${ad.slides.map(s => `<li>${esc(s.label)}</li>`).join('')}</ol>
+      <button type="button" onclick="document.getElementById('slide-form').hidden = false">Add Slide</button>
+      <form id="slide-form" data-json hidden method="post" action="/campaigns/${esc(req.params.id)}/social-ads/${ad.id}/slides">
+        ${field('Media', '<input type="file" name="file">')}
+        ${field('Headline', '<input name="headline">')}
+        ${field('Description', '<textarea name="description"></textarea>')}
+        ${field('Call to action', `<select name="call_to_action"><option value=""></option>${options(ALL_CTAS.map(c => [c, c]))}</select>`)}
+        ${field('Landing page URL', '<input name="landing_page_url">')}
+        ${field('Display link', '<input name="display_link">')}
+        <p class="error"></p>
+        <button type="submit">Save Slide</button>
+      </form>`));
+  });
+  app.post('/campaigns/:id/social-ads/:adId/slides', (req, res) => {
+    const ad = state.ads.find(a => String(a.id) === req.params.adId && a.kind === 'social');
+    if (!ad) return res.status(404).json({ error: 'No such social ad' });
+    if (fail === 'slide') return failWith('slide', res);
+    if (missing(req.body, ['file']).length) return res.status(422).json({ error: 'Missing: file' });
+    const slide = { position: ad.slides.length + 1, ...req.body };
+    slide.label = `${slide.position}. ${slide.file[0].name}${slide.headline ? ` — ${slide.headline}` : ''}`;
+    ad.slides.push(slide);
+    res.json({ label: slide.label });
+  });
+
+  return { app, state };
+}
+
+function startMockAdpiler({ port = 4010, ...opts } = {}) {
+  const { app, state } = createMockAdpiler(opts);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, url, state, close: () => new Promise(r => server.close(r)) });
+    }).on('error', reject);
+  });
+}
+
+// ---------- CLI ----------
+async function runCard({ cardFile, assetsDir, mock }) {
+  const card = { id: 'mock-card', labels: [], ...JSON.parse(fs.readFileSync(cardFile, 'utf8')) };
+  if (!card.attachments) {
+    if (!assetsDir) throw new Error('card.json has no attachments; pass --assets <dir> to use its files');
+    card.attachments = fs.readdirSync(assetsDir).filter(f => !f.startsWith('.')).sort().map((name, i) => ({
+      id: `att${i + 1}`, name, isUpload: false, url: `${mock.url}/__assets/${encodeURIComponent(name)}`, pos: i + 1
+    }));
+  }
+
+  // the uploaders read their env at require time
+  Object.assign(process.env, {
+    ADPILER_LOGIN_URL: `${mock.url}/login`,
+    ADPILER_BASE_URL: mock.url,
+    ADPILER_USER: process.env.ADPILER_USER || 'mock@adpiler.test',
+    ADPILER_PASS: process.env.ADPILER_PASS || 'mock',
+    ADPILER_UI_BROWSER: 'local',
+    DEFAULT_CLIENT_ID: process.env.DEFAULT_CLIENT_ID || '1',
+    DEFAULT_PROJECT_ID: process.env.DEFAULT_PROJECT_ID || '1'
+  });
+  const { uploadToAdpilerUI } = require('./upload-to-adpiler-ui');
+  const postTrelloComment = async (_id, text) => console.log(`💬 Trello comment:\n${text}`);
+  return uploadToAdpilerUI(card, card.attachments, { postTrelloComment });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name) => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : undefined; };
+  const cardFile = arg('run');
+  const assetsDir = arg('assets') || '';
+  const opts = {
+    port: Number(arg('port') || (cardFile ? 0 : 4010)),
+    assetsDir,
+    fail: arg('fail') || '',
+    user: process.env.ADPILER_USER || 'mock@adpiler.test',
+    pass: process.env.ADPILER_PASS || 'mock'
+  };
+
+  startMockAdpiler(opts).then(async (mock) => {
+    console.log(`🧪 Mock AdPiler at ${mock.url} (login ${opts.user} / ${opts.pass}${opts.fail ? `, failing: ${opts.fail}` : ''})`);
+    if (!cardFile) return;
+    let code = 0;
+    try {
+      const result = await runCard({ cardFile, assetsDir, mock });
+      console.log('✅ Result:', JSON.stringify(result, null, 2));
+    } catch (e) {
+      code = 1;
+      console.error('❌ UI upload failed:', e.message);
+      if (e.artifacts?.length) console.error('   artifacts:', e.artifacts.join(', '));
+    }
+    console.log('📦 Mock received:', JSON.stringify(mock.state.ads, null, 2));
+    await mock.close();
+    process.exit(code);
+  }).catch((e) => {
+    console.error('❌ Mock AdPiler failed to start:', e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockAdpiler, startMockAdpiler };
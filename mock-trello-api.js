@@ -0,0 +1,165 @@
+/**
+ * Local stand-in for the slice of the Trello REST API that trello-webhooks.js uses, so webhook registration and
+ * health checks can be exercised without a Trello account.
+ *
+ *  GET    /1/boards/:idOrShortLink          { id, name, shortLink }
+ *  GET    /1/tokens/:token/webhooks         the token's webhooks
+ *  POST   /1/webhooks                       create (callbackURL, idModel, description) — like Trello, the callback URL
+ *                                           must answer a HEAD request with 200 (skip with --no-verify)
+ *  GET/PUT/DELETE /1/webhooks/:id           read / update (callbackURL, active, description) / delete
+ * Every call needs ?key=&token= matching the mock's. Test hooks:
+ *  GET  /__mock/state                       { boards, webhooks }
+ *  POST /__mock/reset
+ *  POST /__mock/webhooks/:id/disable        what Trello does after repeated failed deliveries (active=false)
+ *
+ *   node mock-trello-api.js [--port 4020] [--board <id>:<shortLink>:<name>]... [--no-verify]
+ * then point TRELLO_API_BASE at http://127.0.0.1:4020/1 (key/token: TRELLO_API_KEY / TRELLO_TOKEN or mock-key / mock-token).
+ */
+
+if (require.main === module) require('dotenv').config(); // key/token default to the app's TRELLO_API_KEY / TRELLO_TOKEN
+
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fetch = require('node-fetch');
+
+const DEFAULT_BOARDS = [{ id: '5f0000000000000000000001', shortLink: 'AbCd1234', name: 'Mock Board' }];
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+function createMockTrello({ key = 'mock-key', token = 'mock-token', boards = DEFAULT_BOARDS, verifyCallbacks = true } = {}) {
+  const state = { boards: boards.map(b => ({ ...b })), webhooks: [] };
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: false }));
+
+  // Trello accepts fields in the query string or the body
+  const param = (req, name) => (req.body && req.body[name] !== undefined ? req.body[name] : req.query[name]);
+  const findBoard = (ref) => state.boards.find(b => b.id === ref || b.shortLink === ref);
+  const findHook = (req, res) => {
+    const hook = state.webhooks.find(h => h.id === req.params.id);
+    if (!hook) res.status(404).type('text').send('model not found');
+    return hook;
+  };
+
+  async function callbackAnswers(url) {
+    if (!verifyCallbacks) return true;
+    try {
+      const res = await fetch(url, { method: 'HEAD', timeout: 5000 });
+      return res.status === 200;
+    } catch { return false; }
+  }
+
+  // ---------- test hooks ----------
+  app.get('/__mock/state', (_req, res) => res.json(state));
+  app.post('/__mock/reset', (_req, res) => { state.webhooks = []; res.json({ ok: true }); });
+  app.post('/__mock/webhooks/:id/disable', (req, res) => {
+    const hook = findHook(req, res);
+    if (!hook) return;
+    Object.assign(hook, { active: false, consecutiveFailures: Number(req.query.failures || 30), firstConsecutiveFailDate: new Date(Date.now() - 86400000).toISOString() });
+    res.json(hook);
+  });
+
+  // ---------- auth ----------
+  app.use('/1', (req, res, next) => {
+    if (param(req, 'key') !== key) return res.status(401).type('text').send('invalid key');
+    if (param(req, 'token') !== token) return res.status(401).type('text').send('invalid token');
+    next();
+  });
+
+  // ---------- boards ----------
+  app.get('/1/boards/:ref', (req, res) => {
+    const board = findBoard(req.params.ref);
+    if (!board) return res.status(404).type('text').send('The requested resource was not found.');
+    res.json(board);
+  });
+
+  // ---------- webhooks ----------
+  app.get('/1/tokens/:token/webhooks', (req, res) => {
+    if (req.params.token !== token) return res.status(401).type('text').send('invalid token');
+    res.json(state.webhooks);
+  });
+
+  app.post('/1/webhooks', async (req, res) => {
+    const callbackURL = param(req, 'callbackURL');
+    const idModel = param(req, 'idModel');
+    if (!callbackURL) return res.status(400).type('text').send('invalid value for callbackURL');
+    if (!idModel || !state.boards.some(b => b.id === idModel)) return res.status(400).type('text').send('invalid value for idModel');
+    if (state.webhooks.some(h => h.callbackURL === callbackURL && h.idModel === idModel)) {
+      return res.status(400).type('text').send('A webhook with that callback, model, and token already exists');
+    }
+    if (!(await callbackAnswers(callbackURL))) {
+      return res.status(400).type('text').send(`URL (${callbackURL}) did not return 200 status code, got 404`);
+    }
+    const hook = { id: newId(), description: param(req, 'description') || '', idModel, callbackURL, active: true, consecutiveFailures: 0, firstConsecutiveFailDate: null };
+    state.webhooks.push(hook);
+    res.json(hook);
+  });
+
+  app.get('/1/webhooks/:id', (req, res) => {
+    const hook = findHook(req, res);
+    if (hook) res.json(hook);
+  });
+
+  app.put('/1/webhooks/:id', async (req, res) => {
+    const hook = findHook(req, res);
+    if (!hook) return;
+    const callbackURL = param(req, 'callbackURL');
+    if (callbackURL && callbackURL !== hook.callbackURL) {
+      if (!(await callbackAnswers(callbackURL))) return res.status(400).type('text').send(`URL (${callbackURL}) did not return 200 status code, got 404`);
+      hook.callbackURL = callbackURL;
+    }
+    const active = param(req, 'active');
+    if (active !== undefined) {
+      hook.active = String(active) === 'true';
+      if (hook.active) Object.assign(hook, { consecutiveFailures: 0, firstConsecutiveFailDate: null });
+    }
+    const description = param(req, 'description');
+    if (description !== undefined) hook.description = description;
+    res.json(hook);
+  });
+
+  app.delete('/1/webhooks/:id', (req, res) => {
+    const hook = findHook(req, res);
+    if (!hook) return;
+    state.webhooks = state.webhooks.filter(h => h !== hook);
+    res.json({ _value: null });
+  });
+
+  return { app, state };
+}
+
+function startMockTrello({ port = 4020, ...opts } = {}) {
+  const { app, state } = createMockTrello(opts);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, url, apiBase: `${url}/1`, state, close: () => new Promise(r => server.close(r)) });
+    }).on('error', reject);
+  });
+}
+
+// ---------- CLI ----------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name) => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : undefined; };
+  const boards = args
+    .map((a, i) => (a === '--board' ? args[i + 1] : null))
+    .filter(Boolean)
+    .map(spec => { const [id, shortLink = '', ...name] = spec.split(':'); return { id, shortLink, name: name.join(':') || id }; });
+  const opts = {
+    port: Number(arg('port') || 4020),
+    key: process.env.TRELLO_API_KEY || 'mock-key',
+    token: process.env.TRELLO_TOKEN || 'mock-token',
+    verifyCallbacks: !args.includes('--no-verify'),
+    ...(boards.length && { boards })
+  };
+
+  startMockTrello(opts).then((mock) => {
+    console.log(`🧪 Mock Trello API at ${mock.apiBase} (key ${opts.key} / token ${opts.token}; boards: ${mock.state.boards.map(b => `${b.name} ${b.id}`).join(', ')})`);
+  }).catch((e) => {
+    console.error('❌ Mock Trello failed to start:', e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockTrello, startMockTrello };
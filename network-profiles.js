@@ -0,0 +1,105 @@
+/**
+ * Social network profiles for social-ads (display ads are network-independent).
+ *
+ * Each profile sets what AdPiler is sent as `network`, which social ad types it takes, the copy
+ * limits and CTA vocabulary ad-copy-validation.js checks against, and fields that must be filled.
+ * `ctas: null` means free-text CTA (passed through unchecked).
+ *
+ * A card picks its network (see upload-to-adpiler.js) by custom field "Network", an Ad Meta
+ * "Network:" line, or a label named "Network: <name>" / just "<name>"; else ADPILER_DEFAULT_NETWORK.
+ */
+
+const { log } = require('./logger');
+
+const { ADPILER_DEFAULT_NETWORK = 'facebook' } = process.env;
+
+const META_CTAS = [
+  'Apply Now', 'Book Now', 'Call Now', 'Contact Us', 'Donate Now', 'Download', 'Get Directions',
+  'Get Offer', 'Get Quote', 'Get Showtimes', 'Install Now', 'Learn More', 'Listen Now', 'No Button',
+  'Order Now', 'Play Game', 'Request Time', 'See Menu', 'Send Message', 'Shop Now', 'Sign Up',
+  'Subscribe', 'Use App', 'Watch More'
+];
+
+const META_LIMITS = {
+  primary:     { label: 'Primary Text', recommended: 125, max: 2200 },
+  headline:    { label: 'Headline',     recommended: 40,  max: 255 },
+  description: { label: 'Description',  recommended: 30,  max: 255 }
+};
+
+const PROFILES = {
+  facebook: {
+    key: 'facebook',
+    label: 'Facebook',
+    aliases: ['fb', 'meta'],
+    types: ['post', 'post-carousel'],
+    limits: META_LIMITS,
+    ctas: META_CTAS,
+    required: []
+  },
+  instagram: {
+    key: 'instagram',
+    label: 'Instagram',
+    aliases: ['ig', 'insta'],
+    types: ['post', 'post-carousel'],
+    limits: META_LIMITS,
+    ctas: META_CTAS,
+    required: []
+  },
+  linkedin: {
+    key: 'linkedin',
+    label: 'LinkedIn',
+    aliases: ['li'],
+    types: ['post', 'post-carousel'],
+    limits: {
+      primary:     { label: 'Introductory Text', recommended: 150, max: 600 },
+      headline:    { label: 'Headline',          recommended: 70,  max: 200 },
+      description: { label: 'Description',       recommended: 100, max: 300 }
+    },
+    ctas: ['Apply', 'Attend', 'Buy Now', 'Download', 'Join', 'Learn More', 'Register', 'Request Demo', 'See More', 'Shop Now', 'Sign Up', 'Subscribe', 'View Quote'],
+    required: ['headline']
+  },
+  tiktok: {
+    key: 'tiktok',
+    label: 'TikTok',
+    aliases: ['tik tok', 'tt'],
+    types: ['post'],
+    videoOnly: true,
+    limits: {
+      primary:     { label: 'Ad Text',     recommended: 80, max: 100 },
+      headline:    { label: 'Headline',    recommended: 40, max: 100 },
+      description: { label: 'Description', recommended: 40, max: 100 }
+    },
+    ctas: ['Apply Now', 'Book Now', 'Contact Us', 'Download', 'Get Quote', 'Interested', 'Learn More', 'Order Now', 'Play Game', 'Read More', 'Shop Now', 'Sign Up', 'Subscribe', 'View Now', 'Visit Store', 'Watch Now'],
+    required: ['primary']
+  },
+  twitter: {
+    key: 'twitter',
+    label: 'X (Twitter)',
+    aliases: ['x', 'tweet'],
+    types: ['post', 'post-carousel'],
+    limits: {
+      primary:     { label: 'Post Text', recommended: 280, max: 280 },
+      headline:    { label: 'Headline',  recommended: 70,  max: 70 },
+      description: { label: 'Description', recommended: 70, max: 200 }
+    },
+    ctas: null,
+    required: []
+  }
+};
+
+const squash = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Profile for a network name or alias ("IG", "Tik Tok", "linkedin"); null when unknown. */
+function findNetwork(name) {
+  const key = squash(name);
+  if (!key) return null;
+  return Object.values(PROFILES).find(p => squash(p.key) === key || squash(p.label) === key || p.aliases.some(a => squash(a) === key)) || null;
+}
+
+function defaultNetwork() {
+  const p = findNetwork(ADPILER_DEFAULT_NETWORK);
+  if (!p) log.warn(`Unknown ADPILER_DEFAULT_NETWORK "${ADPILER_DEFAULT_NETWORK}"; using facebook.`);
+  return p || PROFILES.facebook;
+}
+
+module.exports = { PROFILES, META_CTAS, META_LIMITS, findNetwork, defaultNetwork };
@@ -0,0 +1,128 @@
+/**
+ * Outbound request pacing for the Trello and AdPiler APIs.
+ *
+ * One token bucket per service, shared by every job in the process (server.js runs several at once):
+ *  - TRELLO_REQUESTS_PER_SECOND  (default 9 — Trello allows 100 per 10 s per token)
+ *  - ADPILER_REQUESTS_PER_SECOND (default 5)
+ * 0 turns a limiter off. The bucket holds one second's worth of tokens, so short bursts pass unthrottled.
+ *
+ * limitedFetch() takes a token before each attempt and retries:
+ *  - 429 → waits Retry-After (seconds or HTTP date; else exponential backoff) and pauses the whole service,
+ *          since the other jobs would hit the same limit
+ *  - 5xx (not 501) and network errors → exponential backoff, only when opts.retryServerErrors is set
+ * A wait longer than RATE_LIMIT_MAX_WAIT_MS (default 120000) is not sat out: the response is returned as-is.
+ * `init` may be a function returning fresh fetch options per attempt (needed for streamed multipart bodies).
+ */
+
+const fetch = require('node-fetch');
+const { log } = require('./logger');
+
+const {
+  TRELLO_REQUESTS_PER_SECOND = '9',
+  ADPILER_REQUESTS_PER_SECOND = '5',
+  RATE_LIMIT_MAX_WAIT_MS = '120000'
+} = process.env;
+
+const MAX_WAIT_MS = parseInt(RATE_LIMIT_MAX_WAIT_MS, 10) || 120000;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const backoff = (attempt) => 400 * (2 ** (attempt - 1)) + Math.floor(Math.random() * 200);
+
+// ---------- TOKEN BUCKET ----------
+function createRateLimiter(name, { perSecond = 0, burst = Math.max(1, perSecond) } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve(); // FIFO: callers get tokens in the order they asked
+
+  async function takeOne() {
+    for (;;) {
+      const now = Date.now();
+      if (pausedUntil > now) { await sleep(pausedUntil - now); continue; }
+      if (!(perSecond > 0)) return;
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * perSecond);
+      last = now;
+      if (tokens >= 1) { tokens -= 1; return; }
+      await sleep(Math.ceil(((1 - tokens) / perSecond) * 1000));
+    }
+  }
+
+  return {
+    name,
+    /** Resolves when the caller may send one request. */
+    take() {
+      const turn = queue.then(takeOne);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    /** Hold every caller for ms (a 429 applies to the whole service, not one request). */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+    }
+  };
+}
+
+const limiters = {
+  trello: createRateLimiter('Trello', { perSecond: parseFloat(TRELLO_REQUESTS_PER_SECOND) || 0 }),
+  adpiler: createRateLimiter('AdPiler', { perSecond: parseFloat(ADPILER_REQUESTS_PER_SECOND) || 0 })
+};
+
+// Retry-After: delta seconds or an HTTP date → ms (null when absent/unreadable)
+function retryAfterMs(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.ceil(parseFloat(value) * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// a plain-object init with a stream body can only be sent once
+const replayable = (init) => typeof init === 'function' || !init?.body || typeof init.body === 'string' || Buffer.isBuffer(init.body);
+
+// ---------- FETCH ----------
+async function limitedFetch(limiter, url, init = {}, { retries = 3, retryServerErrors = false } = {}) {
+  const where = String(url).split('?')[0];
+  for (let attempt = 1; ; attempt++) {
+    await limiter.take();
+    let res;
+    try {
+      res = await fetch(url, typeof init === 'function' ? init() : init);
+    } catch (e) {
+      if (!retryServerErrors || attempt > retries || !replayable(init)) throw e;
+      const delay = backoff(attempt);
+      log.warn(`${limiter.name} request ${where} failed (attempt ${attempt}/${retries + 1}): ${e.message}. Retrying in ${delay}ms...`);
+      await sleep(delay);
+      continue;
+    }
+
+    const limited = res.status === 429;
+    const serverError = retryServerErrors && res.status >= 500 && res.status !== 501;
+    if ((!limited && !serverError) || attempt > retries || !replayable(init)) return res;
+
+    const delay = (limited ? retryAfterMs(res.headers.get('retry-after')) : null) ?? backoff(attempt);
+    if (delay > MAX_WAIT_MS) return res;
+    await res.text().catch(() => {}); // free the socket
+    log.warn(`${limiter.name} ${res.status} on ${where} (attempt ${attempt}/${retries + 1}) → retrying in ${delay}ms`, { status: res.status, delayMs: delay });
+    if (limited) limiter.pause(delay);
+    else await sleep(delay);
+  }
+}
+
+const trelloFetch = (url, init, opts) => limitedFetch(limiters.trello, url, init, opts);
+const adpilerFetch = (url, init, opts) => limitedFetch(limiters.adpiler, url, init, opts);
+
+// ---------- CONCURRENCY ----------
+/** Like Promise.all(items.map(fn)) with at most `limit` calls in flight; results keep the input order. */
+async function mapConcurrent(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return out;
+}
+
+module.exports = { createRateLimiter, limiters, limitedFetch, trelloFetch, adpilerFetch, retryAfterMs, mapConcurrent };
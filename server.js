@@ -1,58 +1,105 @@
+// .env before anything else: most local modules read their settings from process.env when they load
+require('dotenv').config();
+
 const express = require('express');
 const bodyParser = require('body-parser');
-const dotenv = require('dotenv');
-const fetch = require('node-fetch');
-
-dotenv.config();
+const crypto = require('crypto');
+const { log, runWithContext, setJobSink, redact } = require('./logger');
+const { createAdminRouter } = require('./admin-api');
+const clientMapping = require('./client-mapping');
+const { sweepStale } = require('./attachment-cache');
+const { trelloFetch } = require('./rate-limit');
+const { startWebhookMonitor } = require('./trello-webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-// ---------- simple queue & cooldown ----------
-const jobQueue = [];
-let processing = false;
+// ---------- durable queue & cooldown ----------
+// Jobs and cooldowns are journaled in job-store.js so a redeploy or crash
+// mid-upload does not drop the card; interrupted jobs are re-queued on boot.
+// Up to JOB_CONCURRENCY jobs run at once (default 2); two jobs for the same card never overlap.
+const jobStore = require('./job-store');
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 1);
+const runningCards = new Set();
+
+// JSON log lines written while a job runs also go to that job's log file (see GET /admin/jobs/:id/log)
+setJobSink((jobId, line) => jobStore.appendLog(jobId, line));
 
-async function enqueueJob(fn) {
-  return new Promise((resolve, reject) => {
-    jobQueue.push({ fn, resolve, reject });
-    processQueue();
-  });
-}
-async function processQueue() {
-  if (processing) return;
-  processing = true;
-  while (jobQueue.length) {
-    const { fn, resolve, reject } = jobQueue.shift();
-    try { resolve(await fn()); } catch (e) { reject(e); }
-  }
-  processing = false;
-}
-const lastRun = new Map();
 const COOLDOWN_MS = 2 * 60 * 1000;
 
 const normalize = (s) => (s || '').toLowerCase().replace(/\s+/g, ' ').trim();
 const READY_LIST_NAME = normalize(process.env.READY_LIST_NAME || 'Ready For AdPiler');
+// api | ui | hybrid (API first, web UI for what the API cannot create — see uploadHybrid)
 const UPLOAD_MODE = (process.env.ADPILER_UPLOAD_MODE || 'api').toLowerCase();
+const NEEDS_FIXES_LIST_NAME = process.env.NEEDS_FIXES_LIST_NAME || 'Needs Fixes';
+
+// Where a card goes after its job finishes. Set a variable to an empty string to turn that step off.
+const envOr = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name].trim());
+const RESULT_LISTS = {
+  succeeded: envOr('UPLOADED_LIST_NAME', 'Uploaded to AdPiler'),
+  failed: envOr('FAILED_LIST_NAME', 'AdPiler Upload Failed')
+};
+const RESULT_LABELS = {
+  succeeded: { name: envOr('UPLOADED_LABEL_NAME', 'Uploaded to AdPiler'), color: 'green' },
+  failed: { name: envOr('FAILED_LABEL_NAME', 'AdPiler Upload Failed'), color: 'red' }
+};
+
+// ---------- webhook signature ----------
+// Trello signs each webhook POST with base64(HMAC-SHA1(appSecret, rawBody + callbackURL))
+// in the x-trello-webhook header. The callback URL must match the one the webhook was registered with.
+// Without a secret nothing can be checked, so webhook POSTs are refused — unless TRELLO_WEBHOOK_ALLOW_UNSIGNED=true
+// (local testing with hand-made POSTs).
+const TRELLO_WEBHOOK_SECRET = process.env.TRELLO_WEBHOOK_SECRET || process.env.TRELLO_APP_SECRET || '';
+const TRELLO_CALLBACK_URL = (process.env.TRELLO_CALLBACK_URL || '').trim();
+const ALLOW_UNSIGNED = String(process.env.TRELLO_WEBHOOK_ALLOW_UNSIGNED || '').toLowerCase() === 'true';
+
+function callbackUrlFor(req) {
+  if (TRELLO_CALLBACK_URL) return TRELLO_CALLBACK_URL;
+  const proto = String(req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${proto}://${req.get('host')}${req.originalUrl}`;
+}
+
+function verifyTrelloSignature(req) {
+  if (!TRELLO_WEBHOOK_SECRET) return ALLOW_UNSIGNED ? { ok: true } : { ok: false, reason: 'TRELLO_WEBHOOK_SECRET not set' };
+  const header = req.get('x-trello-webhook') || '';
+  if (!header) return { ok: false, reason: 'missing x-trello-webhook header' };
+  if (!req.rawBody) return { ok: false, reason: 'missing raw body' };
+  const expected = crypto
+    .createHmac('sha1', TRELLO_WEBHOOK_SECRET)
+    .update(Buffer.concat([req.rawBody, Buffer.from(callbackUrlFor(req), 'utf8')]))
+    .digest('base64');
+  const a = Buffer.from(header), b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, reason: 'signature mismatch' };
+  return { ok: true };
+}
 
 // lazy imports
 let uploadApi, uploadUI;
 try {
   uploadApi = require('./upload-to-adpiler');
-  console.log('✅ Loaded upload-to-adpiler.js');
+  log.info('✅ Loaded upload-to-adpiler.js');
 } catch (e) {
-  console.error('❌ Failed to load upload-to-adpiler.js:', e.message);
+  log.error('❌ Failed to load upload-to-adpiler.js:', e.message);
 }
 try {
   uploadUI = require('./upload-to-adpiler-ui');
-  console.log('✅ Loaded upload-to-adpiler-ui.js');
+  log.info('✅ Loaded upload-to-adpiler-ui.js');
 } catch (e) {
-  console.error('❌ Failed to load upload-to-adpiler-ui.js:', e.message);
+  log.error('❌ Failed to load upload-to-adpiler-ui.js:', e.message);
 }
 
-app.use(bodyParser.json({ limit: '5mb' }));
+// keep the raw bytes next to the parsed JSON so webhook signatures can be checked
+app.use(bodyParser.json({ limit: '5mb', verify: (req, _res, buf) => { req.rawBody = Buffer.from(buf); } }));
 
-console.log('🧪 ADPILER_UPLOAD_MODE =', UPLOAD_MODE);
-console.log('🧪 typeof uploadApi?.uploadToAdpiler =', typeof uploadApi?.uploadToAdpiler);
+log.info('🧪 ADPILER_UPLOAD_MODE =', UPLOAD_MODE);
+log.info('🧪 typeof uploadApi?.uploadToAdpiler =', typeof uploadApi?.uploadToAdpiler);
+if (UPLOAD_MODE === 'hybrid' && !uploadUI?.uploadToAdpilerUI) log.warn('⚠️  Hybrid mode without the UI uploader — API failures will not fall back.');
+if (!process.env.ADMIN_TOKEN) log.warn('⚠️  ADMIN_TOKEN not set — admin API (/admin) is disabled.');
+if (!TRELLO_WEBHOOK_SECRET && ALLOW_UNSIGNED) log.warn('⚠️  TRELLO_WEBHOOK_SECRET not set and TRELLO_WEBHOOK_ALLOW_UNSIGNED=true — webhook signatures are NOT verified.');
+else if (!TRELLO_WEBHOOK_SECRET) log.error('❌ TRELLO_WEBHOOK_SECRET not set — every webhook POST is rejected (set it, or TRELLO_WEBHOOK_ALLOW_UNSIGNED=true for local testing).');
+
+// admin
+app.use('/admin', createAdminRouter({ jobStore, enqueueCardJob, adminToken: process.env.ADMIN_TOKEN }));
 
 // health
 app.get('/', (_req, res) => res.status(200).send(`✅ Trello → AdPiler is running (mode: ${UPLOAD_MODE})`));
@@ -65,91 +112,337 @@ async function getFullCard(cardId) {
   const base = `https://api.trello.com/1/cards/${cardId}`;
 
   // fields + custom fields
-  const fieldsRes = await fetch(`${base}?fields=name,desc,idList&customFieldItems=true&${auth}`);
+  const fieldsRes = await trelloFetch(`${base}?fields=name,desc,idList,idBoard&customFieldItems=true&${auth}`);
   if (!fieldsRes.ok) throw new Error(`Failed to fetch card fields (${fieldsRes.status})`);
   const card = await fieldsRes.json();
 
+  // custom field values by field name (definitions live on the board)
+  card.customFields = {};
+  if (card.customFieldItems?.length && card.idBoard) {
+    const defsRes = await trelloFetch(`https://api.trello.com/1/boards/${card.idBoard}/customFields?${auth}`);
+    if (defsRes.ok) card.customFields = resolveCustomFields(card.customFieldItems, await defsRes.json());
+    else log.warn(`⚠️  Could not load custom field definitions for board ${card.idBoard} (${defsRes.status})`);
+  }
+
   // labels
-  const labelsRes = await fetch(`${base}/labels?${auth}`);
+  const labelsRes = await trelloFetch(`${base}/labels?${auth}`);
   card.labels = labelsRes.ok ? await labelsRes.json() : [];
 
   // attachments
-  const attsRes = await fetch(`${base}/attachments?fields=all&${auth}`);
+  const attsRes = await trelloFetch(`${base}/attachments?fields=all&${auth}`);
   card.attachments = attsRes.ok ? await attsRes.json() : [];
 
   // ✅ checklists (for “Ad Meta” parsing)
-  const clRes = await fetch(`${base}/checklists?${auth}`);
+  const clRes = await trelloFetch(`${base}/checklists?${auth}`);
   card.checklists = clRes.ok ? await clRes.json() : [];
 
+  // list + board names (client mapping rows can be scoped to one)
+  const listRes = await trelloFetch(`${base}/list?fields=name&${auth}`);
+  card.list = listRes.ok ? await listRes.json() : null;
+  const boardRes = await trelloFetch(`${base}/board?fields=name&${auth}`);
+  card.board = boardRes.ok ? await boardRes.json() : null;
+
   return card;
 }
 
+// customFieldItems + board definitions → { 'Field Name': 'value' } (dropdowns resolved to option text)
+function resolveCustomFields(items = [], definitions = []) {
+  const defs = new Map(definitions.map(d => [d.id, d]));
+  const out = {};
+  for (const item of items) {
+    const def = defs.get(item.idCustomField);
+    if (!def) continue;
+    let value = '';
+    if (item.idValue) value = (def.options || []).find(o => o.id === item.idValue)?.value?.text || '';
+    else if (item.value) value = item.value.text ?? item.value.number ?? item.value.checked ?? item.value.date ?? '';
+    if (String(value).trim()) out[def.name] = String(value).trim();
+  }
+  return out;
+}
+
 async function postTrelloComment(cardId, text) {
   const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
   const url = `https://api.trello.com/1/cards/${cardId}/actions/comments?${auth}&text=${encodeURIComponent(text)}`;
-  await fetch(url, { method: 'POST' }).catch(e => console.error('Comment post failed:', e.message));
+  await trelloFetch(url, { method: 'POST' }).catch(e => log.error('Comment post failed:', e.message));
+}
+
+async function getCardPlacement(cardId) {
+  const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
+  const cardRes = await trelloFetch(`https://api.trello.com/1/cards/${cardId}?fields=idBoard,idList,idLabels&${auth}`);
+  if (!cardRes.ok) throw new Error(`Failed to fetch card board (${cardRes.status})`);
+  return cardRes.json();
+}
+
+// Move a card to the list with this name on its own board (names compared like READY_LIST_NAME)
+async function moveCardToList(cardId, listName) {
+  const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
+  const { idBoard, idList } = await getCardPlacement(cardId);
+
+  const listsRes = await trelloFetch(`https://api.trello.com/1/boards/${idBoard}/lists?fields=name&${auth}`);
+  if (!listsRes.ok) throw new Error(`Failed to fetch board lists (${listsRes.status})`);
+  const list = (await listsRes.json()).find(l => normalize(l.name) === normalize(listName));
+  if (!list) throw new Error(`List "${listName}" not found on board ${idBoard}`);
+  if (list.id === idList) return list;
+
+  const moveRes = await trelloFetch(`https://api.trello.com/1/cards/${cardId}?idList=${list.id}&pos=top&${auth}`, { method: 'PUT' });
+  if (!moveRes.ok) throw new Error(`Failed to move card (${moveRes.status})`);
+  log.info(`📦 Moved card ${cardId} to "${list.name}"`);
+  return list;
+}
+
+// Put a board label (created if missing) on the card; optionally take another one off
+async function setCardLabel(cardId, { name, color }, removeName = '') {
+  const auth = `key=${process.env.TRELLO_API_KEY}&token=${process.env.TRELLO_TOKEN}`;
+  const { idBoard, idLabels = [] } = await getCardPlacement(cardId);
+  const labelsRes = await trelloFetch(`https://api.trello.com/1/boards/${idBoard}/labels?fields=name,color&limit=1000&${auth}`);
+  if (!labelsRes.ok) throw new Error(`Failed to fetch board labels (${labelsRes.status})`);
+  const labels = await labelsRes.json();
+
+  let label = labels.find(l => normalize(l.name) === normalize(name));
+  if (!label) {
+    const createRes = await trelloFetch(`https://api.trello.com/1/boards/${idBoard}/labels?name=${encodeURIComponent(name)}&color=${color}&${auth}`, { method: 'POST' });
+    if (!createRes.ok) throw new Error(`Failed to create label "${name}" (${createRes.status})`);
+    label = await createRes.json();
+  }
+  if (!idLabels.includes(label.id)) {
+    const addRes = await trelloFetch(`https://api.trello.com/1/cards/${cardId}/idLabels?value=${label.id}&${auth}`, { method: 'POST' });
+    if (!addRes.ok) throw new Error(`Failed to add label "${name}" (${addRes.status})`);
+  }
+
+  const stale = removeName && labels.find(l => normalize(l.name) === normalize(removeName));
+  if (stale && idLabels.includes(stale.id)) {
+    await trelloFetch(`https://api.trello.com/1/cards/${cardId}/idLabels/${stale.id}?${auth}`, { method: 'DELETE' });
+  }
+}
+
+// Label the card with the job outcome and move it to the matching result list (if configured)
+async function applyCardOutcome(cardId, status, { move = true } = {}) {
+  const other = status === 'succeeded' ? 'failed' : 'succeeded';
+  const label = RESULT_LABELS[status];
+  if (label.name) {
+    await setCardLabel(cardId, label, RESULT_LABELS[other].name).catch(e => log.error(`Label "${label.name}" failed:`, e.message));
+  }
+  if (move && RESULT_LISTS[status]) {
+    await moveCardToList(cardId, RESULT_LISTS[status]).catch(e => log.error(`Move to "${RESULT_LISTS[status]}" failed:`, e.message));
+  }
+}
+
+// Failure text for the card: AdPiler validation bodies ({ message, errors: { field: [..] } }) are spelled out
+function describeJobError(e) {
+  const lines = [redact(e?.message || String(e))];
+  const errors = e?.body?.errors;
+  if (errors && typeof errors === 'object') {
+    for (const [field, msgs] of Object.entries(errors)) lines.push(redact(`  - ${field}: ${[].concat(msgs).join(' ')}`));
+  }
+  const text = lines.join('\n');
+  return text.length > 1500 ? `${text.slice(0, 1500)}…` : text;
+}
+
+// ---------- job runner ----------
+// Webhook and admin triggers both land here; admin triggers skip the cooldown check but still set it.
+function enqueueCardJob(cardId, extra = {}) {
+  jobStore.setLastRun(cardId, Date.now(), COOLDOWN_MS);
+  const job = jobStore.createJob({ cardId, ...extra });
+  log.info(`📥 Queued job ${job.id} for card ${cardId}`, { jobId: job.id, cardId });
+  processQueue();
+  return job;
+}
+
+// API first. Groups the API fails on for reasons the web UI can get past (fallbackReason in upload-to-adpiler.js:
+// 5xx after retries, missing endpoint, unsupported social ad type) are re-run through Puppeteer.
+async function uploadHybrid(card, job) {
+  const opts = { postTrelloComment, force: !!job.force, forceMode: job.mode || '' };
+  let result = null;
+  let retry;
+  let apiFailures = [];
+  try {
+    result = await uploadApi.uploadToAdpiler(card, card.attachments, { ...opts, dryRun: !!job.dryRun, uiFallback: !!uploadUI?.uploadToAdpilerUI });
+    retry = (result.errors || []).filter(f => f.fallback);
+  } catch (e) {
+    apiFailures = (e.failures || []).filter(f => !f.fallback);
+    retry = e.fallback ? [{ group: '', fallback: e.fallback }] : (e.failures || []).filter(f => f.fallback);
+    if (!retry.length) throw e;
+  }
+  if (!retry.length) return { ...result, via: 'api' };
+
+  const reason = [...new Set(retry.map(f => f.fallback))].join('; ');
+  log.warn(`↪️  Falling back to the UI uploader: ${reason}`, { fallback: reason, groups: retry.map(f => f.group).filter(Boolean) });
+  let ui;
+  try {
+    ui = await log.time('ui fallback', () => uploadUI.uploadToAdpilerUI(card, card.attachments, {
+      ...opts,
+      onlyGroups: retry[0].group ? retry.map(f => f.group) : null,
+      note: `🧭 Created through the AdPiler web UI — API fallback: ${reason}.`
+    }));
+  } catch (e) {
+    e.message = `API: ${reason}. Web UI fallback failed: ${e.message}`;
+    if (!result) throw e;
+    // keep what the API created on record; the groups left over fail the card
+    log.error('Web UI fallback failed:', e);
+    const retried = new Set(retry.map(f => f.group));
+    return {
+      ...result,
+      errors: [...result.errors.filter(f => !retried.has(f.group)), ...retry.map(f => ({ group: f.group, error: `${f.error} — ${e.message}` }))],
+      via: 'api',
+      fallbackReason: reason
+    };
+  }
+  if (!result) return { ...ui, ...(apiFailures.length && { errors: [...apiFailures, ...(ui.errors || [])] }), via: 'ui', fallbackReason: reason };
+
+  // some groups went through the API, the rest through the UI (a single retried group comes back without `ads`)
+  const retried = new Set(retry.map(f => f.group));
+  const uiAds = ui.ads || [{ group: retry[0].group, mode: ui.mode, adId: ui.adId || ui.displayAdId, outcome: ui.outcome, previewUrl: ui.previewUrls[0] || '' }];
+  return {
+    ...result,
+    previewUrls: [...result.previewUrls, ...ui.previewUrls],
+    ads: [...(result.ads || []), ...uiAds],
+    errors: [...result.errors.filter(f => !retried.has(f.group)), ...(ui.errors || []).filter(f => retried.has(f.group))],
+    via: 'api+ui',
+    fallbackReason: reason
+  };
+}
+
+const VIA_LABELS = { api: 'the API', ui: 'the web UI (API fallback)', 'api+ui': 'the API and the web UI (API fallback)' };
+
+async function runCardJob(job) {
+  const card = await log.time('fetch card', () => getFullCard(job.cardId));
+  log.info(`🗂️  Card "${card.name}" with ${card.attachments?.length || 0} attachment(s).`, { attachments: card.attachments?.length || 0 });
+
+  let result = null;
+  if (UPLOAD_MODE === 'hybrid' && uploadApi?.uploadToAdpiler) {
+    log.info('🔀 Using API uploader with web UI fallback...');
+    result = await log.time('upload', () => uploadHybrid(card, job), { uploader: 'hybrid' });
+  } else if (UPLOAD_MODE === 'api' && uploadApi?.uploadToAdpiler) {
+    log.info('🚀 Using API uploader...');
+    result = await log.time('upload', () => uploadApi.uploadToAdpiler(card, card.attachments, { postTrelloComment, dryRun: !!job.dryRun, force: !!job.force, forceMode: job.mode || '' }), { uploader: 'api' });
+  } else if (UPLOAD_MODE === 'ui' && uploadUI?.uploadToAdpilerUI) {
+    log.info('🧭 Using UI uploader...');
+    result = await log.time('upload', () => uploadUI.uploadToAdpilerUI(card, card.attachments, { postTrelloComment, dryRun: !!job.dryRun, force: !!job.force, forceMode: job.mode || '' }), { uploader: 'ui' });
+  } else {
+    throw new Error('No uploader available. Ensure ADPILER_UPLOAD_MODE=api, ui or hybrid and the corresponding file exists.');
+  }
+
+  const urls = result?.previewUrls || [];
+  // groups that failed while others went through (multi-group cards): the card still needs a producer's eye
+  const failed = result?.outcome === 'dry-run' ? [] : (result?.errors || []);
+  const via = result?.via ? ` via ${VIA_LABELS[result.via]}` : '';
+  const why = result?.fallbackReason ? `\nFallback reason: ${result.fallbackReason}` : '';
+  if (result?.outcome === 'dry-run') {
+    log.info('🧪 Dry run finished; plan posted to the card.');
+  } else if (result?.outcome === 'unchanged') {
+    log.info('↩️  Nothing new to upload for this card.');
+    await postTrelloComment(job.cardId, urls.length ? `Already in AdPiler (no changes):\n${urls.join('\n')}` : 'Already in AdPiler (no changes).');
+  } else if (urls.length) {
+    log.info('✅ Upload complete.', { previewUrls: urls, via: result.via });
+    await postTrelloComment(job.cardId, `Uploaded to AdPiler${via}:\n${urls.join('\n')}${why}`);
+  } else {
+    log.info('✅ Upload complete (no preview URLs returned).');
+    await postTrelloComment(job.cardId, `Uploaded to AdPiler${via}.${why}`);
+  }
+  if (failed.length) {
+    log.warn(`⚠️  ${failed.length} ad group(s) failed: ${failed.map(f => f.group).join(', ')}`, { failedGroups: failed.map(f => f.group) });
+    await postTrelloComment(job.cardId, `⚠️ Not everything was uploaded — ${failed.length} ad group(s) failed:\n${failed.map(f => `• [${f.group}] ${redact(f.error)}`).join('\n')}`);
+  }
+  if (result?.outcome !== 'dry-run') await applyCardOutcome(job.cardId, failed.length ? 'failed' : 'succeeded');
+  return result;
+}
+
+// Start queued jobs until every slot is busy; each finished job calls back in to fill its slot.
+function processQueue() {
+  let job;
+  while (runningCards.size < JOB_CONCURRENCY && (job = jobStore.nextQueued({ skipCards: runningCards }))) {
+    const started = job;
+    runningCards.add(started.cardId);
+    jobStore.updateJob(started.id, { status: 'running', attempts: (started.attempts || 0) + 1, startedAt: new Date().toISOString() });
+    runWithContext({ jobId: started.id, cardId: started.cardId, mode: started.mode || undefined }, () => runAndRecord(started))
+      .catch(e => log.error(`💥 Job ${started.id} crashed:`, e))
+      .finally(() => {
+        runningCards.delete(started.cardId);
+        processQueue();
+      });
+  }
+}
+
+async function runAndRecord(job) {
+  try {
+    const result = await log.time('job', () => runCardJob(job));
+    jobStore.updateJob(job.id, {
+      status: 'succeeded',
+      finishedAt: new Date().toISOString(),
+      result: { mode: result?.mode, outcome: result?.outcome, campaignId: result?.campaignId, adId: result?.adId, displayAdId: result?.displayAdId, previewUrls: result?.previewUrls || [], ads: result?.ads, errors: result?.errors, via: result?.via, fallbackReason: result?.fallbackReason }
+    });
+  } catch (e) {
+    log.error(`💥 Job ${job.id} (card ${job.cardId}) failed:`, e);
+    jobStore.updateJob(job.id, { status: 'failed', finishedAt: new Date().toISOString(), error: redact(e.message) });
+    if (e.validation) {
+      // blocking validation problems (copy, HTML5 bundles) were already commented; back to the producers
+      await moveCardToList(job.cardId, NEEDS_FIXES_LIST_NAME).catch(err => log.error('Move to fixes list failed:', err.message));
+      await applyCardOutcome(job.cardId, 'failed', { move: false });
+    } else {
+      await postTrelloComment(job.cardId, `❌ AdPiler upload failed:\n${describeJobError(e)}`);
+      await applyCardOutcome(job.cardId, 'failed');
+    }
+  }
 }
 
 // webhook
 app.post('/trello-webhook', async (req, res) => {
+  const sig = verifyTrelloSignature(req);
+  if (!sig.ok) {
+    log.warn(`🚫 Rejected webhook from ${req.ip}: ${sig.reason} (callback URL used: ${callbackUrlFor(req)})`);
+    return res.sendStatus(401);
+  }
   res.sendStatus(200); // ack quickly
   try {
     const type = req.body?.action?.type;
     const listAfter = req.body?.action?.data?.listAfter?.name || '';
     const cardId = req.body?.action?.data?.card?.id || '';
 
-    console.log(`📬 Webhook: type=${type || 'n/a'} listAfter="${listAfter}" cardId=${cardId || 'n/a'}`);
+    log.info(`📬 Webhook: type=${type || 'n/a'} listAfter="${listAfter}" cardId=${cardId || 'n/a'}`);
     if (type !== 'updateCard' || !listAfter || !cardId) return;
 
     const movedTo = normalize(listAfter);
     if (movedTo !== READY_LIST_NAME) {
-      console.log(`↪️  Ignored (moved to "${listAfter}", expecting "${process.env.READY_LIST_NAME || 'Ready For AdPiler'}")`);
+      log.info(`↪️  Ignored (moved to "${listAfter}", expecting "${process.env.READY_LIST_NAME || 'Ready For AdPiler'}")`);
       return;
     }
 
-    console.log(`➡️  Card moved to "${movedTo}": ${cardId} — fetching card details...`);
-    const card = await getFullCard(cardId);
-    console.log(`🗂️  Card "${card.name}" with ${card.attachments?.length || 0} attachment(s).`);
+    log.info(`➡️  Card moved to "${movedTo}": ${cardId}`);
 
     // cooldown per card
-    const prev = lastRun.get(cardId) || 0;
+    const prev = jobStore.getLastRun(cardId);
     const now = Date.now();
     if (now - prev < COOLDOWN_MS) {
-      console.log(`⏳ Skip duplicate for ${cardId} (cooldown)`);
+      log.info(`⏳ Skip duplicate for ${cardId} (cooldown)`);
       return;
     }
-    lastRun.set(cardId, now);
-
-    await enqueueJob(async () => {
-      let result = null;
-
-      if (UPLOAD_MODE === 'api' && uploadApi?.uploadToAdpiler) {
-        console.log('🚀 Using API uploader...');
-        result = await uploadApi.uploadToAdpiler(card, card.attachments, { postTrelloComment });
-      } else if (UPLOAD_MODE === 'ui' && uploadUI?.uploadToAdpilerUI) {
-        console.log('🧭 Using UI uploader...');
-        result = await uploadUI.uploadToAdpilerUI(card, card.attachments, { postTrelloComment });
-      } else {
-        throw new Error('No uploader available. Ensure ADPILER_UPLOAD_MODE=ui or api and the corresponding file exists.');
-      }
-
-      const urls = result?.previewUrls || [];
-      if (urls.length) {
-        console.log('✅ Upload complete. Preview URLs:', urls);
-        await postTrelloComment(cardId, `Uploaded to AdPiler:\n${urls.join('\n')}`);
-      } else {
-        console.log('✅ Upload complete (no preview URLs returned).');
-        await postTrelloComment(cardId, 'Uploaded to AdPiler.');
-      }
-    });
-
+    enqueueCardJob(cardId, { source: 'webhook' });
   } catch (e) {
-    console.error('💥 Webhook handler error:', e);
+    log.error('💥 Webhook handler error:', e);
   }
 });
 
-// start
-app.listen(PORT, () => {
-  console.log(`🌐 Server running on port ${PORT} (mode: ${UPLOAD_MODE})`);
-});
+// start (tests require this file for `app` and listen on their own port)
+function start(port = PORT) {
+  return app.listen(port, () => {
+    log.info(`🌐 Server running on port ${port} (mode: ${UPLOAD_MODE}, ${JOB_CONCURRENCY} concurrent job(s))`);
+    const recovered = jobStore.recoverInterrupted();
+    if (recovered.length) log.info(`♻️  Re-queued ${recovered.length} interrupted job(s):`, recovered.map(j => j.cardId));
+    const swept = sweepStale();
+    if (swept) log.info(`🧹 Removed ${swept} stale attachment cache dir(s)`);
+    processQueue();
+    // register/repair the boards' webhooks and keep checking them (TRELLO_WEBHOOK_BOARDS + TRELLO_CALLBACK_URL)
+    startWebhookMonitor();
+
+    clientMapping.checkMapping()
+      .then(({ source, rows, problems }) => {
+        log.info(`🗺️  Client mapping: ${rows} row(s) from ${source}`);
+        for (const p of problems) log[p.level === 'error' ? 'error' : 'warn'](`${p.level === 'error' ? '❌' : '⚠️ '} Mapping row ${p.line}: ${p.message}`);
+      })
+      .catch(e => log.error('❌ Client mapping check failed:', e.message));
+  });
+}
+
+if (require.main === module) start();
 
+module.exports = { app, start, verifyTrelloSignature, runCardJob };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+delete process.env.ADPILER_COPY_STRICT;
+const { validateAdMeta, matchCta } = require('../ad-copy-validation');
+const { PROFILES, findNetwork } = require('../network-profiles');
+
+const ok = { primary: 'Spring is here', headline: 'New season', cta: 'Learn More', url: 'https://acme.test/spring' };
+
+test('clean copy passes with nothing to report', () => {
+  const { errors, warnings, meta } = validateAdMeta(ok);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(meta.cta, 'Learn More');
+});
+
+test('lengths: over the recommended length warns, over the max blocks', () => {
+  const long = validateAdMeta({ ...ok, headline: 'h'.repeat(41) });
+  assert.deepEqual(long.errors, []);
+  assert.match(long.warnings[0].reason, /Headline is 41 characters; Facebook truncates after 40/);
+
+  const tooLong = validateAdMeta({ ...ok, primary: 'p'.repeat(2201) });
+  assert.deepEqual(tooLong.errors.map(e => e.field), ['primary']);
+  assert.match(tooLong.errors[0].reason, /max 2200 on Facebook/);
+});
+
+test('CTAs are mapped onto the network vocabulary (exact, alias, fuzzy) or rejected', () => {
+  assert.deepEqual(matchCta('learn more'), { value: 'Learn More', exact: true });
+  assert.deepEqual(matchCta('Buy now'), { value: 'Shop Now', exact: false });
+  assert.deepEqual(matchCta('Sign Upp'), { value: 'Sign Up', exact: false });
+  assert.equal(matchCta('Click here please'), null);
+
+  const mapped = validateAdMeta({ ...ok, cta: 'Register' });
+  assert.equal(mapped.meta.cta, 'Sign Up');
+  assert.match(mapped.warnings[0].reason, /CTA "Register" mapped to "Sign Up"/);
+
+  const bad = validateAdMeta({ ...ok, cta: 'Click here please' });
+  assert.deepEqual(bad.errors.map(e => e.field), ['cta']);
+});
+
+test('landing URLs must be absolute http(s) with a real hostname', () => {
+  assert.deepEqual(validateAdMeta({ ...ok, url: 'acme.test/spring' }).errors.map(e => e.field), ['url']);
+  assert.deepEqual(validateAdMeta({ ...ok, url: 'ftp://acme.test' }).errors.map(e => e.field), ['url']);
+  assert.match(validateAdMeta({ ...ok, url: 'https://localhost/x' }).errors[0].reason, /invalid hostname/);
+  assert.match(validateAdMeta({ ...ok, url: '' }).warnings[0].reason, /No Landing Page URL/);
+});
+
+test('per-slide copy gets the same checks, labelled by slide', () => {
+  const { errors, meta } = validateAdMeta({ ...ok, slides: { byIndex: { 2: { cta: 'nonsense words' } }, byFile: { 'three.png': { cta: 'shop now' } } } });
+  assert.match(errors[0].reason, /^Slide 2: CTA "nonsense words"/);
+  assert.equal(meta.slides.byFile['three.png'].cta, 'Shop Now');
+});
+
+test('network profiles: aliases, required fields, their own limits and CTA lists', () => {
+  assert.equal(findNetwork('IG'), PROFILES.instagram);
+  assert.equal(findNetwork('Tik Tok'), PROFILES.tiktok);
+  assert.equal(findNetwork('myspace'), null);
+
+  const linkedin = validateAdMeta({ ...ok, headline: '', cta: 'Request Demo' }, { profile: PROFILES.linkedin });
+  assert.deepEqual(linkedin.errors.map(e => e.field), ['headline']);
+  assert.equal(linkedin.meta.cta, 'Request Demo');
+  assert.deepEqual(validateAdMeta({ ...ok, cta: 'Request Demo' }).errors.map(e => e.field), ['cta'], 'not a Meta CTA');
+
+  const tiktok = validateAdMeta({ ...ok, primary: 't'.repeat(101) }, { profile: PROFILES.tiktok });
+  assert.match(tiktok.errors[0].reason, /Ad Text is 101 characters \(max 100 on TikTok\)/);
+
+  // X takes any CTA text
+  assert.equal(validateAdMeta({ ...ok, cta: 'Read the thread' }, { profile: PROFILES.twitter }).errors.length, 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const fetch = require('node-fetch');
+const { tmpDir } = require('./helpers/tmp');
+
+const dir = tmpDir();
+process.env.JOB_STORE_PATH = path.join(dir, 'jobs.json');
+process.env.LOG_LEVEL = 'error';
+const jobStore = require('../job-store');
+const { createAdminRouter } = require('../admin-api');
+
+async function adminServer(adminToken) {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter({ jobStore, enqueueCardJob: (cardId, extra) => jobStore.createJob({ cardId, ...extra }), adminToken }));
+  const server = await new Promise(r => { const s = app.listen(0, '127.0.0.1', () => r(s)); });
+  const base = `http://127.0.0.1:${server.address().port}/admin`;
+  const get = (p, token = adminToken) => fetch(`${base}${p}`, { headers: token ? { authorization: `Bearer ${token}` } : {} });
+  const post = (p, body) => fetch(`${base}${p}`, { method: 'POST', body: JSON.stringify(body), headers: { authorization: `Bearer ${adminToken}`, 'content-type': 'application/json' } });
+  return { get, post, close: () => server.close() };
+}
+
+test('GET /admin/jobs: default 50, limit=0 returns every job, bad values fall back to the default', async () => {
+  for (let i = 0; i < 60; i++) jobStore.createJob({ cardId: `card-${i}` });
+  const admin = await adminServer('admin-token');
+  try {
+    const count = async (q) => (await (await admin.get(`/jobs${q}`)).json()).jobs.length;
+    assert.equal(await count(''), 50);
+    assert.equal(await count('?limit=0'), 60);
+    assert.equal(await count('?limit=5'), 5);
+    assert.equal(await count('?limit=abc'), 50);
+    assert.equal(await count('?limit=-3'), 50);
+    const newest = (await (await admin.get('/jobs?limit=1')).json()).jobs[0];
+    assert.equal(newest.cardId, 'card-59');
+  } finally { admin.close(); }
+});
+
+test('the admin API needs its token, and is off without one', async () => {
+  let admin = await adminServer('admin-token');
+  try {
+    assert.equal((await admin.get('/jobs', '')).status, 401);
+    assert.equal((await admin.get('/jobs', 'admin-tokem')).status, 401);
+  } finally { admin.close(); }
+  admin = await adminServer('');
+  try {
+    assert.equal((await admin.get('/jobs', 'anything')).status, 503);
+  } finally { admin.close(); }
+});
+
+test('dryRun and force take true/false (or "true"/"false"); anything else is a 400', async () => {
+  const admin = await adminServer('admin-token');
+  try {
+    const run = async (body) => {
+      const res = await admin.post('/jobs', { cardId: 'card-flags', ...body });
+      const out = await res.json();
+      return res.status === 202 ? [out.job.id, jobStore.getJob(out.job.id)] : [res.status, out.error];
+    };
+    const flags = ([, job]) => [job.dryRun, job.force];
+    assert.deepEqual(flags(await run({ dryRun: 'false', force: 'false' })), [false, false]);
+    assert.deepEqual(flags(await run({ dryRun: true, force: 'true' })), [true, true]);
+    assert.deepEqual(flags(await run({})), [false, false]);
+    assert.deepEqual(await run({ dryRun: 'no' }), [400, 'dryRun must be true or false']);
+    assert.deepEqual(await run({ force: 1 }), [400, 'force must be true or false']);
+
+    const [id] = await run({ dryRun: true });
+    const retry = await admin.post(`/jobs/${id}/retry`, { dryRun: 'false' });
+    assert.equal(retry.status, 202);
+    assert.equal(jobStore.getJob((await retry.json()).job.id).dryRun, false);
+  } finally { admin.close(); }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { tmpDir } = require('./helpers/tmp');
+
+process.env.ATTACHMENT_CACHE_DIR = tmpDir();
+const { createAttachmentCache, fileStream, sweepStale } = require('../attachment-cache');
+
+const CACHE_DIR = process.env.ATTACHMENT_CACHE_DIR;
+const bytes = Buffer.from('creative bytes '.repeat(1000));
+
+test('each attachment is downloaded once, hashed, and streamed back from disk', async () => {
+  let opens = 0;
+  const files = createAttachmentCache(async () => {
+    opens++;
+    return { body: Readable.from([bytes.subarray(0, 5000), bytes.subarray(5000)]), mimeType: 'image/png' };
+  }, { label: 'card1' });
+
+  const att = { id: 'a1', name: '../banner 300x250.png' };
+  const [a, b] = await Promise.all([files.get(att), files.get(att)]);
+  assert.equal(opens, 1);
+  assert.equal(a, b);
+  assert.deepEqual([a.filename, a.mimeType, a.bytes], ['../banner 300x250.png', 'image/png', bytes.length]);
+  assert.equal(a.sha1, crypto.createHash('sha1').update(bytes).digest('hex'));
+  assert.ok(a.path.startsWith(CACHE_DIR) && !path.relative(CACHE_DIR, a.path).includes('..'));
+  assert.deepEqual(fs.readFileSync(a.path), bytes);
+
+  const [stream, opts] = fileStream(a);
+  const chunks = [];
+  for await (const c of stream) chunks.push(c);
+  assert.deepEqual(Buffer.concat(chunks), bytes);
+  assert.deepEqual(opts, { filename: a.filename, knownLength: bytes.length, contentType: 'image/png' });
+
+  files.cleanup();
+  assert.equal(fs.existsSync(a.path), false);
+});
+
+test('a failed download is not cached, so the next get retries', async () => {
+  let opens = 0;
+  const files = createAttachmentCache(async () => {
+    if (++opens === 1) throw new Error('HTTP 502');
+    return { body: Readable.from([bytes]), filename: 'clip.mp4' };
+  });
+  await assert.rejects(files.get({ id: 'v1' }), /HTTP 502/);
+  const entry = await files.get({ id: 'v1' });
+  assert.deepEqual([opens, entry.filename, entry.bytes], [2, 'clip.mp4', bytes.length]);
+  files.cleanup();
+});
+
+test('sweepStale removes only old cache directories', () => {
+  const old = fs.mkdtempSync(path.join(CACHE_DIR, 'adpiler-attachments-old-'));
+  const fresh = fs.mkdtempSync(path.join(CACHE_DIR, 'adpiler-attachments-new-'));
+  const other = fs.mkdtempSync(path.join(CACHE_DIR, 'something-else-'));
+  const past = new Date(Date.now() - 7 * 60 * 60 * 1000);
+  fs.utimesSync(old, past, past);
+  fs.utimesSync(other, past, past);
+
+  assert.equal(sweepStale(), 1);
+  assert.deepEqual([old, fresh, other].map(d => fs.existsSync(d)), [false, true, true]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { tmpDir } = require('./helpers/tmp');
+const { stubFetch } = require('./helpers/fetch-stub');
+const { cleanEnv, writeDotEnv, runScript } = require('./helpers/spawn');
+
+const dir = tmpDir();
+process.env.JOB_STORE_PATH = path.join(dir, 'jobs.json');
+process.env.LOG_LEVEL = 'error';
+
+const LIST_CARDS = [
+  { id: 'c1', name: 'Acme spring', due: '2026-10-20T12:00:00.000Z', labels: [{ name: 'Paid' }], closed: false },
+  { id: 'c2', name: 'Acme summer', due: null, labels: [{ name: 'Paid' }], closed: false },
+  { id: 'c3', name: 'Globex', due: '2026-10-21T12:00:00.000Z', labels: [{ name: 'paid' }], closed: false },
+  { id: 'c4', name: 'Acme archived', due: '2026-10-20T12:00:00.000Z', labels: [{ name: 'Paid' }], closed: true }
+];
+stubFetch((url) => {
+  if (url.includes('/boards/b1/lists')) return { body: [{ id: 'l1', name: 'Ready For AdPiler' }, { id: 'l2', name: 'Done' }] };
+  if (url.includes('/lists/l1/cards')) return { body: LIST_CARDS };
+  if (url.includes('api.trello.com')) return { status: 404, body: 'not found' };
+  return undefined;
+});
+
+const { readBatchRequest, matchesFilters, findBatchCards, batchReport, toCsv } = require('../batch-upload');
+const jobStore = require('../job-store');
+const { createAdminRouter } = require('../admin-api');
+
+test('readBatchRequest validates the source, dates and name pattern', () => {
+  assert.match(readBatchRequest({ boardId: 'b1' }).error, /required/);
+  assert.match(readBatchRequest({ listId: 'l1', dueBefore: 'soon' }).error, /dueBefore must be a date/);
+  assert.match(readBatchRequest({ listId: 'l1', name: '(' }).error, /not a valid regular expression/);
+  const { source, filters } = readBatchRequest({ boardId: 'b1', list: 'Ready For AdPiler', labels: ['Paid', ' '], dueBefore: '2026-11-01', name: '^acme' });
+  assert.deepEqual(source, { boardId: 'b1', list: 'Ready For AdPiler', listId: '' });
+  assert.deepEqual(filters.labels, ['Paid']);
+  assert.equal(filters.dueBefore, Date.parse('2026-11-01'));
+  assert.ok(filters.name.test('Acme spring'));
+});
+
+test('findBatchCards resolves the list by name and keeps open cards matching every filter', async () => {
+  const { source, filters } = readBatchRequest({ boardId: 'b1', list: 'ready for adpiler', labels: ['PAID'], dueBefore: '2026-11-01', name: '^acme' });
+  assert.deepEqual((await findBatchCards(source, filters)).map(c => c.id), ['c1']);
+  assert.deepEqual((await findBatchCards({ listId: 'l1' }, { labels: ['paid'] })).map(c => c.id), ['c1', 'c2', 'c3']);
+  assert.equal(matchesFilters(LIST_CARDS[1], { dueAfter: Date.parse('2026-01-01') }), false, 'no due date never matches a due filter');
+  await assert.rejects(findBatchCards({ boardId: 'b1', list: 'Nope' }), /List "Nope" not found/);
+});
+
+test('batchReport gives one row per ad, per failed group and per unfinished card', () => {
+  const report = batchReport('B1', [
+    { cardId: 'c1', cardName: 'Acme', status: 'succeeded', result: { mode: 'multi', outcome: 'created', ads: [{ group: 'carousel', adId: 'A1', previewUrl: 'https://p/1' }, { group: 'display', adId: 'A2', previewUrl: '' }], errors: [{ group: 'post', error: 'no usable attachment' }] } },
+    { cardId: 'c2', cardName: 'Globex, Inc', status: 'failed', error: 'Ad copy validation failed' },
+    { cardId: 'c3', cardName: 'Initech', status: 'queued' }
+  ]);
+  assert.equal(report.done, false);
+  assert.deepEqual(report.counts, { succeeded: 1, failed: 1, queued: 1 });
+  assert.deepEqual(report.rows.map(r => [r.cardId, r.group, r.adId, r.error]), [
+    ['c1', 'carousel', 'A1', ''], ['c1', 'display', 'A2', ''], ['c1', 'post', '', 'no usable attachment'],
+    ['c2', '', '', 'Ad copy validation failed'], ['c3', '', '', '']
+  ]);
+  const csv = toCsv(report.rows).split('\n');
+  assert.equal(csv[0], 'cardId,cardName,status,mode,outcome,group,adId,previewUrl,error');
+  assert.equal(csv[4], 'c2,"Globex, Inc",failed,,,,,,Ad copy validation failed');
+});
+
+test('the CLI takes ADMIN_URL and ADMIN_TOKEN from .env and prints the report', async () => {
+  const enqueueCardJob = (cardId, extra) => {
+    const job = jobStore.createJob({ cardId, ...extra });
+    jobStore.updateJob(job.id, { status: 'succeeded', result: { mode: 'post', outcome: extra.dryRun ? 'dry-run' : 'created', ads: [{ group: 'main', adId: `ad-${cardId}`, previewUrl: `https://preview.example/${cardId}` }], errors: [] } });
+    return job;
+  };
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter({ jobStore, enqueueCardJob, adminToken: 'batch-token-123' }));
+  const server = await new Promise(r => { const s = app.listen(0, '127.0.0.1', () => r(s)); });
+  try {
+    const cwd = tmpDir();
+    writeDotEnv(cwd, { ADMIN_URL: `http://127.0.0.1:${server.address().port}`, ADMIN_TOKEN: 'batch-token-123' });
+    const env = cleanEnv(['ADMIN_', 'PORT', 'TRELLO_']);
+    // findBatchCards runs in this process (stubbed Trello); the CLI only talks to the admin API
+    const { code, output } = await runScript('batch-upload.js', ['--list-id', 'l1', '--label', 'Paid', '--name', '^acme', '--format', 'csv'], { cwd, env });
+    assert.equal(code, 0, output);
+    assert.match(output, /Batch [\w-]+: 2 card\(s\) queued/);
+    assert.match(output, /c1,Acme spring,succeeded,post,created,main,ad-c1,https:\/\/preview\.example\/c1,/);
+    assert.match(output, /c2,Acme summer,succeeded,post,created,main,ad-c2,/);
+  } finally {
+    server.close();
+  }
+});
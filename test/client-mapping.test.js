@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, freshRequire } = require('./helpers/tmp');
+const { cleanEnv, writeDotEnv, runScript } = require('./helpers/spawn');
+
+const dir = tmpDir();
+const csvPath = path.join(dir, 'mapping.csv');
+fs.writeFileSync(csvPath, [
+  'Trello Client Name,Adpiler Client ID,Adpiler Campaign ID,Adpiler Campaign Code,Trello List Name,Page Name,Instagram Page Name',
+  'Acme,11,111,AC1,,Acme Page,@acme',
+  'Acme Spring,12,121,,,,',
+  'Acme,13,131,,Ready For AdPiler (EU),Acme EU,'
+].join('\n'));
+
+function load(env) {
+  for (const k of ['CLIENT_CSV_URL', 'CLIENT_MAPPING_FILE', 'DEFAULT_CLIENT_ID', 'DEFAULT_PROJECT_ID']) delete process.env[k];
+  Object.assign(process.env, env);
+  return freshRequire('client-mapping');
+}
+
+test('the longest client name found in the card title wins', async () => {
+  const { getClientMapping } = load({ CLIENT_MAPPING_FILE: csvPath });
+  assert.equal((await getClientMapping('Acme Spring Sale 1080x1080')).clientId, '12');
+  const acme = await getClientMapping('Acme summer post');
+  assert.equal(acme.clientId, '11');
+  assert.equal(acme.campaignCode, 'AC1');
+  assert.deepEqual(acme.pageNames, { instagram: '@acme' });
+});
+
+test('rows scoped to a list only match cards in that list, and beat unscoped rows there', async () => {
+  const { getClientMapping } = load({ CLIENT_MAPPING_FILE: csvPath });
+  assert.equal((await getClientMapping('Acme summer', { listName: 'ready for adpiler (eu)' })).clientId, '13');
+  assert.equal((await getClientMapping('Acme summer', { listName: 'Ready For AdPiler' })).clientId, '11');
+});
+
+test('no match falls back to the defaults, or throws without them', async () => {
+  let m = load({ CLIENT_MAPPING_FILE: csvPath, DEFAULT_CLIENT_ID: '1', DEFAULT_PROJECT_ID: '99' });
+  assert.deepEqual(await m.getClientMapping('Globex launch').then(r => [r.clientId, r.campaignId, r.source]), ['1', '99', 'defaults (no mapping match)']);
+  m = load({ CLIENT_MAPPING_FILE: csvPath });
+  await assert.rejects(m.getClientMapping('Globex launch'), /No client mapping found/);
+  m = load({});
+  await assert.rejects(m.getClientMapping('Acme'), /CLIENT_CSV_URL \/ CLIENT_MAPPING_FILE not set/);
+});
+
+test('checkMapping flags duplicates and names contained in other names', async () => {
+  const file = path.join(dir, 'dupes.json');
+  fs.writeFileSync(file, JSON.stringify([
+    { 'Trello Client Name': 'Acme', 'Adpiler Client ID': '1', 'Adpiler Campaign ID': '2' },
+    { trelloClientName: 'acme', adpilerClientId: '3', adpilerCampaignId: '4' },
+    { 'Trello Client Name': 'Acme Spring', 'Adpiler Client ID': '5' }
+  ]));
+  const { checkMapping } = load({ CLIENT_MAPPING_FILE: file });
+  const { rows, problems } = await checkMapping();
+  assert.equal(rows, 3);
+  assert.ok(problems.some(p => p.level === 'error' && p.line === 3 && /Duplicate of row 2/.test(p.message)));
+  assert.ok(problems.some(p => p.level === 'error' && p.line === 4 && /no Adpiler Campaign ID/.test(p.message)));
+  assert.ok(problems.some(p => p.level === 'warning' && /also appears in "Acme Spring"/.test(p.message)));
+});
+
+test('a failed refresh keeps serving the cached rows', async () => {
+  const file = path.join(dir, 'refresh.json');
+  fs.writeFileSync(file, JSON.stringify([{ 'Trello Client Name': 'Acme', 'Adpiler Client ID': '7' }]));
+  const m = load({ CLIENT_MAPPING_FILE: file, CLIENT_MAPPING_TTL_MS: '0' });
+  assert.equal((await m.loadMappingRows()).length, 1);
+  fs.writeFileSync(file, '{ not json');
+  assert.equal((await m.loadMappingRows())[0].clientId, '7');
+});
+
+test('the server reads mapping settings from .env', async () => {
+  const cwd = tmpDir();
+  writeDotEnv(cwd, {
+    PORT: '0',
+    CLIENT_MAPPING_FILE: csvPath,
+    JOB_STORE_PATH: path.join(cwd, 'jobs.json'),
+    UPLOAD_LEDGER_PATH: path.join(cwd, 'ledger.json'),
+    ATTACHMENT_CACHE_DIR: path.join(cwd, 'cache')
+  });
+  const env = cleanEnv(['CLIENT_', 'DEFAULT_', 'LOG_', 'PORT', 'JOB_', 'UPLOAD_LEDGER_PATH', 'ATTACHMENT_CACHE_DIR', 'TRELLO_']);
+  const { output } = await runScript('server.js', [], { cwd, env, until: /Client mapping(?: check failed|: \d+ row)/ });
+  assert.match(output, /Client mapping: 3 row\(s\) from .*mapping\.csv/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers/tmp');
+const { docx } = require('./helpers/media');
+
+process.env.LOG_LEVEL = 'error';
+const { isCopyDocument, readCopyDocuments, docxToText } = require('../copy-brief');
+
+const dir = tmpDir();
+
+// stands in for attachment-cache.js: writes the given content for each attachment (keyed by url or id)
+function fakeFiles(contents) {
+  const requested = [];
+  return {
+    requested,
+    async get(att) {
+      requested.push(att.url || att.id);
+      const body = contents[att.url || att.id];
+      if (body instanceof Error) throw body;
+      const file = path.join(dir, `${requested.length}-${att.name}`);
+      fs.writeFileSync(file, body);
+      return { id: att.id, path: file, filename: att.name, mimeType: att.mimeType || '', bytes: Buffer.byteLength(body) };
+    }
+  };
+}
+
+test('copy documents are told apart from media', () => {
+  assert.equal(isCopyDocument({ name: 'Brief.docx' }), true);
+  assert.equal(isCopyDocument({ name: 'copy.txt' }), true);
+  assert.equal(isCopyDocument({ name: 'notes', mimeType: 'text/markdown' }), true);
+  assert.equal(isCopyDocument({ url: 'https://docs.google.com/document/d/1AbCdEfGhIjKlMnOpQrStUvWx/edit' }), true);
+  assert.equal(isCopyDocument({ name: 'banner_300x250.png', mimeType: 'image/png' }), false);
+  assert.equal(isCopyDocument({ name: 'banner.zip' }), false);
+  assert.equal(isCopyDocument(null), false);
+});
+
+test('docx paragraphs become lines, with XML entities decoded', () => {
+  assert.equal(docxToText(docx(['Headline: Fish & Chips', 'CTA: Order Now'])), 'Headline: Fish & Chips\nCTA: Order Now\n');
+  assert.throws(() => docxToText(require('./helpers/media').zip({ 'a.txt': 'x' })), /not a Word document/);
+});
+
+test('text, Word and shared Google Doc briefs are read in attachment order; unreadable ones are skipped', async () => {
+  const DOC_ID = '1AbCdEfGhIjKlMnOpQrStUvWx';
+  const exportUrl = `https://docs.google.com/document/d/${DOC_ID}/export?format=txt`;
+  const files = fakeFiles({
+    t1: '﻿Primary Text: Hello\r\nURL: https://acme.test',
+    w1: docx(['Headline: From Word']),
+    [exportUrl]: 'Slide 2 Headline: From Docs',
+    'https://docs.google.com/document/d/1ZzZzZzZzZzZzZzZzZzZzZzZ/export?format=txt': '<!DOCTYPE html><html>Sign in</html>',
+    broken: new Error('HTTP 404')
+  });
+  const docs = await readCopyDocuments(files, [
+    { id: 't1', name: 'copy.txt', isUpload: true },
+    { id: 'p1', name: 'banner.png', isUpload: true },
+    { id: 'w1', name: 'Brief.docx', isUpload: true },
+    { id: 'g1', name: 'Brief (Docs)', url: `https://docs.google.com/document/d/${DOC_ID}/edit`, isUpload: false },
+    { id: 'g2', name: 'Private doc', url: 'https://docs.google.com/document/d/1ZzZzZzZzZzZzZzZzZzZzZzZ/edit', isUpload: false },
+    { id: 'broken', name: 'gone.txt', isUpload: true }
+  ]);
+  assert.deepEqual(docs, [
+    { id: 't1', filename: 'copy.txt', text: 'Primary Text: Hello\nURL: https://acme.test' },
+    { id: 'w1', filename: 'Brief.docx', text: 'Headline: From Word\n' },
+    { id: 'g1', filename: 'Brief (Docs)', text: 'Slide 2 Headline: From Docs' }
+  ]);
+  assert.deepEqual(files.requested, ['t1', 'w1', exportUrl, 'https://docs.google.com/document/d/1ZzZzZzZzZzZzZzZzZzZzZzZ/export?format=txt', 'broken']);
+});
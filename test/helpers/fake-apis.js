@@ -0,0 +1,98 @@
+/**
+ * Scripted Trello downloads + AdPiler REST API for uploader tests, as a stubFetch handler.
+ *
+ *   const apis = fakeApis({ files: { a1: png(1080, 1080) } });
+ *   stubFetch(apis.handler);
+ *
+ * Trello: GET …/cards/:card/attachments/:id/download serves files[id]. With `cards` ({ id: card with attachments,
+ * labels, … }) and `lists` ([{ id, name }] of board 'b1'), server.js's card fetch, comments, label and list moves work
+ * too and are kept in state.comments / state.labels (names put on cards) / state.moves (list names); anything else
+ * answers {}.
+ * AdPiler (ADPILER_API_BASE): POST campaigns/:c/social-ads, POST social-ads/:id/slides, POST campaigns/:c/ads,
+ * GET campaigns/:c → { code: 'CODE' }. What was written is kept in apis.state: socialAds, slides (in arrival order),
+ * displayAds ({ id?, adId?, fields, filename }); apis.carousel(adId) is an ad's slides the way AdPiler shows them,
+ * by `position`. `slideDelayMs` (a number, or filename → ms) holds each slide upload open to make them overlap.
+ * Slides whose filename is in `refuseSlides` answer 422. apis.override(call) may return a response to script failures.
+ */
+
+const { bodyText } = require('./fetch-stub');
+
+function parseMultipart(text) {
+  const fields = {};
+  let filename = '';
+  for (const part of text.split(/--+[-\w]*\r\n/)) {
+    const m = part.match(/name="([^"]+)"(?:; filename="([^"]*)")?[\s\S]*?\r\n\r\n([\s\S]*?)\r\n$/);
+    if (!m) continue;
+    if (m[2] !== undefined) filename = m[2];
+    else fields[m[1]] = m[3];
+  }
+  return { fields, filename };
+}
+
+function trelloRoute(url, method, { cards, lists, state }) {
+  const u = new URL(url);
+  const p = u.pathname.replace(/^\/1\//, '');
+  const card = cards[p.split('/')[1]];
+  const label = (name) => ({ id: `label-${name}`, name });
+  if (method === 'POST' && /\/actions\/comments$/.test(p)) { state.comments.push(u.searchParams.get('text')); return { body: {} }; }
+  if (method === 'GET' && p === 'boards/b1/lists') return { body: lists };
+  if (method === 'GET' && p === 'boards/b1/labels') return { body: [] };
+  if (method === 'POST' && p === 'boards/b1/labels') return { body: label(u.searchParams.get('name')) };
+  if (!card) return { body: {} };
+  if (method === 'POST' && /\/idLabels$/.test(p)) { state.labels.push(u.searchParams.get('value').replace(/^label-/, '')); return { body: {} }; }
+  if (method === 'PUT') { state.moves.push(lists.find(l => l.id === u.searchParams.get('idList'))?.name); return { body: {} }; }
+  const rest = p.split('/').slice(2).join('/');
+  if (!rest) return { body: { idBoard: 'b1', idList: 'l0', idLabels: [], customFieldItems: [], ...card } };
+  if (rest === 'list') return { body: { name: 'Ready For AdPiler' } };
+  if (rest === 'board') return { body: { name: 'Board' } };
+  if (['labels', 'attachments', 'checklists'].includes(rest)) return { body: card[rest] || [] };
+  return { body: {} };
+}
+
+function fakeApis({ files = {}, cards = {}, lists = [], base = process.env.ADPILER_API_BASE, slideDelayMs = 0, refuseSlides = [] } = {}) {
+  const state = { socialAds: [], slides: [], displayAds: [], comments: [], labels: [], moves: [], inFlight: 0, maxInFlight: 0 };
+  let next = 100;
+  const apis = { state, files, override: null };
+
+  apis.handler = async (url, init, call) => {
+    const scripted = apis.override && await apis.override(call);
+    if (scripted) return scripted;
+
+    if (url.includes('api.trello.com')) {
+      const m = url.match(/\/attachments\/([^/?]+)\/download/);
+      if (m) return files[m[1]] ? { body: files[m[1]] } : { status: 404, body: 'no such file' };
+      return trelloRoute(url, call.method, { cards, lists, state });
+    }
+    if (!url.startsWith(base)) return undefined;
+
+    const path = url.slice(base.length).split('?')[0].replace(/^\/+/, '');
+    if (call.method === 'GET' && /^campaigns\/[^/]+$/.test(path)) return { body: { code: 'CODE' } };
+    if (call.method !== 'POST') return { status: 404, body: { message: 'not found' } };
+
+    const { fields, filename } = parseMultipart(await bodyText(init));
+    if (/^campaigns\/[^/]+\/social-ads$/.test(path)) {
+      const id = String(next++);
+      state.socialAds.push({ id, fields });
+      return { body: { id } };
+    }
+    if (/^campaigns\/[^/]+\/ads$/.test(path)) {
+      const id = String(next++);
+      state.displayAds.push({ id, fields, filename });
+      return { body: { id } };
+    }
+    const slide = path.match(/^social-ads\/([^/]+)\/slides$/);
+    if (slide) {
+      if (refuseSlides.includes(filename)) return { status: 422, body: { message: 'The media file is invalid.' } };
+      state.maxInFlight = Math.max(state.maxInFlight, ++state.inFlight);
+      await new Promise(r => setTimeout(r, typeof slideDelayMs === 'function' ? slideDelayMs(filename) : slideDelayMs));
+      state.inFlight--;
+      state.slides.push({ adId: slide[1], fields, filename });
+      return { body: { id: String(next++) } };
+    }
+    return { status: 404, body: { message: `no route ${path}` } };
+  };
+  apis.carousel = (adId) => state.slides.filter(s => s.adId === adId).sort((a, b) => a.fields.position - b.fields.position);
+  return apis;
+}
+
+module.exports = { fakeApis, parseMultipart };
@@ -0,0 +1,87 @@
+/**
+ * Stand-in for puppeteer-core, for driving upload-to-adpiler-ui.js where no Chromium can run. Install it before
+ * requiring the uploader (it keeps the reference it got at load time), with CHROME_EXECUTABLE_PATH pointing at
+ * any existing file:
+ *
+ *   const browser = fakeBrowser();
+ *   const { uploadToAdpilerUI } = require('../upload-to-adpiler-ui');
+ *
+ * The page plays a very forgiving AdPiler: every selector exists, "New …" buttons open an editor, saving an ad
+ * lands on …/ads/<id> or …/social-ads/<id>, and saving a slide adds it to the open social ad. What was built is
+ * kept in browser.state: launches, ads ({ kind, id, fields, file }), slides ({ adId, file, fields }).
+ * Slides whose file is in state.refuseSlides are not saved; the form shows an error instead. With state.launchError
+ * set, launching or connecting throws it.
+ */
+
+const path = require('path');
+
+function fakeBrowser({ campaignCode = 'CODE' } = {}) {
+  const state = { launches: 0, ads: [], slides: [], refuseSlides: [], launchError: '' };
+  let nextId = 500;
+
+  function newPage() {
+    let url = 'about:blank';
+    let editor = null; // { kind, fields, file }
+    let socialAdId = '';
+    let formError = '';
+
+    const press = (text) => {
+      if (/^New Social Ad$|^Social Ad$/.test(text)) editor = { kind: 'social', fields: {}, file: '' };
+      else if (/^New Ad$|^Upload$/.test(text)) editor = { kind: 'display', fields: {}, file: '' };
+      else if (/^(Add Slide|New Slide|Add Media)$/.test(text)) editor = { kind: 'slide', fields: {}, file: '' };
+      else if (text === 'Save Slide' && state.refuseSlides.includes(editor.file)) formError = 'The media file is invalid.';
+      else if (text === 'Save Slide') state.slides.push({ adId: socialAdId, file: editor.file, fields: editor.fields });
+      else if (text === 'Create') {
+        const id = String(nextId++);
+        state.ads.push({ ...editor, id });
+        if (editor.kind === 'social') socialAdId = id;
+        url = `${url.replace(/\/(social-)?ads\/\d+$/, '')}/${editor.kind === 'social' ? 'social-ads' : 'ads'}/${id}`;
+      }
+    };
+    const field = (sel) => ({
+      click: async () => {},
+      type: async (value) => { if (editor) editor.fields[sel.match(/name="([^"]+)"/)?.[1] || sel] = value; },
+      evaluate: async (fn, ...args) => fn({ tagName: sel.startsWith('select') ? 'SELECT' : 'INPUT', checked: false, options: [{ value: args[0], textContent: args[0] }], dispatchEvent() {} }, ...args),
+      uploadFile: async (file) => { editor.file = path.basename(file); }
+    });
+
+    return {
+      setDefaultTimeout() {},
+      url: () => url,
+      goto: async (to) => { url = to; return { status: () => 200 }; },
+      type: async () => {},
+      click: async () => { url = url.replace(/\/login\b.*$/, '/dashboard'); },
+      waitForNavigation: async () => {},
+      waitForFunction: async () => {},
+      waitForSelector: async (sel) => field(sel),
+      $: async (sel) => {
+        const text = sel.match(/^::-p-text\((.+)\)$/);
+        if (text) return { click: async () => press(text[1]) };
+        if (/password/.test(sel) && !/\/login\b/.test(url)) return null;
+        return field(sel);
+      },
+      $eval: async () => { throw new Error('no such element'); },
+      $$eval: async (sel, fn) => {
+        if (sel === 'a') return fn([{ href: `https://preview.adpiler.com/${campaignCode}` }]);
+        const shown = formError;
+        formError = '';
+        return shown;
+      },
+      screenshot: async () => {},
+      content: async () => '',
+      close: async () => {}
+    };
+  }
+
+  const browser = { newPage: async () => newPage(), close: async () => {}, disconnect: async () => {} };
+  const fake = {
+    state,
+    launch: async () => { if (state.launchError) throw new Error(state.launchError); state.launches++; return browser; },
+    connect: async () => { if (state.launchError) throw new Error(state.launchError); state.launches++; return browser; }
+  };
+  require('puppeteer-core');
+  require.cache[require.resolve('puppeteer-core')].exports = fake;
+  return fake;
+}
+
+module.exports = { fakeBrowser };
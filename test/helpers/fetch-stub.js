@@ -0,0 +1,43 @@
+/**
+ * Test double for node-fetch. Install it before requiring the modules under test (they keep the
+ * reference they got at load time):
+ *
+ *   const stub = stubFetch((url, init) => url.includes('api.trello.com') ? { body: { id: 'c1' } } : undefined);
+ *   const { uploadToAdpiler } = require('../upload-to-adpiler');
+ *
+ * The handler returns { status, body, headers } — body as string, Buffer or a value sent as JSON — or
+ * undefined to let the request through to the real node-fetch (the local mock servers). Every call is
+ * kept in stub.calls as { url, method, init }; stub.handler can be swapped between tests.
+ */
+
+const { Readable } = require('stream');
+const real = require('node-fetch');
+
+function stubFetch(handler = () => undefined) {
+  const stub = async (url, init = {}) => {
+    const call = { url: String(url), method: String(init.method || 'GET').toUpperCase(), init };
+    stub.calls.push(call);
+    const r = await stub.handler(call.url, init, call);
+    if (r === undefined) return real(url, init);
+    const body = Buffer.isBuffer(r.body) || typeof r.body === 'string' ? r.body : JSON.stringify(r.body ?? {});
+    // a stream, like a real response: callers pipe res.body to disk
+    return new real.Response(Readable.from([Buffer.from(body)]), { status: r.status || 200, headers: r.headers || {} });
+  };
+  Object.assign(stub, real, { handler, calls: [] });
+  require.cache[require.resolve('node-fetch')].exports = stub;
+  return stub;
+}
+
+/** Body of a stubbed request as a string (multipart bodies are read through). */
+async function bodyText(init = {}) {
+  const { body } = init;
+  if (!body) return '';
+  if (typeof body === 'string' || Buffer.isBuffer(body)) return String(body);
+  const { PassThrough } = require('stream');
+  const chunks = [];
+  const pt = body.pipe(new PassThrough());
+  for await (const c of pt) chunks.push(Buffer.from(c));
+  return Buffer.concat(chunks).toString('latin1');
+}
+
+module.exports = { stubFetch, bodyText };
@@ -0,0 +1,93 @@
+/**
+ * Tiny media fixtures built in memory: PNG headers (image-size only reads the IHDR), zip archives
+ * (HTML5 banners, .docx) and MP4/MOV files with just the atoms video-inspect.js reads.
+ */
+
+const zlib = require('zlib');
+
+/** PNG signature + IHDR for w×h; `salt` changes the bytes (and so the sha1) without changing the size. */
+function png(w, h, salt = '') {
+  const b = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(b, 0);
+  b.writeUInt32BE(13, 8);
+  b.write('IHDR', 12);
+  b.writeUInt32BE(w, 16);
+  b.writeUInt32BE(h, 20);
+  b[24] = 8;
+  b[25] = 6;
+  return Buffer.concat([b, Buffer.from(String(salt))]);
+}
+
+/** Zip archive of { name: string|Buffer } (deflated entries). */
+function zip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, data] of Object.entries(entries)) {
+    const raw = Buffer.from(data);
+    const comp = zlib.deflateRawSync(raw);
+    const n = Buffer.from(name);
+    const crc = zlib.crc32 ? zlib.crc32(raw) >>> 0 : 0;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); local.writeUInt16LE(20, 4); local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14); local.writeUInt32LE(comp.length, 18); local.writeUInt32LE(raw.length, 22); local.writeUInt16LE(n.length, 26);
+    const cd = Buffer.alloc(46);
+    cd.writeUInt32LE(0x02014b50, 0); cd.writeUInt16LE(20, 4); cd.writeUInt16LE(20, 6); cd.writeUInt16LE(8, 10);
+    cd.writeUInt32LE(crc, 16); cd.writeUInt32LE(comp.length, 20); cd.writeUInt32LE(raw.length, 24); cd.writeUInt16LE(n.length, 28); cd.writeUInt32LE(offset, 42);
+    locals.push(local, n, comp);
+    central.push(cd, n);
+    offset += 30 + n.length + comp.length;
+  }
+  const cdBuf = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); end.writeUInt16LE(central.length / 2, 8); end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(cdBuf.length, 12); end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cdBuf, end]);
+}
+
+/** Minimal .docx: one paragraph per line, the label run in bold like a typical brief. */
+function docx(lines) {
+  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const para = (line) => {
+    const [label, ...rest] = line.split(':');
+    return rest.length
+      ? `<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>${esc(label)}:</w:t></w:r><w:r><w:t xml:space="preserve"> ${esc(rest.join(':').trim())}</w:t></w:r></w:p>`
+      : `<w:p><w:r><w:t>${esc(line)}</w:t></w:r></w:p>`;
+  };
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+    'word/document.xml': `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${lines.map(para).join('')}</w:body></w:document>`
+  });
+}
+
+// ISO-BMFF box: 32-bit size + type + payload
+function box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length + 8, 0);
+  head.write(type, 4, 'latin1');
+  return Buffer.concat([head, body]);
+}
+
+/**
+ * MP4/MOV with ftyp, moov (mvhd duration, a video track with tkhd size and stsd codec, optional audio track)
+ * and a small mdat. `rotated` sets a 90° track matrix (the stored size is then landscape for a portrait video).
+ */
+function mp4({ width = 1080, height = 1920, seconds = 15, codec = 'avc1', audio = true, brand = 'isom', rotated = false, mdatFirst = false } = {}) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(seconds * 1000, 16);
+  const tkhd = Buffer.alloc(84);
+  if (rotated) tkhd.writeInt32BE(65536, 44); else tkhd.writeInt32BE(65536, 40);
+  tkhd.writeUInt32BE((rotated ? height : width) * 65536, 76);
+  tkhd.writeUInt32BE((rotated ? width : height) * 65536, 80);
+  const hdlr = (handler) => { const b = Buffer.alloc(24); b.write(handler, 8, 'latin1'); return box('hdlr', b); };
+  const stsd = (format) => { const b = Buffer.alloc(24); b.writeUInt32BE(1, 4); b.writeUInt32BE(16, 8); b.write(format, 12, 'latin1'); return box('stsd', b); };
+  const trak = (handler, format) => box('trak', box('tkhd', tkhd), box('mdia', hdlr(handler), box('minf', box('stbl', stsd(format)))));
+  const moov = box('moov', box('mvhd', mvhd), trak('vide', codec), ...(audio ? [trak('soun', 'mp4a')] : []));
+  const ftyp = box('ftyp', Buffer.from(`${brand}\0\0\0\0`, 'latin1'));
+  const mdat = box('mdat', Buffer.alloc(64));
+  return mdatFirst ? Buffer.concat([ftyp, mdat, moov]) : Buffer.concat([ftyp, moov, mdat]);
+}
+
+module.exports = { png, zip, docx, mp4 };
@@ -0,0 +1,50 @@
+/**
+ * Run a repo script in a child process with its own working directory (so its .env is the one dotenv finds)
+ * and an environment stripped of the variables a test wants to control.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ROOT } = require('./tmp');
+
+/** process.env without the given names or anything starting with one of the given prefixes (e.g. 'TRELLO_'). */
+function cleanEnv(drop = [], extra = {}) {
+  const env = {};
+  for (const [k, v] of Object.entries(process.env)) if (!drop.some(d => k === d || (d.endsWith('_') && k.startsWith(d)))) env[k] = v;
+  return { ...env, ...extra };
+}
+
+function writeDotEnv(dir, vars) {
+  fs.writeFileSync(path.join(dir, '.env'), Object.entries(vars).map(([k, v]) => `${k}=${v}`).join('\n') + '\n');
+}
+
+/**
+ * Start `node <script> ...args`. Resolves { code, output } when it exits, or — with `until` — as soon as the
+ * combined output matches (the child is then stopped). Rejects after timeoutMs.
+ */
+function runScript(script, args = [], { cwd, env, until, timeoutMs = 20000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args], { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (child.exitCode === null) child.kill();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error(`${script} timed out; output so far:\n${output}`)), timeoutMs);
+    const onData = (d) => {
+      output += d;
+      if (until && until.test(output)) finish(resolve, { code: null, output });
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('error', e => finish(reject, e));
+    child.on('exit', code => finish(resolve, { code, output }));
+  });
+}
+
+module.exports = { cleanEnv, writeDotEnv, runScript };
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** Fresh temp directory, removed when the test process exits. */
+function tmpDir(prefix = 'trello-adpiler-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/** require() a repo module ('job-store') again, as a restarted process would load it (env and files re-read). */
+function freshRequire(name) {
+  const resolved = require.resolve(path.join(ROOT, name));
+  delete require.cache[resolved];
+  return require(resolved);
+}
+
+module.exports = { ROOT, tmpDir, freshRequire };
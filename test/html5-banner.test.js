@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inspectHtml5Zip, readZipEntries } = require('../html5-banner');
+const { zip } = require('./helpers/media');
+
+const page = (size = 'width=300,height=250', script = '') =>
+  `<html><head><meta name="ad.size" content="${size}"><script>${script}</script></head><body></body></html>`;
+
+test('a bundle with ad.size, a clickTag and a small weight passes', () => {
+  const z = inspectHtml5Zip(zip({ 'banner/index.html': page('width=300,height=250', 'var clickTag = "https://acme.test";'), 'banner/logo.svg': '<svg/>' }));
+  assert.equal(z.ok, true, z.errors.join('; '));
+  assert.deepEqual([z.width, z.height, z.entry, z.files], [300, 250, 'banner/index.html', 2]);
+});
+
+test('the clickTag may live in a bundled script; the index.html nearest the root is the entry', () => {
+  const z = inspectHtml5Zip(zip({
+    'index.html': page('width=728,height=90'),
+    'js/main.js': 'window.open(clickTAG1);',
+    'old/index.html': page('width=1,height=1')
+  }));
+  assert.equal(z.ok, true, z.errors.join('; '));
+  assert.deepEqual([z.width, z.height, z.entry], [728, 90, 'index.html']);
+});
+
+test('missing ad.size, missing clickTag, weight and macOS junk are reported', () => {
+  const z = inspectHtml5Zip(zip({ 'index.html': '<html></html>', '__MACOSX/._index.html': 'x' }), { maxBytes: 100 });
+  assert.equal(z.ok, false);
+  assert.equal(z.errors.length, 3);
+  assert.match(z.errors[0], /missing <meta name="ad.size"/);
+  assert.match(z.errors[1], /no clickTag/);
+  assert.match(z.errors[2], /^bundle is 1 KB \(limit 0 KB\)/);
+  assert.deepEqual(z.warnings, ['bundle contains __MACOSX/ metadata']);
+});
+
+test('a file that is not a zip, or has no HTML entry, fails cleanly', () => {
+  assert.match(inspectHtml5Zip(Buffer.from('not a zip at all, just some text bytes')).errors[0], /^unreadable zip/);
+  assert.match(inspectHtml5Zip(zip({ 'a.html': 'x', 'b.html': 'y' })).errors[0], /no index.html/);
+  assert.deepEqual(readZipEntries(zip({ 'a.txt': 'hello' })).map(e => [e.name, e.read().toString()]), [['a.txt', 'hello']]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, freshRequire } = require('./helpers/tmp');
+
+const dir = tmpDir();
+process.env.JOB_STORE_PATH = path.join(dir, 'jobs.json');
+process.env.JOB_MAX_ATTEMPTS = '2';
+
+test('jobs are journaled to disk and survive a restart', () => {
+  const store = freshRequire('job-store');
+  const job = store.createJob({ cardId: 'c1', source: 'webhook' });
+  assert.equal(job.status, 'queued');
+  store.updateJob(job.id, { status: 'running', attempts: 1 });
+
+  const onDisk = JSON.parse(fs.readFileSync(process.env.JOB_STORE_PATH, 'utf8'));
+  assert.equal(onDisk.jobs[0].status, 'running');
+
+  const restarted = freshRequire('job-store');
+  assert.deepEqual(restarted.getJob(job.id).source, 'webhook');
+});
+
+test('recoverInterrupted re-queues running jobs and fails those out of attempts', () => {
+  fs.writeFileSync(process.env.JOB_STORE_PATH, JSON.stringify({
+    jobs: [
+      { id: 'a', cardId: 'c1', status: 'running', attempts: 1 },
+      { id: 'b', cardId: 'c2', status: 'running', attempts: 2 },
+      { id: 'c', cardId: 'c3', status: 'succeeded', attempts: 1 }
+    ],
+    lastRun: {}
+  }));
+  const store = freshRequire('job-store');
+  const recovered = store.recoverInterrupted();
+
+  assert.deepEqual(recovered.map(j => j.id), ['a']);
+  assert.equal(store.getJob('a').status, 'queued');
+  assert.equal(store.getJob('b').status, 'failed');
+  assert.match(store.getJob('b').error, /Interrupted after 2 attempt/);
+  assert.equal(store.getJob('c').status, 'succeeded');
+});
+
+test('nextQueued skips cards that already have a job running', () => {
+  fs.rmSync(process.env.JOB_STORE_PATH, { force: true });
+  const store = freshRequire('job-store');
+  const first = store.createJob({ cardId: 'c1' });
+  const second = store.createJob({ cardId: 'c1' });
+  const other = store.createJob({ cardId: 'c2' });
+
+  assert.equal(store.nextQueued().id, first.id);
+  assert.equal(store.nextQueued({ skipCards: new Set(['c1']) }).id, other.id);
+  assert.equal(store.listJobs({ cardId: 'c1' }).length, 2);
+  assert.equal(store.cancelJob(second.id).ok, true);
+  assert.equal(store.cancelJob(second.id).reason, 'job is cancelled');
+});
+
+test('cooldown timestamps persist and old ones are dropped', () => {
+  const store = freshRequire('job-store');
+  store.setLastRun('old', 1000);
+  store.setLastRun('new', 100000, 50000);
+  const restarted = freshRequire('job-store');
+  assert.equal(restarted.getLastRun('new'), 100000);
+  assert.equal(restarted.getLastRun('old'), 0);
+});
+
+test('job logs are appended per job', () => {
+  const store = freshRequire('job-store');
+  store.appendLog('job-1', '{"msg":"one"}');
+  store.appendLog('job-1', '{"msg":"two"}');
+  assert.equal(store.readLog('job-1'), '{"msg":"one"}\n{"msg":"two"}\n');
+  assert.equal(store.readLog('missing'), '');
+});
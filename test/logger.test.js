@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tmpDir } = require('./helpers/tmp');
+const { cleanEnv, writeDotEnv, runScript } = require('./helpers/spawn');
+
+process.env.TRELLO_TOKEN = 'trello-secret-token-123';
+delete process.env.LOG_FORMAT;
+process.env.LOG_LEVEL = 'info';
+const { createLogger, runWithContext, setContext, setJobSink, redact } = require('../logger');
+
+// capture what the logger writes to stdout/stderr while fn runs
+async function capture(fn) {
+  const lines = [];
+  const orig = { out: process.stdout.write, err: process.stderr.write };
+  process.stdout.write = process.stderr.write = (chunk) => { lines.push(String(chunk).trim()); return true; };
+  try { await fn(); } finally { process.stdout.write = orig.out; process.stderr.write = orig.err; }
+  return lines.map(l => JSON.parse(l));
+}
+
+test('lines are JSON with the job context and trailing fields', async () => {
+  const log = createLogger();
+  const lines = await capture(() => runWithContext({ jobId: 'j1', cardId: 'c1' }, async () => {
+    setContext({ mode: 'post' });
+    log.info('uploaded', 3, 'slides', { adId: 'A1' });
+  }));
+  assert.deepEqual(lines.map(({ ts, ...l }) => l), [{ level: 'info', msg: 'uploaded 3 slides', jobId: 'j1', cardId: 'c1', mode: 'post', adId: 'A1' }]);
+});
+
+test('debug lines are dropped at the default level; errors carry their fields', async () => {
+  const log = createLogger();
+  const err = Object.assign(new Error('boom'), { status: 503, body: { message: 'busy' } });
+  const lines = await capture(() => { log.debug('quiet'); log.error('failed:', err); });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].msg, 'failed: boom');
+  assert.equal(lines[0].error.status, 503);
+  assert.equal(lines[0].error.body, '{"message":"busy"}');
+});
+
+test('secrets, key/token query values and bearer tokens are redacted', () => {
+  const out = redact('GET https://api.trello.com/1/cards?key=abc&token=trello-secret-token-123 Bearer eyJhbGciOi.x');
+  assert.doesNotMatch(out, /trello-secret-token-123|abc&|eyJhbGciOi/);
+  assert.match(out, /key=\[redacted\]/);
+  assert.match(out, /Bearer \[redacted\]/);
+});
+
+test('job lines reach the job sink; time() logs durations, also on failure', async () => {
+  const sunk = [];
+  setJobSink((jobId, line) => sunk.push([jobId, JSON.parse(line).msg]));
+  const log = createLogger();
+  const lines = await capture(() => runWithContext({ jobId: 'j2' }, async () => {
+    await log.time('fetch card', async () => 'ok');
+    await log.time('upload', async () => { throw new Error('nope'); }).catch(() => {});
+  }));
+  setJobSink(null);
+  assert.deepEqual(sunk, [['j2', 'fetch card done'], ['j2', 'upload failed: nope']]);
+  assert.equal(lines[1].level, 'warn');
+  assert.equal(typeof lines[1].durationMs, 'number');
+});
+
+test('the server takes LOG_FORMAT and LOG_LEVEL from .env', async () => {
+  const cwd = tmpDir();
+  writeDotEnv(cwd, {
+    PORT: '0',
+    LOG_FORMAT: 'text',
+    LOG_LEVEL: 'warn',
+    DEFAULT_CLIENT_ID: '1',
+    JOB_STORE_PATH: path.join(cwd, 'jobs.json'),
+    ATTACHMENT_CACHE_DIR: path.join(cwd, 'cache')
+  });
+  const env = cleanEnv(['CLIENT_', 'DEFAULT_', 'LOG_', 'PORT', 'JOB_', 'ATTACHMENT_CACHE_DIR', 'TRELLO_', 'ADMIN_TOKEN']);
+  const { output } = await runScript('server.js', [], { cwd, env, until: /ADMIN_TOKEN not set/ });
+  const lines = output.trim().split('\n');
+  assert.match(lines[0], /^\d{4}-\d\d-\d\dT\S+ WARN .*ADMIN_TOKEN not set/);
+  assert.ok(!lines.some(l => l.startsWith('{')), 'no JSON lines');
+  assert.ok(!/Loaded upload-to-adpiler/.test(output), 'info lines are dropped at LOG_LEVEL=warn');
+});
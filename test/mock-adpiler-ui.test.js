@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers/tmp');
+const { startMockAdpiler } = require('../mock-adpiler-ui');
+const { UI_SELECTORS, UI_BUTTONS } = require('../upload-to-adpiler-ui');
+
+// Chromium cannot be assumed on CI, so these drive the mock over plain HTTP the way its pages' forms would.
+const assets = tmpDir();
+fs.writeFileSync(path.join(assets, 'banner_300x250.png'), 'png bytes');
+
+let mock;
+let cookie = '';
+const http = (url, { method = 'GET', json, form } = {}) => fetch(mock.url + url, {
+  method,
+  redirect: 'manual',
+  headers: { cookie, ...(json ? { 'content-type': 'application/json' } : {}), ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {}) },
+  body: json ? JSON.stringify(json) : form ? new URLSearchParams(form).toString() : undefined
+});
+
+test.before(async () => { mock = await startMockAdpiler({ port: 0, assetsDir: assets, previewDomain: 'preview.test' }); });
+test.after(() => mock.close());
+
+test('login checks credentials and every other page needs the session', async () => {
+  assert.equal((await http('/campaigns/7')).headers.get('location'), '/login');
+  const bad = await http('/login', { method: 'POST', form: { email: 'mock@adpiler.test', password: 'nope' } });
+  assert.equal(bad.status, 401);
+  assert.match(await bad.text(), /credentials do not match/);
+
+  const ok = await http('/login', { method: 'POST', form: { email: 'mock@adpiler.test', password: 'mock' } });
+  assert.equal(ok.headers.get('location'), '/campaigns');
+  cookie = ok.headers.get('set-cookie').split(';')[0];
+  assert.equal((await http('/campaigns/7')).status, 200);
+});
+
+test('pages carry the fields and buttons the UI uploader looks for', async () => {
+  const social = await (await http('/campaigns/7/social-ads', { method: 'POST', json: { name: 'P', network: 'facebook', page_name: 'Acme', type: 'post' } })).json();
+  const pages = ['/login', '/campaigns/7', '/campaigns/7/ads/new', '/campaigns/7/social-ads/new', social.redirect];
+  const html = (await Promise.all(pages.map(async p => (await http(p)).text()))).join('\n');
+  for (const [key, selectors] of Object.entries(UI_SELECTORS).filter(([, v]) => Array.isArray(v))) {
+    assert.match(html, new RegExp(`name="${selectors[0].match(/name="([^"]+)"/)[1]}"`), key);
+  }
+  for (const [key, labels] of Object.entries(UI_BUTTONS)) {
+    assert.ok(labels.some(l => html.includes(`>${l}</`)), key);
+  }
+  await http('/__mock/reset', { method: 'POST' });
+});
+
+test('display ads, social ads and slides are kept and shown on the campaign page', async () => {
+  assert.equal((await http('/campaigns/7/ads', { method: 'POST', json: { name: 'x' } })).status, 422);
+
+  const display = await (await http('/campaigns/7/ads', { method: 'POST', json: { file: [{ name: 'banner_300x250.png', size: 9 }], name: 'Banner', width: '300', height: '250' } })).json();
+  assert.match(display.redirect, /^\/campaigns\/7\/ads\/\d+$/);
+  assert.match(await (await http(display.redirect)).text(), /data-ad-id="\d+">Banner 300x250/);
+
+  const social = await (await http('/campaigns/7/social-ads', { method: 'POST', json: { name: 'Post', network: 'instagram', page_name: 'Acme', type: 'post-carousel', paid: true } })).json();
+  const adId = social.redirect.split('/').pop();
+  const slide = await (await http(`${social.redirect}/slides`, { method: 'POST', json: { file: [{ name: 'a.png' }], headline: 'First' } })).json();
+  assert.equal(slide.label, '1. a.png — First');
+  assert.equal((await http(`${social.redirect}/slides`, { method: 'POST', json: { headline: 'no file' } })).status, 422);
+  assert.match(await (await http(social.redirect)).text(), /<li>1\. a\.png — First<\/li>/);
+
+  const campaign = await (await http('/campaigns/7')).text();
+  assert.match(campaign, new RegExp(`https://preview\\.test/MOCK7/\\?ad=${adId}`));
+
+  const { ads } = await (await http('/__mock/state')).json();
+  assert.deepEqual(ads.map(a => [a.kind, a.name, a.slides?.length]), [['display', 'Banner', undefined], ['social', 'Post', 1]]);
+  await http('/__mock/reset', { method: 'POST' });
+  assert.deepEqual((await (await http('/__mock/state')).json()).ads, []);
+});
+
+test('creatives are served from the assets folder', async () => {
+  assert.equal(await (await http('/__assets/banner_300x250.png')).text(), 'png bytes');
+});
+
+test('--fail makes that save answer 500', async () => {
+  const failing = await startMockAdpiler({ port: 0, fail: 'display' });
+  try {
+    const login = await fetch(`${failing.url}/login`, { method: 'POST', redirect: 'manual', body: new URLSearchParams({ email: 'mock@adpiler.test', password: 'mock' }) });
+    const res = await fetch(`${failing.url}/campaigns/7/ads`, {
+      method: 'POST',
+      headers: { cookie: login.headers.get('set-cookie').split(';')[0], 'content-type': 'application/json' },
+      body: JSON.stringify({ file: [{ name: 'a.png' }], name: 'A', width: '1', height: '1' })
+    });
+    assert.equal(res.status, 500);
+    assert.match((await res.json()).error, /--fail display/);
+  } finally {
+    await failing.close();
+  }
+});
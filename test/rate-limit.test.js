@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'error';
+const { createRateLimiter, limitedFetch, retryAfterMs, mapConcurrent } = require('../rate-limit');
+
+// local server answering with the scripted statuses in turn (then 200); records when each request arrived
+async function scriptedServer(statuses, headers = {}) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    const status = statuses[hits.length] || 200;
+    hits.push(Date.now());
+    res.writeHead(status, status === 200 ? {} : headers);
+    res.end(String(status));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { url: `http://127.0.0.1:${server.address().port}/x`, hits, close: () => server.close() };
+}
+
+test('5xx answers are retried with exponential backoff when asked to', async () => {
+  const srv = await scriptedServer([503, 503]);
+  try {
+    const res = await limitedFetch(createRateLimiter('t'), srv.url, {}, { retryServerErrors: true });
+    assert.equal(res.status, 200);
+    assert.equal(srv.hits.length, 3);
+    const waits = [srv.hits[1] - srv.hits[0], srv.hits[2] - srv.hits[1]];
+    assert.ok(waits[0] >= 390, `first retry after ${waits[0]}ms`);
+    assert.ok(waits[1] >= 790, `second retry after ${waits[1]}ms`);
+  } finally { srv.close(); }
+});
+
+test('5xx answers are returned as-is without retryServerErrors, and after the last retry', async () => {
+  let srv = await scriptedServer([502]);
+  try {
+    assert.equal((await limitedFetch(createRateLimiter('t'), srv.url)).status, 502);
+    assert.equal(srv.hits.length, 1);
+  } finally { srv.close(); }
+  srv = await scriptedServer([500, 500]);
+  try {
+    assert.equal((await limitedFetch(createRateLimiter('t'), srv.url, {}, { retries: 1, retryServerErrors: true })).status, 500);
+    assert.equal(srv.hits.length, 2);
+  } finally { srv.close(); }
+});
+
+test('a 429 waits Retry-After and holds every caller of the service', async () => {
+  const srv = await scriptedServer([429], { 'retry-after': '0.3' });
+  const limiter = createRateLimiter('t');
+  try {
+    const first = limitedFetch(limiter, srv.url);
+    await new Promise(r => setTimeout(r, 100)); // the 429 has paused the limiter by now
+    const started = Date.now();
+    await limiter.take();
+    assert.ok(Date.now() - started >= 150, 'other callers wait out the pause');
+    assert.equal((await first).status, 200);
+    assert.ok(srv.hits[1] - srv.hits[0] >= 290);
+  } finally { srv.close(); }
+});
+
+test('streamed bodies are only retried when init is a factory', async () => {
+  const { Readable } = require('stream');
+  const srv = await scriptedServer([503]);
+  try {
+    const res = await limitedFetch(createRateLimiter('t'), srv.url, { method: 'POST', body: Readable.from(['x']) }, { retryServerErrors: true });
+    assert.equal(res.status, 503);
+    assert.equal(srv.hits.length, 1);
+  } finally { srv.close(); }
+});
+
+test('the token bucket paces calls after the burst', async () => {
+  const limiter = createRateLimiter('t', { perSecond: 10, burst: 2 });
+  const started = Date.now();
+  for (let i = 0; i < 4; i++) await limiter.take();
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 180 && elapsed < 1000, `4 takes at 10/s with burst 2 took ${elapsed}ms`);
+});
+
+test('retryAfterMs reads seconds and HTTP dates', () => {
+  assert.equal(retryAfterMs('2'), 2000);
+  assert.equal(retryAfterMs(null), null);
+  assert.equal(retryAfterMs('soon'), null);
+  const ms = retryAfterMs(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000);
+});
+
+test('mapConcurrent keeps input order and the in-flight limit', async () => {
+  let inFlight = 0;
+  let max = 0;
+  const out = await mapConcurrent([30, 10, 20, 5], 2, async (ms, i) => {
+    max = Math.max(max, ++inFlight);
+    await new Promise(r => setTimeout(r, ms));
+    inFlight--;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3]);
+  assert.equal(max, 2);
+});
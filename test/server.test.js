@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tmpDir, freshRequire } = require('./helpers/tmp');
+const { stubFetch } = require('./helpers/fetch-stub');
+const { fakeApis } = require('./helpers/fake-apis');
+const { png, zip, mp4 } = require('./helpers/media');
+const fixture = require('./fixtures/trello-webhook.json');
+
+const dir = tmpDir();
+process.chdir(dir); // no stray .env from the checkout
+Object.assign(process.env, {
+  JOB_STORE_PATH: path.join(dir, 'jobs.json'),
+  UPLOAD_LEDGER_PATH: path.join(dir, 'ledger.json'),
+  ATTACHMENT_CACHE_DIR: dir,
+  TRELLO_WEBHOOK_SECRET: fixture.secret,
+  TRELLO_APP_SECRET: '',
+  TRELLO_CALLBACK_URL: fixture.callbackUrl,
+  TRELLO_WEBHOOK_ALLOW_UNSIGNED: '',
+  ADPILER_API_BASE: 'https://adpiler.test/api',
+  ADPILER_API_KEY: 'k',
+  TRELLO_API_KEY: 'tk',
+  TRELLO_TOKEN: 'tt',
+  DEFAULT_CLIENT_ID: '7',
+  DEFAULT_PROJECT_ID: '99',
+  ADPILER_UPLOAD_MODE: 'api',
+  LOG_LEVEL: 'error'
+});
+
+const stub = stubFetch(); // requests to the local server pass through
+const fetch = require('node-fetch');
+
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(r => server.once('listening', r));
+  return { url: `http://127.0.0.1:${server.address().port}/trello-webhook`, close: () => server.close() };
+}
+
+const post = (url, body, headers = {}) => fetch(url, { method: 'POST', body, headers: { 'content-type': 'application/json', ...headers } });
+
+test('webhook POSTs signed with the app secret are accepted, anything else is rejected', async () => {
+  const srv = await listen(require('../server').app);
+  try {
+    assert.equal((await post(srv.url, fixture.body, { 'x-trello-webhook': fixture.signature })).status, 200);
+    assert.equal((await post(srv.url, fixture.body)).status, 401, 'unsigned');
+    assert.equal((await post(srv.url, fixture.body.replace('Client Review', 'Ready For AdPiler'), { 'x-trello-webhook': fixture.signature })).status, 401, 'body changed');
+    assert.equal((await post(srv.url, fixture.body, { 'x-trello-webhook': fixture.signature.replace(/^./, c => (c === 'A' ? 'B' : 'A')) })).status, 401, 'bad signature');
+  } finally { srv.close(); }
+});
+
+test('without a secret every webhook POST is rejected unless TRELLO_WEBHOOK_ALLOW_UNSIGNED=true', async () => {
+  process.env.TRELLO_WEBHOOK_SECRET = '';
+  let srv = await listen(freshRequire('server').app);
+  try {
+    assert.equal((await post(srv.url, fixture.body)).status, 401);
+    assert.equal((await post(srv.url, fixture.body, { 'x-trello-webhook': fixture.signature })).status, 401);
+  } finally { srv.close(); }
+
+  process.env.TRELLO_WEBHOOK_ALLOW_UNSIGNED = 'true';
+  srv = await listen(freshRequire('server').app);
+  try {
+    assert.equal((await post(srv.url, fixture.body)).status, 200);
+  } finally { srv.close(); }
+});
+
+// ---------- job outcome ----------
+const LISTS = [{ id: 'l-ok', name: 'Uploaded to AdPiler' }, { id: 'l-failed', name: 'AdPiler Upload Failed' }];
+const upload = (id, name) => ({ id, name, isUpload: true, mimeType: 'image/png' });
+const cardWith = (id, attachments) => ({ id, name: `Acme spring ${id}`, desc: 'Primary Text: Spring is here\nURL: https://acme.test', attachments });
+const files = { s1: png(1080, 1080, 1), s2: png(1080, 1080, 2), d1: png(300, 250) };
+const twoGroups = [upload('s1', 'one.png'), upload('s2', 'two.png'), upload('d1', 'acme_300x250.png')];
+
+test('a card where every group uploaded is labelled and moved as uploaded', async () => {
+  const apis = fakeApis({ files, lists: LISTS, cards: { c1: cardWith('c1', twoGroups) } });
+  stub.handler = apis.handler;
+  const result = await require('../server').runCardJob({ id: 'j1', cardId: 'c1' });
+  assert.equal(result.errors.length, 0);
+  assert.deepEqual(apis.state.labels, ['Uploaded to AdPiler']);
+  assert.deepEqual(apis.state.moves, ['Uploaded to AdPiler']);
+});
+
+test('a card where one group failed gets the failure outcome, not the success one', async () => {
+  const apis = fakeApis({ files, lists: LISTS, cards: { c2: cardWith('c2', twoGroups) } });
+  apis.override = (call) => (call.method === 'POST' && /\/ads$/.test(call.url) ? { status: 422, body: { message: 'size not allowed' } } : undefined);
+  stub.handler = apis.handler;
+
+  const result = await require('../server').runCardJob({ id: 'j2', cardId: 'c2' });
+
+  assert.equal(apis.state.socialAds.length, 1, 'the carousel still went through');
+  assert.deepEqual(result.errors.map(f => f.group), ['display']);
+  assert.deepEqual(apis.state.labels, ['AdPiler Upload Failed']);
+  assert.deepEqual(apis.state.moves, ['AdPiler Upload Failed']);
+  assert.ok(apis.state.comments.some(c => /1 ad group\(s\) failed:\n• \[display\] POST \/ads → 422/.test(c)), apis.state.comments.join('\n---\n'));
+});
+
+test('a carousel with a slide AdPiler refused gets the failure outcome', async () => {
+  const apis = fakeApis({ files, lists: LISTS, cards: { c3: cardWith('c3', [upload('s1', 'one.png'), upload('s2', 'two.png')]) }, refuseSlides: ['two.png'] });
+  stub.handler = apis.handler;
+
+  const result = await require('../server').runCardJob({ id: 'j3', cardId: 'c3' });
+
+  assert.equal(result.outcome, 'created');
+  assert.deepEqual(apis.state.slides.map(s => s.filename), ['one.png']);
+  assert.match(result.errors[0].error, /^1 slide\(s\) not uploaded to ad \d+: two\.png: AdPiler 422/);
+  assert.deepEqual(apis.state.labels, ['AdPiler Upload Failed']);
+  assert.deepEqual(apis.state.moves, ['AdPiler Upload Failed']);
+});
+
+test('a multi-group card where every group failed validation is blocked with all the problems', async () => {
+  const badZip = zip({ 'index.html': '<html><head><meta name="ad.size" content="width=300,height=250"></head></html>' });
+  const apis = fakeApis({
+    files: { v1: mp4({ codec: 'apcn' }), z1: badZip },
+    lists: LISTS,
+    cards: { c4: cardWith('c4', [upload('v1', 'video_teaser.mov'), upload('z1', 'display_banner.zip')]) }
+  });
+  stub.handler = apis.handler;
+
+  await assert.rejects(require('../server').runCardJob({ id: 'j4', cardId: 'c4' }), (e) => {
+    assert.deepEqual(e.failures.map(f => f.group), ['video', 'display']);
+    assert.deepEqual(e.validation.map(v => v.filename), ['video_teaser.mov', 'display_banner.zip']);
+    return true;
+  });
+  assert.match(apis.state.comments[0], /^❌ AdPiler upload blocked — nothing was created:\n  - video_teaser\.mov: .*ProRes[\s\S]*\n  - display_banner\.zip: HTML5 validation failed/);
+  assert.deepEqual([apis.state.socialAds.length, apis.state.displayAds.length], [0, 0]);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tmpDir } = require('./helpers/tmp');
+const { cleanEnv, writeDotEnv, runScript } = require('./helpers/spawn');
+const { startMockTrello } = require('../mock-trello-api');
+
+const BOARD = { id: '5f0000000000000000000001', shortLink: 'AbCd1234', name: 'Mock Board' };
+const OTHER = { id: '5f0000000000000000000002', shortLink: 'EfGh5678', name: 'Other Board' };
+const CALLBACK = 'https://hooks.example.com/trello-webhook';
+
+let mock;
+let webhooks;
+
+test.before(async () => {
+  mock = await startMockTrello({ port: 0, boards: [BOARD, OTHER], verifyCallbacks: false });
+  Object.assign(process.env, {
+    TRELLO_API_BASE: mock.apiBase,
+    TRELLO_API_KEY: 'mock-key',
+    TRELLO_TOKEN: 'mock-token',
+    TRELLO_CALLBACK_URL: CALLBACK,
+    TRELLO_WEBHOOK_BOARDS: BOARD.shortLink,
+    LOG_LEVEL: 'error'
+  });
+  webhooks = require('../trello-webhooks');
+});
+test.after(() => mock.close());
+test.beforeEach(() => { mock.state.webhooks = []; });
+
+test('check reports a missing webhook; ensure creates it', async () => {
+  const check = await webhooks.ensureWebhooks({ repair: false });
+  assert.equal(check.healthy, false);
+  assert.deepEqual(check.webhooks.map(w => [w.board, w.boardId, w.status]), [[BOARD.shortLink, BOARD.id, 'missing']]);
+  assert.equal(mock.state.webhooks.length, 0);
+
+  const ensured = await webhooks.ensureWebhooks();
+  assert.equal(ensured.healthy, true);
+  assert.equal(ensured.webhooks[0].status, 'created');
+  assert.deepEqual(mock.state.webhooks.map(h => [h.idModel, h.callbackURL, h.active]), [[BOARD.id, CALLBACK, true]]);
+  assert.equal((await webhooks.ensureWebhooks()).webhooks[0].status, 'ok');
+});
+
+test('a webhook Trello disabled is reported, then reactivated with its failure details', async () => {
+  await webhooks.ensureWebhooks();
+  const [hook] = mock.state.webhooks;
+  Object.assign(hook, { active: false, consecutiveFailures: 30, firstConsecutiveFailDate: '2026-10-01T00:00:00.000Z' });
+
+  assert.equal((await webhooks.ensureWebhooks({ repair: false })).webhooks[0].status, 'inactive');
+  const [entry] = (await webhooks.ensureWebhooks()).webhooks;
+  assert.equal(entry.status, 'reactivated');
+  assert.equal(entry.consecutiveFailures, 30);
+  assert.equal(mock.state.webhooks[0].active, true);
+});
+
+test('a webhook with an old callback is repointed; ours on other boards are listed as unconfigured', async () => {
+  mock.state.webhooks.push(
+    { id: 'h1', idModel: BOARD.id, callbackURL: 'https://old.example.com/hook', description: 'trello-to-adpiler', active: true, consecutiveFailures: 0 },
+    { id: 'h2', idModel: OTHER.id, callbackURL: CALLBACK, description: '', active: true, consecutiveFailures: 0 }
+  );
+  const report = await webhooks.ensureWebhooks();
+  assert.deepEqual(report.webhooks.map(w => [w.webhookId, w.status]), [['h1', 'updated'], ['h2', 'unconfigured']]);
+  assert.equal(report.webhooks[0].previousCallbackURL, 'https://old.example.com/hook');
+  assert.equal(mock.state.webhooks.find(h => h.id === 'h1').callbackURL, CALLBACK);
+  assert.equal(report.healthy, true);
+});
+
+test('an unknown board is an error entry, not a crash', async () => {
+  const report = await webhooks.ensureWebhooks({ boards: ['nope'] });
+  assert.equal(report.healthy, false);
+  assert.equal(report.webhooks[0].status, 'error');
+  assert.match(report.webhooks[0].error, /404/);
+  assert.equal(webhooks.getLastReport(), report);
+});
+
+test('the monitor registers the configured boards on start', async () => {
+  const stop = webhooks.startWebhookMonitor({ intervalMinutes: 0 });
+  for (let i = 0; i < 50 && !mock.state.webhooks.length; i++) await new Promise(r => setTimeout(r, 20));
+  stop();
+  assert.deepEqual(mock.state.webhooks.map(h => h.idModel), [BOARD.id]);
+});
+
+function dotEnvFor(cwd, extra = {}) {
+  writeDotEnv(cwd, {
+    TRELLO_API_BASE: mock.apiBase,
+    TRELLO_API_KEY: 'mock-key',
+    TRELLO_TOKEN: 'mock-token',
+    TRELLO_CALLBACK_URL: CALLBACK,
+    TRELLO_WEBHOOK_BOARDS: BOARD.shortLink,
+    ...extra
+  });
+  return cleanEnv(['TRELLO_', 'LOG_', 'PORT', 'JOB_', 'CLIENT_', 'DEFAULT_', 'ATTACHMENT_CACHE_DIR']);
+}
+
+test('the CLI reads its settings from .env', async () => {
+  const cwd = tmpDir();
+  const env = dotEnvFor(cwd);
+  const check = await runScript('trello-webhooks.js', ['check'], { cwd, env });
+  assert.equal(check.code, 1);
+  assert.equal(JSON.parse(check.output).webhooks[0].status, 'missing');
+
+  const ensure = await runScript('trello-webhooks.js', ['ensure'], { cwd, env });
+  assert.equal(ensure.code, 0, ensure.output);
+  assert.equal(JSON.parse(ensure.output).webhooks[0].status, 'created');
+});
+
+test('the server registers webhooks on boot from .env settings', async () => {
+  const cwd = tmpDir();
+  const env = dotEnvFor(cwd, { LOG_FORMAT: 'text', PORT: '0', DEFAULT_CLIENT_ID: '1', JOB_STORE_PATH: `${cwd}/jobs.json`, ATTACHMENT_CACHE_DIR: `${cwd}/cache` });
+  const { output } = await runScript('server.js', [], { cwd, env, until: /Webhook (created|problem)|Webhook check failed/ });
+  assert.match(output, /Webhook created for board "Mock Board"/);
+  assert.equal(mock.state.webhooks.length, 1);
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tmpDir, freshRequire } = require('./helpers/tmp');
+const { stubFetch } = require('./helpers/fetch-stub');
+const { fakeApis } = require('./helpers/fake-apis');
+const { fakeBrowser } = require('./helpers/fake-browser');
+const { png } = require('./helpers/media');
+
+const dir = tmpDir();
+Object.assign(process.env, {
+  ADPILER_API_BASE: 'https://adpiler.test/api',
+  ADPILER_API_KEY: 'k',
+  ADPILER_USER: 'producer@example.test',
+  ADPILER_PASS: 'secret',
+  ADPILER_LOGIN_URL: 'https://ui.adpiler.test/login',
+  ADPILER_BASE_URL: 'https://ui.adpiler.test',
+  ADPILER_UI_BROWSER: 'local',
+  CHROME_EXECUTABLE_PATH: process.execPath,
+  ADPILER_UI_ARTIFACTS_DIR: '',
+  TRELLO_API_KEY: 'tk',
+  TRELLO_TOKEN: 'tt',
+  DEFAULT_CLIENT_ID: '7',
+  DEFAULT_PROJECT_ID: '99',
+  UPLOAD_LEDGER_PATH: path.join(dir, 'ledger.json'),
+  ATTACHMENT_CACHE_DIR: path.join(dir, 'cache'),
+  LOG_LEVEL: 'error'
+});
+for (const k of ['CLIENT_CSV_URL', 'CLIENT_MAPPING_FILE', 'ADPILER_FORCE_MODE', 'BROWSERLESS_WS_URL', 'BROWSERLESS_URL']) delete process.env[k];
+
+const stub = stubFetch();
+const browser = fakeBrowser();
+const { uploadToAdpiler } = require('../upload-to-adpiler');
+const { uploadToAdpilerUI } = require('../upload-to-adpiler-ui');
+
+const upload = (id, name, pos) => ({ id, name, pos, isUpload: true, mimeType: 'image/png' });
+const card = (id) => ({ id, name: `Acme spring ${id}`, desc: 'Primary Text: Spring is here\nURL: https://acme.test', labels: [], checklists: [] });
+const files = {
+  s1: png(1080, 1080, 1), s2: png(1080, 1080, 2),
+  d1: png(300, 250), d2: png(728, 90), d3: png(300, 600)
+};
+const apis = fakeApis({ files });
+stub.handler = apis.handler;
+
+test('the UI uploader skips groups the API already uploaded, without opening a browser', async () => {
+  const slides = [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2)];
+  const viaApi = await uploadToAdpiler(card('c-api'), slides);
+
+  const viaUi = await uploadToAdpilerUI(card('c-api'), slides);
+
+  assert.equal(viaUi.outcome, 'unchanged');
+  assert.equal(viaUi.adId, viaApi.adId);
+  assert.equal(browser.state.launches, 0);
+});
+
+test('the UI uploader records its ads: repeat runs are no-ops, a new display size gets only its own ad', async () => {
+  const banners = [upload('d1', 'acme_300x250.png'), upload('d2', 'acme_728x90.png')];
+  const first = await uploadToAdpilerUI(card('c-ui'), banners);
+  assert.equal(first.outcome, 'created');
+  assert.deepEqual(browser.state.ads.map(a => [a.kind, a.file]), [['display', 'acme_300x250.png'], ['display', 'acme_728x90.png']]);
+
+  const again = await uploadToAdpilerUI(card('c-ui'), banners);
+  assert.equal(again.outcome, 'unchanged');
+  assert.equal(browser.state.launches, 1);
+  // the API uploader reads the same ledger
+  assert.equal((await uploadToAdpiler(card('c-ui'), banners)).outcome, 'unchanged');
+  assert.equal(apis.state.displayAds.length, 0);
+
+  const more = await uploadToAdpilerUI(card('c-ui'), [...banners, upload('d3', 'acme_300x600.png')]);
+  assert.equal(more.outcome, 'updated');
+  assert.deepEqual(browser.state.ads.slice(2).map(a => a.file), ['acme_300x600.png']);
+});
+
+test('the UI uploader makes a new ad when a post it created changed; force uploads again regardless', async () => {
+  const post = await uploadToAdpilerUI(card('c-post'), [upload('s1', 'hero.png')]);
+  assert.equal(post.outcome, 'created');
+
+  const changed = await uploadToAdpilerUI(card('c-post'), [upload('s2', 'hero-v2.png')]);
+  assert.equal(changed.outcome, 'replaced');
+  assert.notEqual(changed.adId, post.adId);
+
+  const forced = await uploadToAdpilerUI(card('c-post'), [upload('s2', 'hero-v2.png')], { force: true });
+  assert.equal(forced.outcome, 'created');
+  assert.notEqual(forced.adId, changed.adId);
+});
+
+test('a dry run through the UI uploader posts the plan and opens no browser', async () => {
+  const launches = browser.state.launches;
+  const ads = browser.state.ads.length;
+  const comments = [];
+  const postTrelloComment = async (_id, text) => comments.push(text);
+  const slides = [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2)];
+
+  const byOption = await uploadToAdpilerUI(card('c-dry'), slides, { dryRun: true, postTrelloComment });
+  assert.equal(byOption.outcome, 'dry-run');
+  assert.deepEqual(byOption.plan.ads.map(a => [a.mode, a.action]), [['post-carousel', 'create a new ad']]);
+  assert.match(comments[0], /^🧪 AdPiler DRY RUN — nothing was uploaded\./);
+
+  const labelled = { ...card('c-dry'), labels: [{ name: 'AdPiler: dry run' }] };
+  assert.equal((await uploadToAdpilerUI(labelled, slides, { postTrelloComment })).outcome, 'dry-run');
+
+  assert.equal(browser.state.launches, launches);
+  assert.equal(browser.state.ads.length, ads);
+  // nothing recorded: a real run still creates the ad
+  assert.equal((await uploadToAdpilerUI(card('c-dry'), slides)).outcome, 'created');
+});
+
+test('a slide the web UI refused is reported as an error, not dropped', async () => {
+  browser.state.refuseSlides = ['two.png'];
+  const comments = [];
+  try {
+    const out = await uploadToAdpilerUI(card('c-ui-slide'), [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2)], {
+      postTrelloComment: async (_id, text) => comments.push(text)
+    });
+    assert.equal(out.outcome, 'created');
+    assert.deepEqual(out.errors, [{ group: 'main', error: `1 slide(s) not uploaded to ad ${out.adId}: two.png: UI step "slide 2 (two.png)" failed: AdPiler refused the slide: The media file is invalid.` }]);
+    assert.match(comments[0], /⚠️ 1 slide\(s\) not uploaded:\n  - two\.png: /);
+  } finally {
+    browser.state.refuseSlides = [];
+  }
+});
+
+test('server.js hands a job\'s dryRun and force to the UI uploader', async () => {
+  process.chdir(dir);
+  Object.assign(process.env, { ADPILER_UPLOAD_MODE: 'ui', JOB_STORE_PATH: path.join(dir, 'jobs.json'), TRELLO_WEBHOOK_SECRET: 'x' });
+  const { runCardJob } = require('../server');
+  const lists = [{ id: 'l-ok', name: 'Uploaded to AdPiler' }];
+  const server = fakeApis({ files, lists, cards: { 'c-job': { ...card('c-job'), attachments: [upload('s1', 'hero.png')] } } });
+  stub.handler = server.handler;
+  const ads = browser.state.ads.length;
+
+  const dry = await runCardJob({ id: 'j1', cardId: 'c-job', dryRun: true });
+  assert.equal(dry.outcome, 'dry-run');
+  assert.equal(browser.state.ads.length, ads);
+  assert.deepEqual(server.state.moves, []);
+
+  assert.equal((await runCardJob({ id: 'j2', cardId: 'c-job' })).outcome, 'created');
+  assert.equal((await runCardJob({ id: 'j3', cardId: 'c-job' })).outcome, 'unchanged');
+  assert.equal((await runCardJob({ id: 'j4', cardId: 'c-job', force: true })).outcome, 'created');
+  assert.equal(browser.state.ads.length, ads + 2);
+});
+
+test('in hybrid mode a group the API keeps answering 5xx on is created through the web UI', async () => {
+  process.chdir(dir);
+  Object.assign(process.env, { ADPILER_UPLOAD_MODE: 'hybrid', JOB_STORE_PATH: path.join(dir, 'jobs.json'), TRELLO_WEBHOOK_SECRET: 'x' });
+  const { runCardJob } = freshRequire('server');
+  const lists = [{ id: 'l-ok', name: 'Uploaded to AdPiler' }];
+  const attachments = [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2)];
+  const server = fakeApis({ files, lists, cards: { 'c-hybrid': { ...card('c-hybrid'), attachments } } });
+  let socialPosts = 0;
+  server.override = ({ url }) => {
+    if (!/\/social-ads$/.test(url)) return undefined;
+    socialPosts++;
+    return { status: 503, body: { message: 'maintenance' } };
+  };
+  stub.handler = server.handler;
+  const ads = browser.state.ads.length;
+
+  const result = await runCardJob({ id: 'j-hybrid', cardId: 'c-hybrid' });
+
+  assert.equal(socialPosts, 1, 'a create that answered 5xx is not retried (it may have gone through)');
+  assert.deepEqual([result.via, result.outcome], ['ui', 'created']);
+  assert.match(result.fallbackReason, /AdPiler API kept answering 503 on campaigns\/99\/social-ads/);
+  assert.deepEqual(browser.state.ads.slice(ads).map(a => a.kind), ['social']);
+  assert.deepEqual(browser.state.slides.slice(-2).map(s => s.file), ['one.png', 'two.png']);
+  assert.ok(server.state.comments.some(c => /^Uploaded to AdPiler via the web UI \(API fallback\)[\s\S]*Fallback reason: AdPiler API kept answering 503/.test(c)));
+  assert.deepEqual(server.state.moves, ['Uploaded to AdPiler']);
+});
+
+test('in hybrid mode a failed web UI fallback keeps the ads the API created and fails the card', async () => {
+  const { runCardJob } = freshRequire('server');
+  const lists = [{ id: 'l-ok', name: 'Uploaded to AdPiler' }, { id: 'l-failed', name: 'AdPiler Upload Failed' }];
+  const attachments = [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2), upload('d1', 'acme_300x250.png', 3)];
+  const server = fakeApis({ files, lists, cards: { 'c-hybrid-2': { ...card('c-hybrid-2'), attachments } } });
+  server.override = ({ url }) => (/\/social-ads$/.test(url) ? { status: 503, body: { message: 'maintenance' } } : undefined);
+  stub.handler = server.handler;
+  browser.state.launchError = 'Browserless is down';
+  let result;
+  try {
+    result = await runCardJob({ id: 'j-hybrid-2', cardId: 'c-hybrid-2' });
+  } finally {
+    browser.state.launchError = '';
+  }
+
+  assert.equal(result.via, 'api');
+  assert.deepEqual(server.state.displayAds.map(a => a.filename), ['acme_300x250.png']);
+  assert.deepEqual(result.ads.map(a => [a.group, a.adId]), [['display', server.state.displayAds[0].id]]);
+  assert.deepEqual(result.errors.map(f => f.group), ['main']);
+  assert.match(result.errors[0].error, /AdPiler 503 on campaigns\/99\/social-ads.*Web UI fallback failed: Browserless is down/);
+  assert.deepEqual(server.state.labels, ['AdPiler Upload Failed']);
+  assert.deepEqual(server.state.moves, ['AdPiler Upload Failed']);
+});
+
+test('a UI run limited to some groups reports only those; hybrid merges them with the API\'s', async () => {
+  const attachments = [upload('s1', 'one.png', 1), upload('s2', 'two.png', 2), upload('d1', 'acme_300x250.png', 3)];
+  const only = await uploadToAdpilerUI(card('c-only'), attachments, { onlyGroups: ['main'] });
+  assert.equal(only.mode, 'post-carousel');
+  assert.equal(only.ads, undefined);
+  assert.equal(only.displayAdId, undefined);
+
+  const { runCardJob } = freshRequire('server');
+  const lists = [{ id: 'l-ok', name: 'Uploaded to AdPiler' }];
+  const server = fakeApis({ files, lists, cards: { 'c-hybrid-3': { ...card('c-hybrid-3'), attachments } } });
+  server.override = ({ url }) => (/\/social-ads$/.test(url) ? { status: 503, body: { message: 'maintenance' } } : undefined);
+  stub.handler = server.handler;
+
+  const result = await runCardJob({ id: 'j-hybrid-3', cardId: 'c-hybrid-3' });
+  assert.equal(result.via, 'api+ui');
+  assert.deepEqual(result.ads.map(a => [a.group, a.mode, a.outcome]), [['display', 'display', 'created'], ['main', 'post-carousel', 'created']]);
+  assert.equal(result.ads[1].adId, browser.state.ads.at(-1).id);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(server.state.moves, ['Uploaded to AdPiler']);
+});
@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tmpDir } = require('./helpers/tmp');
+const { stubFetch } = require('./helpers/fetch-stub');
+const { fakeApis } = require('./helpers/fake-apis');
+const { png, zip, mp4 } = require('./helpers/media');
+
+const dir = tmpDir();
+Object.assign(process.env, {
+  ADPILER_API_BASE: 'https://adpiler.test/api',
+  ADPILER_API_KEY: 'k',
+  TRELLO_API_KEY: 'tk',
+  TRELLO_TOKEN: 'tt',
+  DEFAULT_CLIENT_ID: '7',
+  DEFAULT_PROJECT_ID: '99',
+  UPLOAD_LEDGER_PATH: path.join(dir, 'ledger.json'),
+  ATTACHMENT_CACHE_DIR: path.join(dir, 'cache'),
+  LOG_LEVEL: 'error'
+});
+for (const k of ['CLIENT_CSV_URL', 'CLIENT_MAPPING_FILE', 'ADPILER_SLIDE_CONCURRENCY', 'ADPILER_FORCE_MODE']) delete process.env[k];
+
+const stub = stubFetch();
+const { uploadToAdpiler } = require('../upload-to-adpiler');
+
+const upload = (id, name, pos, mimeType = 'image/png') => ({ id, name, pos, isUpload: true, mimeType });
+const card = (id, extra = {}) => ({ id, name: `Acme spring ${id}`, desc: 'Primary Text: Spring is here\nURL: https://acme.test', labels: [], checklists: [], ...extra });
+
+test('carousel slides upload in parallel and still land in carousel order', async () => {
+  // the first slide is the slowest upload, the last the fastest
+  const delays = { 'one.png': 90, 'two.png': 45, 'three.png': 0 };
+  const apis = fakeApis({
+    files: { s1: png(1080, 1080, 1), s2: png(1080, 1080, 2), s3: png(1080, 1080, 3) },
+    slideDelayMs: (filename) => delays[filename]
+  });
+  stub.handler = apis.handler;
+  const attachments = [upload('s3', 'three.png', 3), upload('s1', 'one.png', 1), upload('s2', 'two.png', 2)];
+
+  const out = await uploadToAdpiler(card('c-order'), attachments);
+
+  assert.equal(out.mode, 'post-carousel');
+  assert.equal(apis.state.socialAds.length, 1);
+  assert.equal(apis.state.maxInFlight, 3);
+  assert.deepEqual(apis.state.slides.map(s => s.filename), ['three.png', 'two.png', 'one.png']);
+  assert.deepEqual(apis.carousel(out.adId).map(s => [s.fields.position, s.filename]), [['1', 'one.png'], ['2', 'two.png'], ['3', 'three.png']]);
+});
+
+test('a carousel gains new slides in place, but a replaced slide makes a new ad', async () => {
+  const apis = fakeApis({
+    files: { r1: png(1080, 1080, 'r1'), r2: png(1080, 1080, 'r2'), r3: png(1080, 1080, 'r3'), r2b: png(1080, 1080, 'r2b') }
+  });
+  stub.handler = apis.handler;
+  const comments = [];
+  const opts = { postTrelloComment: async (_id, text) => comments.push(text) };
+  const slides = [upload('r1', 'one.png', 1), upload('r2', 'two.png', 2)];
+
+  const first = await uploadToAdpiler(card('c-replace'), slides, opts);
+  assert.equal(first.outcome, 'created');
+
+  slides.push(upload('r3', 'three.png', 3));
+  const added = await uploadToAdpiler(card('c-replace'), slides, opts);
+  assert.equal(added.outcome, 'updated');
+  assert.equal(added.adId, first.adId);
+  assert.deepEqual(apis.state.slides.slice(2).map(s => [s.adId, s.fields.position, s.filename]), [[first.adId, '3', 'three.png']]);
+
+  // the producer swaps slide 2: Trello keeps the position, the attachment is new
+  slides[1] = upload('r2b', 'two-v2.png', 2);
+  const plan = await uploadToAdpiler(card('c-replace'), slides, { ...opts, dryRun: true });
+  assert.match(plan.plan.ads[0].action, new RegExp(`^create a new ad .*previous ad ${first.adId} stays`));
+
+  const replaced = await uploadToAdpiler(card('c-replace'), slides, opts);
+  assert.equal(replaced.outcome, 'replaced');
+  assert.notEqual(replaced.adId, first.adId);
+  assert.deepEqual(apis.carousel(replaced.adId).map(s => s.filename), ['one.png', 'two-v2.png', 'three.png']);
+  assert.match(comments.at(-1), new RegExp(`previous ad ${first.adId} was left in place`));
+
+  // nothing changed since: no new ad, no new slides
+  const again = await uploadToAdpiler(card('c-replace'), slides, opts);
+  assert.equal(again.outcome, 'unchanged');
+  assert.equal(apis.state.socialAds.length, 2);
+});
+
+test('a slide inserted before the existing ones makes a new carousel ad instead of landing at the end', async () => {
+  const apis = fakeApis({ files: { i1: png(1080, 1080, 'i1'), i2: png(1080, 1080, 'i2'), i0: png(1080, 1080, 'i0') } });
+  stub.handler = apis.handler;
+  const slides = [upload('i1', 'one.png', 2), upload('i2', 'two.png', 3)];
+  const first = await uploadToAdpiler(card('c-insert'), slides);
+
+  slides.unshift(upload('i0', 'intro.png', 1));
+  const plan = await uploadToAdpiler(card('c-insert'), slides, { dryRun: true });
+  assert.match(plan.plan.ads[0].action, new RegExp(`^create a new ad .*previous ad ${first.adId} stays`));
+  assert.deepEqual(plan.plan.ads[0].files, ['intro.png', 'one.png', 'two.png']);
+
+  const out = await uploadToAdpiler(card('c-insert'), slides);
+  assert.equal(out.outcome, 'replaced');
+  assert.notEqual(out.adId, first.adId);
+  assert.deepEqual(apis.carousel(out.adId).map(s => s.filename), ['intro.png', 'one.png', 'two.png']);
+  assert.equal(apis.carousel(first.adId).length, 2);
+
+  // "Slide Order:" can move a new slide to the front too
+  const ordered = card('c-insert-order', { desc: 'Primary Text: Hi\nURL: https://acme.test\nSlide Order: intro, one, two' });
+  await uploadToAdpiler(ordered, slides.slice(1));
+  const again = await uploadToAdpiler(ordered, [...slides.slice(1), upload('i0', 'intro.png', 9)]);
+  assert.equal(again.outcome, 'replaced');
+});
+
+test('display banners are sent per configured size; a wrongly exported banner is reported, not uploaded', async () => {
+  const apis = fakeApis({ files: { d1: png(300, 250), d2: png(728, 90), d3: png(123, 45) } });
+  stub.handler = apis.handler;
+  const comments = [];
+  const out = await uploadToAdpiler(card('c-display'), [upload('d1', 'acme_300x250.png'), upload('d2', 'acme_728x90.png'), upload('d3', 'acme_300x600.png')], {
+    postTrelloComment: async (_id, text) => comments.push(text)
+  });
+
+  assert.equal(out.mode, 'display');
+  assert.deepEqual(apis.state.displayAds.map(a => [a.filename, a.fields.width, a.fields.height, a.fields.name, a.fields.landing_page_url]), [
+    ['acme_300x250.png', '300', '250', 'Acme spring c-display 300x250', 'https://acme.test'],
+    ['acme_728x90.png', '728', '90', 'Acme spring c-display 728x90', 'https://acme.test']
+  ]);
+  assert.match(comments[0], /acme_300x600\.png \(123x45\): no matching display size/);
+});
+
+test('the social copy checks skip banner-only cards but still block social ads', async () => {
+  const apis = fakeApis({ files: { d1: png(300, 250), v1: mp4({}) } });
+  stub.handler = apis.handler;
+  const tiktok = (id) => card(id, { desc: `Headline: ${'Spring '.repeat(20)}\nURL: https://acme.test`, labels: [{ name: 'Network: TikTok' }] });
+
+  const out = await uploadToAdpiler(tiktok('c-banner-copy'), [upload('d1', 'acme_300x250.png')]);
+  assert.equal(out.mode, 'display');
+  assert.equal(apis.state.displayAds.length, 1);
+
+  const comments = [];
+  await assert.rejects(uploadToAdpiler(tiktok('c-video-copy'), [upload('v1', 'teaser.mp4', 1, 'video/mp4')], { postTrelloComment: async (_id, text) => comments.push(text) }),
+    (e) => e.validation.map(v => v.field).join() === 'headline,primary');
+  assert.match(comments[0], /^❌ AdPiler upload blocked — please fix the ad copy/);
+  assert.equal(apis.state.socialAds.length, 0);
+});
+
+test('HTML5 zips upload as display ads; an invalid bundle blocks the card', async () => {
+  const page = (script) => `<html><head><meta name="ad.size" content="width=300,height=250"><script>${script}</script></head></html>`;
+  const apis = fakeApis({
+    files: { z1: zip({ 'index.html': page('var clickTag = "https://acme.test";') }), z2: zip({ 'index.html': page('') }) }
+  });
+  stub.handler = apis.handler;
+
+  const ok = await uploadToAdpiler(card('c-html5'), [upload('z1', 'spring.zip', 1, 'application/zip')]);
+  assert.equal(ok.mode, 'display');
+  assert.deepEqual(apis.state.displayAds.map(a => [a.filename, a.fields.width, a.fields.height]), [['spring.zip', '300', '250']]);
+
+  const comments = [];
+  await assert.rejects(
+    uploadToAdpiler(card('c-html5-bad'), [upload('z2', 'broken.zip', 1, 'application/zip')], { postTrelloComment: async (_id, text) => comments.push(text) }),
+    (e) => e.validation?.[0]?.invalid === true
+  );
+  assert.equal(apis.state.displayAds.length, 1);
+  assert.match(comments[0], /^❌ AdPiler upload blocked[\s\S]*broken\.zip: HTML5 validation failed: .*clickTag/);
+});
+
+test('a dry run (option or card label) writes nothing and posts the plan', async () => {
+  const apis = fakeApis({ files: { y1: png(1080, 1080, 'y1'), y2: png(1080, 1080, 'y2') } });
+  stub.handler = apis.handler;
+  const slides = [upload('y1', 'one.png', 1), upload('y2', 'two.png', 2)];
+
+  for (const [c, opts] of [[card('c-dry'), { dryRun: true }], [card('c-dry-label', { labels: [{ name: 'AdPiler: dry run' }] }), {}]]) {
+    const comments = [];
+    const out = await uploadToAdpiler(c, slides, { ...opts, postTrelloComment: async (_id, text) => comments.push(text) });
+    assert.equal(out.outcome, 'dry-run');
+    assert.deepEqual(out.plan.ads, [{ group: 'main', mode: 'post-carousel', action: 'create a new ad', files: ['one.png', 'two.png'] }]);
+    assert.match(comments[0], /^🧪 AdPiler DRY RUN — nothing was uploaded\.\nCampaign: 99 /);
+  }
+  assert.deepEqual([apis.state.socialAds.length, apis.state.slides.length], [0, 0]);
+
+  // nothing was recorded either: the real run still creates the ad
+  assert.equal((await uploadToAdpiler(card('c-dry'), slides)).outcome, 'created');
+});
+
+test('card custom fields override campaign, ad type, paid and network', async () => {
+  const apis = fakeApis({ files: { o1: png(1080, 1080, 'o1') } });
+  const campaigns = [];
+  apis.override = ({ url }) => { const m = url.match(/campaigns\/([^/]+)\/social-ads/); if (m) campaigns.push(m[1]); };
+  stub.handler = apis.handler;
+  const c = card('c-fields', {
+    desc: 'Primary Text: Hi\nHeadline: Spring\nURL: https://acme.test',
+    customFields: { 'AdPiler Campaign ID': '555', 'Ad Type': 'Carousel', 'Paid/Organic': 'Organic', Network: 'LinkedIn' }
+  });
+
+  const out = await uploadToAdpiler(c, [upload('o1', 'one.png', 1)]);
+  assert.deepEqual([out.campaignId, out.mode], ['555', 'post-carousel']);
+  assert.deepEqual(campaigns, ['555']);
+  const { fields } = apis.state.socialAds[0];
+  assert.deepEqual([fields.type, fields.paid, fields.network], ['post-carousel', 'false', 'linkedin']);
+});
+
+test('a "Network:" label picks the network sent to AdPiler', async () => {
+  const apis = fakeApis({ files: { n1: png(1080, 1080, 'n1') } });
+  stub.handler = apis.handler;
+  await uploadToAdpiler(card('c-network', { labels: [{ name: 'Network: IG' }] }), [upload('n1', 'one.png', 1)]);
+  assert.equal(apis.state.socialAds[0].fields.network, 'instagram');
+});
+
+test('Slide Order and per-slide copy shape the carousel', async () => {
+  const apis = fakeApis({ files: { p1: png(1080, 1080, 'p1'), p2: png(1080, 1080, 'p2'), p3: png(1080, 1080, 'p3') } });
+  stub.handler = apis.handler;
+  const c = card('c-slides', {
+    desc: [
+      'Primary Text: Spring is here',
+      'Headline: Card headline',
+      'URL: https://acme.test',
+      'Slide Order: gamma, alpha.png, beta',
+      'Slide 2 Headline: Second slide',
+      'beta.png URL: https://www.acme.test/beta'
+    ].join('\n')
+  });
+
+  const out = await uploadToAdpiler(c, [upload('p1', 'alpha.png', 1), upload('p2', 'beta.png', 2), upload('p3', 'gamma.png', 3)]);
+  assert.deepEqual(apis.carousel(out.adId).map(s => [s.filename, s.fields.position, s.fields.headline, s.fields.landing_page_url, s.fields.display_link]), [
+    ['gamma.png', '1', 'Card headline', 'https://acme.test/', 'acme.test'],
+    ['alpha.png', '2', 'Second slide', 'https://acme.test/', 'acme.test'],
+    ['beta.png', '3', 'Card headline', 'https://www.acme.test/beta', 'acme.test']
+  ]);
+});
+
+test('a video post uploads the video that passes the checks; a ProRes file alone is blocked', async () => {
+  const apis = fakeApis({ files: { v1: mp4({ codec: 'apcn' }), v2: mp4({ width: 1080, height: 1920 }) } });
+  stub.handler = apis.handler;
+  const video = (id, name) => upload(id, name, 1, 'video/mp4');
+
+  const comments = [];
+  const out = await uploadToAdpiler(card('c-video', { name: 'Acme stories' }), [video('v1', 'prores.mov'), video('v2', 'story.mp4')], {
+    postTrelloComment: async (_id, text) => comments.push(text)
+  });
+  assert.equal(out.mode, 'post');
+  assert.deepEqual(apis.state.slides.map(s => s.filename), ['story.mp4']);
+  assert.match(comments[0], /\nVideo: story\.mp4 \(1080x1920 · 9:16 · [\d.]+s · H\.264\)/);
+
+  await assert.rejects(uploadToAdpiler(card('c-video-bad'), [video('v1', 'prores.mov')]), /Video failed checks: prores\.mov: .*ProRes/);
+  assert.equal(apis.state.socialAds.length, 1);
+});
+
+test('a social ad create that answers 5xx is not retried, so a committed ad is never created twice', async () => {
+  const apis = fakeApis({ files: { x1: png(1080, 1080, 'x1') } });
+  let creates = 0;
+  apis.override = ({ url }) => {
+    if (!/\/social-ads$/.test(url)) return undefined;
+    creates++;
+    return { status: 504, body: { message: 'gateway timeout' } };
+  };
+  stub.handler = apis.handler;
+
+  await assert.rejects(uploadToAdpiler(card('c-create-504'), [upload('x1', 'one.png', 1)]), (e) => e.status === 504 && !/after retries/.test(e.message));
+  assert.equal(creates, 1);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { inspectVideo, inspectVideoFile, classifyAspect } = require('../video-inspect');
+const { tmpDir } = require('./helpers/tmp');
+const { mp4 } = require('./helpers/media');
+
+test('an H.264 9:16 MP4 with audio is read and placed in Stories/Reels', () => {
+  const v = inspectVideo(mp4({ width: 1080, height: 1920, seconds: 15 }));
+  assert.equal(v.ok, true, v.errors.join(' '));
+  assert.deepEqual(
+    [v.container, v.codec, v.width, v.height, v.durationSeconds, v.hasAudio, v.aspect, v.placement],
+    ['mp4', 'H.264', 1080, 1920, 15, true, '9:16', 'Stories/Reels']
+  );
+  assert.deepEqual(v.warnings, []);
+});
+
+test('rotation, QuickTime brand, HEVC and a moov after the mdat are handled', () => {
+  const v = inspectVideo(mp4({ width: 1080, height: 1920, rotated: true, brand: 'qt  ', codec: 'hvc1', mdatFirst: true }));
+  assert.equal(v.ok, true, v.errors.join(' '));
+  assert.deepEqual([v.container, v.codec, v.width, v.height], ['mov', 'HEVC', 1080, 1920]);
+});
+
+test('codec, size, ratio and duration problems are errors; soft issues are warnings', () => {
+  assert.match(inspectVideo(mp4({ codec: 'apcn' })).errors[0], /Codec ProRes is not accepted/);
+  assert.match(inspectVideo(mp4({ width: 100, height: 100 })).errors[0], /below the 120px minimum/);
+  assert.match(inspectVideo(mp4({ width: 500, height: 2000 })).errors[0], /taller than 9:16/);
+  assert.match(inspectVideo(mp4({ width: 3000, height: 1000 })).errors[0], /wider than 16:9/);
+  assert.match(inspectVideo(mp4({ seconds: 90 }), { maxSeconds: 60 }).errors[0], /Video is 90s \(max 60s\)/);
+  assert.match(inspectVideo(mp4(), { maxBytes: 100 }).errors[0], /^File is 0\.0 MB/);
+
+  const soft = inspectVideo(mp4({ seconds: 75, audio: false }));
+  assert.equal(soft.ok, true);
+  assert.deepEqual(soft.warnings, ['Stories cut 9:16 video after 60s (this one is 75s).', 'No audio track.']);
+  assert.match(inspectVideo(mp4({ width: 1200, height: 1000 })).warnings[0], /not a standard ratio/);
+});
+
+test('files that are not movies, or were cut short, are rejected', () => {
+  assert.match(inspectVideo(Buffer.from('\x89PNG\r\n\x1a\n0000000000')).errors[0], /Not an MP4\/MOV/);
+  const full = mp4({ mdatFirst: true });
+  assert.match(inspectVideo(full.subarray(0, full.length - 20)).errors[0], /runs past the end of the file/);
+});
+
+test('inspectVideoFile reads only the headers from disk and matches inspectVideo', () => {
+  const file = path.join(tmpDir(), 'clip.mp4');
+  const buf = mp4({ width: 1080, height: 1080, seconds: 6 });
+  fs.writeFileSync(file, buf);
+  const v = inspectVideoFile(file, { maxBytes: 10 * 1024 });
+  assert.deepEqual(v, inspectVideo(buf, { maxBytes: 10 * 1024 }));
+  assert.deepEqual([v.aspect, v.placement], ['1:1', 'Feed']);
+  assert.deepEqual(classifyAspect(1080, 1350), { aspect: '4:5', placement: 'Feed (vertical)' });
+});
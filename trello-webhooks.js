@@ -0,0 +1,206 @@
+/**
+ * Trello webhook registration and health checks.
+ *
+ * For every board in TRELLO_WEBHOOK_BOARDS (ids or short links, comma/space separated) there should be one active
+ * webhook owned by TRELLO_TOKEN that posts to TRELLO_CALLBACK_URL (the public URL of /trello-webhook — the same value
+ * the signature check uses). ensureWebhooks() lists the token's webhooks and, per board:
+ *  - none            → creates one                    (status "created"; "missing" without repair)
+ *  - other callback  → points it at our URL           ("updated";  "wrong-callback")
+ *  - disabled        → reactivates it                 ("reactivated"; "inactive") — Trello turns a webhook off after
+ *                      repeated failed deliveries, which is what this exists to catch
+ *  - failing deliveries while still active            ("failing", reported only)
+ * Webhooks on our callback URL for boards that are not configured are listed as "unconfigured" and left alone.
+ *
+ * server.js calls startWebhookMonitor() on boot (unless TRELLO_WEBHOOK_AUTO=false): ensure once, then re-check every
+ * TRELLO_WEBHOOK_CHECK_MINUTES (default 15, 0 = boot only), repairing unless TRELLO_WEBHOOK_REPAIR=false.
+ * Problems are logged as errors; the last report is served by GET /admin/webhooks.
+ *
+ * TRELLO_API_BASE (default https://api.trello.com/1) can point at mock-trello-api.js.
+ *
+ * CLI:
+ *   node trello-webhooks.js list
+ *   node trello-webhooks.js ensure [--board <id>]... [--callback <url>]   create / repair
+ *   node trello-webhooks.js check  [--board <id>]... [--callback <url>]   report only (exit 1 on problems)
+ *   node trello-webhooks.js delete <webhookId>
+ */
+
+// as a CLI this module is the entry point, so .env is loaded here (server.js loads it before requiring us)
+if (require.main === module) require('dotenv').config();
+
+const { trelloFetch } = require('./rate-limit');
+const { log } = require('./logger');
+
+const {
+  TRELLO_API_KEY,
+  TRELLO_TOKEN,
+  TRELLO_API_BASE = 'https://api.trello.com/1',
+  TRELLO_CALLBACK_URL = '',
+  TRELLO_WEBHOOK_BOARDS = '',
+  TRELLO_WEBHOOK_AUTO = 'true',
+  TRELLO_WEBHOOK_CHECK_MINUTES = '15',
+  TRELLO_WEBHOOK_REPAIR = 'true',
+  TRELLO_WEBHOOK_DESCRIPTION = 'trello-to-adpiler'
+} = process.env;
+
+const HEALTHY = new Set(['ok', 'created', 'updated', 'reactivated']);
+
+let lastReport = null;
+
+// ---------- TRELLO API ----------
+async function trello(method, path, params = {}) {
+  const q = new URLSearchParams({ ...params, key: TRELLO_API_KEY || '', token: TRELLO_TOKEN || '' });
+  const res = await trelloFetch(`${TRELLO_API_BASE.replace(/\/+$/, '')}/${path}?${q}`, { method });
+  const text = await res.text();
+  if (!res.ok) {
+    const err = new Error(`Trello ${method} /${path} → ${res.status}: ${text.slice(0, 300)}`);
+    err.status = res.status;
+    throw err;
+  }
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+const listWebhooks = () => trello('GET', `tokens/${encodeURIComponent(TRELLO_TOKEN || '')}/webhooks`);
+const resolveBoard = (idOrShortLink) => trello('GET', `boards/${encodeURIComponent(idOrShortLink)}`, { fields: 'id,name,shortLink' });
+const createWebhook = ({ idModel, callbackURL, description = TRELLO_WEBHOOK_DESCRIPTION }) => trello('POST', 'webhooks', { idModel, callbackURL, description });
+const updateWebhook = (id, fields) => trello('PUT', `webhooks/${encodeURIComponent(id)}`, fields);
+const deleteWebhook = (id) => trello('DELETE', `webhooks/${encodeURIComponent(id)}`);
+
+function configuredBoards(value = TRELLO_WEBHOOK_BOARDS) {
+  return [...new Set(String(value).split(/[\s,]+/).map(s => s.trim()).filter(Boolean))];
+}
+
+// ---------- ENSURE / CHECK ----------
+function entryFor(board, hook, status, extra = {}) {
+  return {
+    board: board.ref,
+    boardId: board.id || '',
+    boardName: board.name || '',
+    webhookId: hook?.id || '',
+    callbackURL: hook?.callbackURL || '',
+    active: hook ? hook.active !== false : false,
+    consecutiveFailures: hook?.consecutiveFailures || 0,
+    firstConsecutiveFailDate: hook?.firstConsecutiveFailDate || '',
+    status,
+    ...extra
+  };
+}
+
+/**
+ * Compare the token's webhooks with the configured boards and (with repair) fix what is off.
+ * Returns { checkedAt, callbackUrl, healthy, webhooks: [entry] }.
+ */
+async function ensureWebhooks({ boards = configuredBoards(), callbackUrl = TRELLO_CALLBACK_URL, repair = true } = {}) {
+  if (!callbackUrl) throw new Error('TRELLO_CALLBACK_URL is not set; cannot tell which webhooks are ours');
+  if (!TRELLO_API_KEY || !TRELLO_TOKEN) throw new Error('TRELLO_API_KEY and TRELLO_TOKEN are required');
+
+  const hooks = await listWebhooks();
+  const entries = [];
+  const seen = new Set();
+
+  for (const ref of boards) {
+    const board = { ref };
+    try {
+      Object.assign(board, await resolveBoard(ref));
+      const mine = hooks.filter(h => h.idModel === board.id);
+      const hook = mine.find(h => h.callbackURL === callbackUrl) || mine.find(h => h.description === TRELLO_WEBHOOK_DESCRIPTION);
+      if (hook) seen.add(hook.id);
+
+      if (!hook) {
+        if (!repair) { entries.push(entryFor(board, null, 'missing')); continue; }
+        entries.push(entryFor(board, await createWebhook({ idModel: board.id, callbackURL: callbackUrl }), 'created'));
+      } else if (hook.callbackURL !== callbackUrl) {
+        if (!repair) { entries.push(entryFor(board, hook, 'wrong-callback')); continue; }
+        entries.push(entryFor(board, await updateWebhook(hook.id, { callbackURL: callbackUrl, active: 'true' }), 'updated', { previousCallbackURL: hook.callbackURL }));
+      } else if (hook.active === false) {
+        if (!repair) { entries.push(entryFor(board, hook, 'inactive')); continue; }
+        // keep the failure details of the disabled webhook; they explain why it went off
+        const updated = await updateWebhook(hook.id, { active: 'true' });
+        entries.push(entryFor(board, { ...updated, consecutiveFailures: hook.consecutiveFailures, firstConsecutiveFailDate: hook.firstConsecutiveFailDate }, 'reactivated'));
+      } else {
+        entries.push(entryFor(board, hook, hook.consecutiveFailures > 0 ? 'failing' : 'ok'));
+      }
+    } catch (e) {
+      entries.push(entryFor(board, null, 'error', { error: e.message }));
+    }
+  }
+
+  for (const hook of hooks) {
+    if (hook.callbackURL === callbackUrl && !seen.has(hook.id)) {
+      entries.push(entryFor({ ref: hook.idModel, id: hook.idModel }, hook, 'unconfigured'));
+    }
+  }
+
+  const report = { checkedAt: new Date().toISOString(), callbackUrl, healthy: entries.every(e => HEALTHY.has(e.status) || e.status === 'unconfigured'), webhooks: entries };
+  lastReport = report;
+  return report;
+}
+
+function logReport(report) {
+  for (const e of report.webhooks) {
+    const where = `board ${e.boardName ? `"${e.boardName}" ` : ''}(${e.board})`;
+    const failures = e.consecutiveFailures ? ` after ${e.consecutiveFailures} failed deliveries since ${e.firstConsecutiveFailDate || '?'}` : '';
+    if (e.status === 'ok') log.debug(`🪝 Webhook ${e.webhookId} for ${where} is active`, { webhook: e });
+    else if (e.status === 'created' || e.status === 'updated') log.info(`🪝 Webhook ${e.status} for ${where} → ${e.callbackURL}`, { webhook: e });
+    else if (e.status === 'reactivated') log.error(`🪝 Webhook ${e.webhookId} for ${where} was inactive${failures}; reactivated`, { webhook: e });
+    else if (e.status === 'unconfigured') log.warn(`🪝 Webhook ${e.webhookId} on model ${e.board} posts to us but its board is not in TRELLO_WEBHOOK_BOARDS`, { webhook: e });
+    else log.error(`🪝 Webhook problem for ${where}: ${e.status}${failures}${e.error ? ` — ${e.error}` : ''}`, { webhook: e });
+  }
+}
+
+// ---------- MONITOR ----------
+/** Ensure on boot, then check on an interval. Returns a stop function (no-op when not configured). */
+function startWebhookMonitor({
+  boards = configuredBoards(),
+  callbackUrl = TRELLO_CALLBACK_URL,
+  intervalMinutes = parseFloat(TRELLO_WEBHOOK_CHECK_MINUTES) || 0,
+  repair = String(TRELLO_WEBHOOK_REPAIR).toLowerCase() !== 'false'
+} = {}) {
+  if (String(TRELLO_WEBHOOK_AUTO).toLowerCase() === 'false' || !boards.length) return () => {};
+  if (!callbackUrl) {
+    log.warn('⚠️  TRELLO_WEBHOOK_BOARDS is set but TRELLO_CALLBACK_URL is not — webhooks are not registered or checked.');
+    return () => {};
+  }
+
+  const run = (first) => ensureWebhooks({ boards, callbackUrl, repair: first || repair })
+    .then(logReport)
+    .catch(e => log.error('🪝 Webhook check failed:', e.message));
+  run(true);
+  if (!(intervalMinutes > 0)) return () => {};
+  const timer = setInterval(() => run(false), intervalMinutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+const getLastReport = () => lastReport;
+
+// ---------- CLI ----------
+async function runCli(argv) {
+  const [command, ...rest] = argv;
+  const boards = [];
+  let callbackUrl = TRELLO_CALLBACK_URL;
+  const positional = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--board') boards.push(rest[++i]);
+    else if (rest[i] === '--callback') callbackUrl = rest[++i];
+    else positional.push(rest[i]);
+  }
+
+  if (command === 'list') {
+    console.log(JSON.stringify(await listWebhooks(), null, 2));
+  } else if (command === 'ensure' || command === 'check') {
+    const report = await ensureWebhooks({ boards: boards.length ? boards : configuredBoards(), callbackUrl, repair: command === 'ensure' });
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.healthy) process.exitCode = 1;
+  } else if (command === 'delete' && positional[0]) {
+    await deleteWebhook(positional[0]);
+    console.log(`🗑️  Deleted webhook ${positional[0]}`);
+  } else {
+    throw new Error('Usage: node trello-webhooks.js list | ensure | check [--board <id>]... [--callback <url>] | delete <webhookId>');
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).catch(e => { console.error(`❌ ${e.message}`); process.exit(1); });
+}
+
+module.exports = { ensureWebhooks, listWebhooks, deleteWebhook, startWebhookMonitor, getLastReport, configuredBoards };
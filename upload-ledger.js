@@ -0,0 +1,99 @@
+/**
+ * Upload ledger: remembers which card attachments were already pushed to which AdPiler ad.
+ *
+ * Stored as JSON (UPLOAD_LEDGER_PATH, default ./data/ledger.json), keyed by Trello card id:
+ *   { [cardId]: { campaignId, mode, network, adId, displayAds: { [size]: adId }, assets: { [attachmentId]: fingerprint }, updatedAt } }
+ *
+ * A fingerprint is a sha1 of the file bytes when we have them, else "<attachmentId>:<bytes>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const {
+  UPLOAD_LEDGER_PATH = path.join(__dirname, 'data', 'ledger.json')
+} = process.env;
+
+let entries = null;
+
+function load() {
+  if (entries) return entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(UPLOAD_LEDGER_PATH, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.warn(`⚠️  Upload ledger unreadable (${e.message}); starting empty.`);
+    entries = {};
+  }
+  return entries;
+}
+
+function flush() {
+  fs.mkdirSync(path.dirname(UPLOAD_LEDGER_PATH), { recursive: true });
+  const tmp = `${UPLOAD_LEDGER_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+  fs.renameSync(tmp, UPLOAD_LEDGER_PATH);
+}
+
+function fingerprint(asset = {}) {
+  if (asset.sha1) return asset.sha1; // hashed while attachment-cache.js wrote the file
+  if (asset.buffer) return crypto.createHash('sha1').update(asset.buffer).digest('hex');
+  return `${asset.id || asset.name || ''}:${asset.bytes || ''}`;
+}
+
+function assetKey(asset = {}) {
+  return String(asset.id || asset.filename || asset.name || '');
+}
+
+function getEntry(cardId) {
+  const e = load()[cardId];
+  if (!e) return null;
+  // entries written before multi-size display support carry a single 300x600 displayAdId
+  const displayAds = e.displayAds || (e.displayAdId ? { '300x600': e.displayAdId } : {});
+  return { ...e, displayAds: { ...displayAds }, assets: { ...e.assets } };
+}
+
+/** Assets in `assets` that are not in the entry yet, or whose fingerprint changed. */
+function diffAssets(entry, assets = []) {
+  const known = entry?.assets || {};
+  return assets.filter(a => known[assetKey(a)] !== fingerprint(a));
+}
+
+/**
+ * Keys of assets the entry recorded that are not in `assets` any more with the same bytes — removed from the card,
+ * or replaced (a Trello re-upload is a new attachment; a changed link keeps its id but not its fingerprint).
+ */
+function staleAssets(entry, assets = []) {
+  const current = new Map(assets.map(a => [assetKey(a), fingerprint(a)]));
+  return Object.entries(entry?.assets || {}).filter(([key, fp]) => current.get(key) !== fp).map(([key]) => key);
+}
+
+/** Record (or merge into) the ledger entry for a card after a successful upload. */
+function recordUpload(cardId, { campaignId, mode, network = '', adId = '', displayAds = {}, assets = [], merge = false }) {
+  load();
+  const prev = merge ? getEntry(cardId) : null;
+  const known = { ...(prev?.assets || {}) };
+  for (const a of assets) known[assetKey(a)] = fingerprint(a);
+  entries[cardId] = {
+    campaignId,
+    mode,
+    network: network || prev?.network || '',
+    adId: adId || prev?.adId || '',
+    displayAds: { ...(prev?.displayAds || {}), ...displayAds },
+    assets: known,
+    updatedAt: new Date().toISOString()
+  };
+  flush();
+  return { ...entries[cardId] };
+}
+
+function forget(cardId) {
+  load();
+  if (!entries[cardId]) return false;
+  delete entries[cardId];
+  flush();
+  return true;
+}
+
+module.exports = { getEntry, diffAssets, staleAssets, recordUpload, forget, fingerprint };
@@ -1,38 +1,92 @@
 // upload-to-adpiler-ui.js
 // Browserless/Puppeteer UI automation for Trello → AdPiler
+//
+// Card prep (mapping, network, validated meta), grouping, asset picking and the mode decision are
+// shared with the API uploader (upload-to-adpiler.js); only the AdPiler writes happen in the browser:
+//  - each group opens the mapped campaign (ADPILER_UI_CAMPAIGN_PATH, default /campaigns/{campaignId};
+//    {clientId} and {folderId} expand too)
+//  - display → one ad per matched size, post → social ad + 1 slide, carousel → social ad + ordered slides
+//    with per-slide copy
+//  - ad ids are read from the page URL after saving (…/ads/123, …/social-ads/123) and turned into preview URLs
+// Selectors and button labels live in UI_SELECTORS / UI_BUTTONS — adjust them to the tenant's markup.
+// In hybrid mode server.js calls this after an API failure: opts.onlyGroups limits the run to the groups
+// the API could not create, and opts.note (the fallback reason) heads the Trello comment.
+// Dry run (opts.dryRun or the ADPILER_DRY_RUN_LABEL card label) plans every group and posts the same plan comment
+// as the API uploader, without opening a browser.
+// Repeat runs share the API uploader's upload ledger (unless ADPILER_IDEMPOTENT=false or opts.force): unchanged
+// groups are reported without opening a browser, display groups only get ads for new/changed sizes, and a post or
+// carousel whose media changed becomes a new ad (slides cannot be added to an existing ad here; the old ad stays).
+//
+// Browser: a Browserless endpoint, or a local Chromium launched from CHROME_EXECUTABLE_PATH
+// (ADPILER_UI_BROWSER=local|browserless to choose when both are set).
+// Every step (login, open campaign, new ad, upload, save, harvest) that fails leaves a screenshot and an
+// HTML dump in ADPILER_UI_ARTIFACTS_DIR (empty to turn off). mock-adpiler-ui.js serves the same pages offline.
 
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const fetch = require('node-fetch');
-const csv = require('csvtojson');
 const puppeteer = require('puppeteer-core');
+const api = require('./upload-to-adpiler');
+const ledger = require('./upload-ledger');
+const { log } = require('./logger');
 
 const {
-  // Trello
-  TRELLO_API_KEY,
-  TRELLO_TOKEN,
-
-  // Mapping
-  CLIENT_CSV_URL,          // published CSV (Google Sheets → "Publish to web" → CSV)
-  DEFAULT_CLIENT_ID,       // optional fallback (e.g., 69144)
-  DEFAULT_PROJECT_ID,      // optional fallback (e.g., Adpiler Campaign ID)
-
   // AdPiler login + tenant
   ADPILER_USER,
   ADPILER_PASS,
   ADPILER_LOGIN_URL,       // e.g., https://platform.adpiler.com/login
   ADPILER_BASE_URL,        // optional base like https://platform.adpiler.com
+  ADPILER_UI_CAMPAIGN_PATH = '/campaigns/{campaignId}',
+  ADPILER_CAMPAIGN_CODE_OVERRIDE,
+  ADPILER_PREVIEW_DOMAIN = 'preview.adpiler.com',
+  USE_DESCRIPTION_AS_MESSAGE_FALLBACK = 'true',
 
   // Browserless connection
   BROWSERLESS_WS_URL,      // e.g., wss://chrome.browserless.io?token=XXXXX
   BROWSERLESS_URL,         // alt: https://chrome.browserless.io
   BROWSERLESS_TOKEN,       // alt token used with BROWSERLESS_URL
 
+  // Local Chromium (puppeteer-core ships no browser)
+  CHROME_EXECUTABLE_PATH,  // e.g., /usr/bin/chromium
+  ADPILER_UI_BROWSER = 'auto', // auto (Browserless if configured, else local) | local | browserless
+  CHROME_HEADLESS = 'true',
+  CHROME_ARGS = '',        // extra launch flags, space separated
+
   // Debug
-  DEBUG_UI
+  DEBUG_UI,
+  ADPILER_UI_ARTIFACTS_DIR = path.join(os.tmpdir(), 'adpiler-ui-artifacts')
 } = process.env;
 
+const UI_SELECTORS = {
+  email:       'input[type="email"], input[name="email"]',
+  password:    'input[type="password"], input[name="password"]',
+  loginSubmit: 'button[type="submit"]',
+  fileInput:   'input[type="file"]',
+  name:        ['input[name="name"]', 'input[placeholder*="Name"]'],
+  width:       ['input[name="width"]'],
+  height:      ['input[name="height"]'],
+  landingUrl:  ['input[name="landing_page_url"]', 'input[name="click_url"]', 'input[name="url"]', 'input[placeholder*="URL"]'],
+  network:     ['select[name="network"]'],
+  pageName:    ['input[name="page_name"]', 'input[placeholder*="Page"]'],
+  type:        ['select[name="type"]'],
+  paid:        ['input[type="checkbox"][name="paid"]'],
+  message:     ['textarea[name="message"]', 'input[name="message"]', 'textarea[placeholder*="Message"]', '[name="ad[message]"]'],
+  headline:    ['input[name="headline"]', 'input[name="title"]', 'input[placeholder*="Headline"]'],
+  description: ['textarea[name="description"]', 'input[name="description"]', 'textarea[placeholder*="Description"]'],
+  cta:         ['select[name="call_to_action"]', 'input[name="call_to_action"]', 'input[name="cta"]', 'input[placeholder*="CTA"]'],
+  displayLink: ['input[name="display_link"]'],
+  formError:   '.error:not(:empty), .alert-danger, [role="alert"]'
+};
+
+const UI_BUTTONS = {
+  login:     ['Log in', 'Sign in'],
+  newDisplay: ['New Ad', 'Upload'],
+  newSocial: ['New Social Ad', 'Social Ad', 'New Ad'],
+  addSlide:  ['Add Slide', 'New Slide', 'Add Media'],
+  save:      ['Create', 'Save'],
+  saveSlide: ['Save Slide', 'Save']
+};
+
 /* ------------------------- Browserless helpers ------------------------- */
 
 function wsEndpoint() {
@@ -54,7 +108,7 @@ async function connectWithRetry(endpoint, attempts = 5) {
     } catch (e) {
       const msg = String(e && (e.message || e));
       if (msg.includes('429') || msg.includes('Too Many Requests')) {
-        console.warn(`Browserless 429; retrying in ${delay}ms (attempt ${i}/${attempts})`);
+        log.warn(`Browserless 429; retrying in ${delay}ms (attempt ${i}/${attempts})`);
         await new Promise(r => setTimeout(r, delay));
         delay = Math.min(delay * 2, 15000);
         continue;
@@ -65,210 +119,409 @@ async function connectWithRetry(endpoint, attempts = 5) {
   throw new Error('Failed to connect to Browserless after retries');
 }
 
-/* --------------------------- Mapping helpers --------------------------- */
-/**
- * Your CSV headers (per screenshot):
- * - "Trello Client Name"
- * - "Adpiler Client ID"
- * - "Trello List Name"
- * - "Adpiler Folder ID"
- * - "Adpiler Campaign ID"
- */
-async function getClientMapping(cardName /*, cardListName? */) {
-  const DEF_CLIENT = (DEFAULT_CLIENT_ID || '').toString().trim();
-  const DEF_PROJECT = (DEFAULT_PROJECT_ID || '').toString().trim(); // can represent Campaign/Project ID
-
-  // No CSV? fall back if provided
-  if (!CLIENT_CSV_URL) {
-    if (DEF_CLIENT) return { clientId: DEF_CLIENT, projectId: DEF_PROJECT, folderId: '', campaignId: DEF_PROJECT };
-    throw new Error('CLIENT_CSV_URL not set and no DEFAULT_CLIENT_ID provided');
+// { browser, close } — close() disconnects from Browserless but shuts a local Chromium down
+async function openBrowser() {
+  const remote = !!(BROWSERLESS_WS_URL || (BROWSERLESS_URL && BROWSERLESS_TOKEN));
+  const choice = ADPILER_UI_BROWSER.toLowerCase();
+  const local = choice === 'local' || (choice === 'auto' && !remote && !!CHROME_EXECUTABLE_PATH);
+  if (!local) {
+    const browser = await connectWithRetry(wsEndpoint());
+    return { browser, close: () => browser.disconnect() };
   }
+  if (!CHROME_EXECUTABLE_PATH) throw new Error('ADPILER_UI_BROWSER=local needs CHROME_EXECUTABLE_PATH (path to a Chromium/Chrome binary).');
+  if (!fs.existsSync(CHROME_EXECUTABLE_PATH)) throw new Error(`CHROME_EXECUTABLE_PATH does not exist: ${CHROME_EXECUTABLE_PATH}`);
+  const browser = await puppeteer.launch({
+    executablePath: CHROME_EXECUTABLE_PATH,
+    headless: String(CHROME_HEADLESS).toLowerCase() !== 'false',
+    args: ['--no-sandbox', '--disable-dev-shm-usage', ...CHROME_ARGS.split(/\s+/).filter(Boolean)]
+  });
+  log.info(`🧭 Launched local Chromium: ${CHROME_EXECUTABLE_PATH}`);
+  return { browser, close: () => browser.close() };
+}
 
-  const res = await fetch(CLIENT_CSV_URL);
-  if (!res.ok) throw new Error(`Mapping CSV fetch failed (${res.status})`);
-  const text = await res.text();
-  const rows = await csv().fromString(text);
+/* ------------------------------- UI utils ------------------------------ */
 
-  const n = s => (s || '').toLowerCase().trim();
+// UI steps log at debug level unless DEBUG_UI is set
+function logStep(msg, fields) { (DEBUG_UI ? log.info : log.debug)(`🔎 UI: ${msg}`, fields); }
 
-  // Primary match: card title contains "Trello Client Name"
-  let match = rows.find(r => n(cardName).includes(n(r['Trello Client Name'])));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-  // If you want to match by Trello list name instead, pass it in and enable this:
-  // if (!match && cardListName) {
-  //   match = rows.find(r => n(cardListName) === n(r['Trello List Name']));
-  // }
+// screenshot + HTML of the page as it was when a step failed; returns the saved paths
+async function dumpPage(page, name) {
+  if (!ADPILER_UI_ARTIFACTS_DIR) return [];
+  const base = path.join(ADPILER_UI_ARTIFACTS_DIR, `${Date.now()}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`);
+  const saved = [];
+  try {
+    fs.mkdirSync(ADPILER_UI_ARTIFACTS_DIR, { recursive: true });
+    await page.screenshot({ path: `${base}.png`, fullPage: true });
+    saved.push(`${base}.png`);
+  } catch (_) {}
+  try {
+    fs.writeFileSync(`${base}.html`, `<!-- ${page.url()} -->\n${await page.content()}`);
+    saved.push(`${base}.html`);
+  } catch (_) {}
+  if (saved.length) log.error(`📸 UI step "${name}" failed; saved ${saved.join(', ')}`);
+  return saved;
+}
 
-  if (match) {
-    const clientId   = (match['Adpiler Client ID'] || '').toString().trim();
-    const folderId   = (match['Adpiler Folder ID'] || '').toString().trim();
-    const campaignId = (match['Adpiler Campaign ID'] || '').toString().trim();
-    if (clientId) return { clientId, projectId: campaignId, folderId, campaignId };
+// one named UI step; a failure is dumped once (innermost step) and rethrown with the step name
+async function step(page, name, fn) {
+  const started = Date.now();
+  try {
+    const out = await fn();
+    logStep(name, { step: name, durationMs: Date.now() - started });
+    return out;
+  } catch (e) {
+    if (!e.uiStep) {
+      e.uiStep = name;
+      e.message = `UI step "${name}" failed: ${e.message}`;
+      e.artifacts = await dumpPage(page, name);
+      log.warn(e.message, { step: name, durationMs: Date.now() - started, artifacts: e.artifacts });
+    }
+    throw e;
   }
+}
 
-  // Fallback
-  if (DEF_CLIENT) {
-    console.warn(`No CSV match for "${cardName}". Falling back to DEFAULT_CLIENT_ID.`);
-    return { clientId: DEF_CLIENT, projectId: DEF_PROJECT, folderId: '', campaignId: DEF_PROJECT };
+// first of `texts` found as visible text gets clicked
+async function clickByText(page, texts) {
+  for (const text of [].concat(texts)) {
+    const el = await page.$(`::-p-text(${text})`);
+    if (el) { await el.click(); return text; }
   }
+  throw new Error(`Could not find element with text: ${[].concat(texts).join(' / ')}`);
+}
 
-  throw new Error(`No client mapping found for card name "${cardName}"`);
+// fill the first matching field; <select> is matched on option value or label. Returns false when none exists.
+async function setField(page, selectors, value) {
+  if (value === undefined || value === null || value === '') return false;
+  for (const sel of selectors) {
+    const el = await page.$(sel);
+    if (!el) continue;
+    const tag = await el.evaluate(n => n.tagName.toLowerCase());
+    if (tag === 'select') {
+      const ok = await el.evaluate((n, want) => {
+        const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const opt = [...n.options].find(o => norm(o.value) === norm(want) || norm(o.textContent) === norm(want));
+        if (!opt) return false;
+        n.value = opt.value;
+        n.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }, String(value));
+      if (!ok) throw new Error(`No "${value}" option in ${sel}`);
+      return true;
+    }
+    await el.click({ clickCount: 3 }).catch(() => {});
+    await el.type(String(value), { delay: 5 });
+    return true;
+  }
+  return false;
 }
 
-/* ---------------------------- Trello helpers --------------------------- */
-
-async function downloadAttachmentToTemp(attachmentId, filenameHint = '') {
-  const auth = `key=${TRELLO_API_KEY}&token=${TRELLO_TOKEN}`;
-  const dlUrl = `https://api.trello.com/1/attachments/${attachmentId}/download?${auth}`;
-  const res = await fetch(dlUrl);
-  if (!res.ok) throw new Error(`Failed to download attachment ${attachmentId} (${res.status})`);
-  const buf = Buffer.from(await res.arrayBuffer());
-  const name = filenameHint || `asset-${attachmentId}`;
-  const tmp = path.join(os.tmpdir(), name);
-  fs.writeFileSync(tmp, buf);
-  return tmp;
+async function setChecked(page, selectors, checked) {
+  for (const sel of selectors) {
+    const el = await page.$(sel);
+    if (!el) continue;
+    if (await el.evaluate(n => n.checked) !== checked) await el.click();
+    return true;
+  }
+  return false;
 }
 
-function extractAdMetaFromCard(card) {
-  const desc = card.desc || '';
-  const grab = (label) => {
-    const rx = new RegExp(`${label}:\s*(.+)`, 'i');
-    const m = desc.match(rx);
-    return m ? m[1].trim() : '';
-  };
-  const url = grab('Landing Page URL') || grab('Click Through URL') || grab('URL') || grab('Link') || grab('Landing Page');
-  let displayLink = '';
-  try { if (url) displayLink = new URL(url).hostname.replace(/^www\./,''); } catch {}
-  const primary     = grab('Primary Text') || grab('Primary') || grab('Post Text') || '';
-  const headline    = grab('Headline') || grab('Title') || '';
-  const description = grab('Description') || '';
-  const cta         = grab('Call To Action') || grab('CTA') || '';
-  return { primary, headline, description, cta, url, displayLink };
+// text of a visible validation/error banner after a save, '' when there is none
+async function readFormError(page) {
+  return page.$$eval(UI_SELECTORS.formError, els => els.filter(n => n.offsetParent).map(n => n.textContent.trim()).filter(Boolean).join(' ')).catch(() => '');
 }
 
-/* ------------------------------- UI utils ------------------------------ */
+async function attachFile(page, filePath) {
+  const input = await page.waitForSelector(UI_SELECTORS.fileInput, { timeout: 30000 });
+  await input.uploadFile(filePath);
+}
 
-async function clickByText(page, text) {
-  const [el] = await page.$x(`//*[contains(normalize-space(text()), "${text}")]`);
-  if (!el) throw new Error(`Could not find element with text: ${text}`);
-  await el.click();
+// after saving, the editor lands on …/ads/123 or …/social-ads/123 (or exposes data-ad-id)
+async function saveAndReadId(page, kind) {
+  const before = page.url();
+  await clickByText(page, UI_BUTTONS.save);
+  await Promise.race([
+    page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => {}),
+    page.waitForFunction(u => location.href !== u, {}, before).catch(() => {}),
+    sleep(15000)
+  ]);
+  const rx = kind === 'social' ? /\/social-ads\/(\d+)/ : /\/ads\/(\d+)/;
+  const m = page.url().match(rx);
+  if (m) return m[1];
+  const attr = await page.$eval('[data-ad-id]', n => n.getAttribute('data-ad-id')).catch(() => '');
+  if (attr) return attr;
+  const problem = await readFormError(page);
+  throw new Error(problem ? `AdPiler refused the ${kind} ad: ${problem}` : `Saved the ${kind} ad but could not read its id (page: ${page.url()})`);
 }
 
-async function logStep(msg) { if (DEBUG_UI) console.log(`🔎 UI: ${msg}`); }
+/* ------------------------------ Navigation ----------------------------- */
 
-/* ------------------------------- Main run ------------------------------ */
+function campaignUrl(mapping, campaignId) {
+  const base = (ADPILER_BASE_URL || new URL(ADPILER_LOGIN_URL).origin).replace(/\/+$/, '');
+  const vars = { campaignId, clientId: mapping.clientId || '', folderId: mapping.folderId || '' };
+  const p = ADPILER_UI_CAMPAIGN_PATH.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(vars[k] || ''));
+  return `${base}/${p.replace(/^\/+/, '')}`;
+}
 
-async function uploadToAdpilerUI(card, attachments, { postTrelloComment } = {}) {
-  if (!ADPILER_USER || !ADPILER_PASS) throw new Error('Missing ADPILER_USER/ADPILER_PASS');
-  if (!ADPILER_LOGIN_URL) throw new Error('Missing ADPILER_LOGIN_URL');
+async function login(page) {
+  await step(page, 'login', async () => {
+    await page.goto(ADPILER_LOGIN_URL, { waitUntil: 'networkidle2' });
+    await page.type(UI_SELECTORS.email, ADPILER_USER, { delay: 10 });
+    await page.type(UI_SELECTORS.password, ADPILER_PASS, { delay: 10 });
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2' }),
+      page.click(UI_SELECTORS.loginSubmit).catch(() => clickByText(page, UI_BUTTONS.login))
+    ]);
+    if (await page.$(UI_SELECTORS.password)) throw new Error(`still on the login form (${page.url()}); check ADPILER_USER/ADPILER_PASS`);
+  });
+}
 
-  const browser = await connectWithRetry(wsEndpoint());
-  const page = await browser.newPage();
-  page.setDefaultTimeout(45000);
+// campaign code from a preview link on the campaign page (https://preview.adpiler.com/<code>…)
+async function readCampaignCode(page) {
+  const domain = ADPILER_PREVIEW_DOMAIN.replace(/^https?:\/\//, '');
+  const hrefs = await page.$$eval('a', as => as.map(a => a.href).filter(Boolean)).catch(() => []);
+  for (const href of hrefs) {
+    try {
+      const u = new URL(href);
+      if (u.hostname === domain) { const code = u.pathname.split('/').filter(Boolean)[0]; if (code) return decodeURIComponent(code); }
+    } catch {}
+  }
+  return '';
+}
 
-  const meta = extractAdMetaFromCard(card);
-  const mapping = await getClientMapping(card.name /*, card.listNameIfYouPassIt */);
+/* ------------------------------- Builders ------------------------------ */
 
-  const tmpFiles = [];
-  try {
-    /* 1) Login */
-    await logStep('Navigating to login');
-    await page.goto(ADPILER_LOGIN_URL, { waitUntil: 'networkidle2' });
+// planned assets are already on disk (attachment cache); anything else is fetched into it
+async function assetFile(files, asset) {
+  const entry = asset.path ? asset : await files.get(asset);
+  return { file: entry.path, filename: entry.filename };
+}
 
-    await logStep('Typing credentials');
-    await page.type('input[type="email"], input[name="email"]', ADPILER_USER, { delay: 10 });
-    await page.type('input[type="password"], input[name="password"]', ADPILER_PASS, { delay: 10 });
-    await Promise.all([
-      page.click('button[type="submit"], button:has-text("Log in"), button:has-text("Sign in")').catch(() => clickByText(page, 'Log in')),
-      page.waitForNavigation({ waitUntil: 'networkidle2' })
-    ]);
+// `assets`: the sizes to create (all of the plan's, or only the new/changed ones on a repeat run)
+async function buildDisplayAds(page, { plan, assets = plan.assets, adName, meta, openCampaign, files }) {
+  const displayAds = {};
+  for (const asset of assets) {
+    await openCampaign();
+    await step(page, `new display ad ${asset.size}`, () => clickByText(page, UI_BUTTONS.newDisplay));
+    const { file } = await assetFile(files, asset);
+    await step(page, `upload ${asset.filename}`, () => attachFile(page, file));
+    await step(page, `display ad ${asset.size} fields`, async () => {
+      await setField(page, UI_SELECTORS.name, plan.assets.length > 1 ? `${adName} ${asset.size}` : adName);
+      await setField(page, UI_SELECTORS.width, asset.width);
+      await setField(page, UI_SELECTORS.height, asset.height);
+      await setField(page, UI_SELECTORS.landingUrl, meta.url);
+    });
+    displayAds[asset.size] = await step(page, `save display ad ${asset.size}`, () => saveAndReadId(page, 'display'));
+    log.info(`✅ DISPLAY ${asset.size} (UI) id: ${displayAds[asset.size]}`);
+  }
+  return displayAds;
+}
 
-    /* 2) Navigate to client/project (tenant-specific) */
-    // If you have a direct URL pattern for client/campaign, you can jump straight there:
-    // Example patterns — adjust to your tenant’s real URLs if available:
-    // if (ADPILER_BASE_URL && mapping.clientId) {
-    //   await logStep(`Opening client ${mapping.clientId}`);
-    //   await page.goto(`${ADPILER_BASE_URL}/clients/${mapping.clientId}`, { waitUntil: 'networkidle2' });
-    // }
-    // if (ADPILER_BASE_URL && mapping.campaignId) {
-    //   await logStep(`Opening campaign ${mapping.campaignId}`);
-    //   await page.goto(`${ADPILER_BASE_URL}/campaigns/${mapping.campaignId}`, { waitUntil: 'networkidle2' });
-    // }
-
-    /* 3) Start "New Ad" / Upload flow */
-    await logStep('Opening New Ad / Upload flow');
-    try { await clickByText(page, 'New Ad'); } catch { await clickByText(page, 'Upload'); }
-    await page.waitForSelector('input[type="file"], input[name="headline"], input[name="title"]', { timeout: 30000 });
-
-    /* 4) Download & attach files */
-    await logStep('Downloading attachments');
-    for (const att of (attachments || [])) {
-      if (!att?.id) continue;
-      const tmp = await downloadAttachmentToTemp(att.id, att.name || `asset-${att.id}`);
-      tmpFiles.push(tmp);
+async function buildSocialAd(page, { group, plan, adName, meta, paid, network, pageName, openCampaign, files }) {
+  await openCampaign();
+  await step(page, `new ${plan.mode} social ad`, async () => {
+    await clickByText(page, UI_BUTTONS.newSocial);
+    await page.waitForSelector([...UI_SELECTORS.name, ...UI_SELECTORS.network].join(', '), { timeout: 30000 });
+  });
+  await step(page, 'social ad fields', async () => {
+    await setField(page, UI_SELECTORS.name, adName);
+    await setField(page, UI_SELECTORS.network, network.key);
+    await setField(page, UI_SELECTORS.pageName, pageName);
+    await setField(page, UI_SELECTORS.type, plan.mode);
+    await setChecked(page, UI_SELECTORS.paid, !!paid);
+    await setField(page, UI_SELECTORS.message, plan.primaryForMessage);
+  });
+  const socialAdId = await step(page, 'save social ad', () => saveAndReadId(page, 'social'));
+
+  const slides = plan.mode === 'post-carousel'
+    ? api.sortSlides(plan.assets, { order: meta.slideOrder, attachments: group.attachments })
+    : plan.assets;
+  const uploaded = [];
+  const failed = [];
+  for (const [i, asset] of slides.entries()) {
+    try {
+      const { file, filename } = await assetFile(files, asset);
+      const slideMeta = api.slideMetaFor(meta, { position: i + 1, filename });
+      await step(page, `slide ${i + 1} (${filename})`, async () => {
+        await clickByText(page, UI_BUTTONS.addSlide);
+        await attachFile(page, file);
+        await setField(page, UI_SELECTORS.headline, slideMeta.headline);
+        await setField(page, UI_SELECTORS.description, slideMeta.description);
+        await setField(page, UI_SELECTORS.cta, slideMeta.cta);
+        await setField(page, UI_SELECTORS.landingUrl, slideMeta.url);
+        await setField(page, UI_SELECTORS.displayLink, slideMeta.displayLink);
+        await clickByText(page, UI_BUTTONS.saveSlide);
+        await sleep(1500);
+        const problem = await readFormError(page);
+        if (problem) throw new Error(`AdPiler refused the slide: ${problem}`);
+      });
+      uploaded.push(asset);
+      log.info(`✅ Slide → ad ${socialAdId} (UI): ${filename}`);
+    } catch (e) {
+      log.warn(`⚠️ Slide upload failed (${asset.filename || asset.name || ''}): ${e.message}`);
+      failed.push({ filename: asset.filename || asset.name || asset.id, error: e.message });
     }
+  }
+  if (!uploaded.length && slides.length) throw new Error(`No slides uploaded to social ad ${socialAdId}: ${failed.map(f => `${f.filename}: ${f.error}`).join('; ')}`);
+  return { socialAdId, uploaded, failed };
+}
 
-    await logStep(`Uploading ${tmpFiles.length} file(s)`);
-    const fileInput = await page.$('input[type="file"]');
-    if (fileInput && tmpFiles.length) await fileInput.uploadFile(...tmpFiles);
-
-    /* 5) Fill metadata (best-effort; adjust selectors to match tenant) */
-    const setIfExists = async (selectors, value) => {
-      if (!value) return;
-      for (const sel of selectors) {
-        const el = await page.$(sel);
-        if (el) {
-          await el.click({ clickCount: 3 }).catch(() => {});
-          await page.type(sel, value, { delay: 5 });
-          return;
-        }
+/* ------------------------------- Main run ------------------------------ */
+
+async function uploadToAdpilerUI(card, attachments, opts = {}) {
+  // one download per attachment for planning and the browser uploads; removed however the run ends
+  const files = api.createCardFiles(card);
+  try {
+    return await runUpload(card, attachments, files, opts);
+  } finally {
+    files.cleanup();
+  }
+}
+
+// result fields every group reports, whatever happens in the browser
+function groupResult(group, plan, { paid, network }) {
+  return {
+    group: group.label,
+    mode: plan.mode,
+    outcome: 'created',
+    paid,
+    network: plan.mode === 'display' ? '' : network.label,
+    unmatchedDisplay: plan.display.unmatched,
+    rejectedVideos: plan.videos.rejected,
+    video: plan.mode === 'post' && plan.assets[0]?.info ? { filename: plan.assets[0].filename, ...plan.assets[0].info } : null,
+    slideOrder: plan.slideOrder,
+    slideOrderUnknown: plan.slideOrderUnknown,
+    socialAdId: '',
+    displayAds: {},
+    displayAdId: '',
+    priorAdId: '',
+    failedSlides: []
+  };
+}
+
+async function runUpload(card, attachments, files, { postTrelloComment, force = false, dryRun = false, forceMode: modeOverride = '', onlyGroups = null, note = '' } = {}) {
+  if (!ADPILER_USER || !ADPILER_PASS) throw new Error('Missing ADPILER_USER/ADPILER_PASS');
+  if (!ADPILER_LOGIN_URL) throw new Error('Missing ADPILER_LOGIN_URL');
+
+  const { mapping, campaignId, network, page: pageInfo, copyCheck, meta, paid, forceMode, wantsDisplayHint } =
+    await log.time('prepare card', () => api.prepareCard(card, { forceMode: modeOverride, files, attachments }));
+  const isDryRun = !!dryRun || api.hasDryRunLabel(card);
+  if (isDryRun) log.info(`🧪 Dry run for card ${card.id} — no browser session, no AdPiler writes.`);
+  const ledgerOn = api.ledgerEnabled(force);
+
+  const groups = api.groupAttachments(card, attachments, { forceMode });
+  if (!groups.length) groups.push({ key: '', label: 'main', modeHint: '', attachments: [] });
+  const multi = groups.length > 1;
+  const todo = onlyGroups ? groups.filter(g => onlyGroups.includes(g.label)) : groups;
+  if (!todo.length) throw new Error(`No ad group named ${onlyGroups.join(', ')} on this card`);
+
+  // plan every group (and check the ledger) before opening a browser session, so a blocked or
+  // already-uploaded card costs no Browserless time
+  const plans = [];
+  const results = [];
+  const failures = [];
+  for (const group of todo) {
+    const adName = group.key ? `${card.name} — ${group.label}` : card.name;
+    try {
+      const plan = await api.planAdGroup({ card, group, meta, network: network.profile, forceMode, titleHint: !multi && wantsDisplayHint, adName, files });
+      if (plan.mode !== 'display' && !plan.primaryForMessage && String(USE_DESCRIPTION_AS_MESSAGE_FALLBACK).toLowerCase() === 'false') {
+        log.warn('No Primary Text; the ad message will be empty.');
       }
-    };
-
-    await logStep('Filling metadata fields');
-// Set ad-level Message (top text)
-await setIfExists(['textarea[name="message"]','input[name="message"]','textarea[placeholder*="Message"]','[name="ad[message]"]'], meta.primary);
-try { const [lbl] = await page.$x("//label[contains(normalize-space(.), 'Message')]"); if (lbl) { const forAttrHandle = await lbl.getProperty('htmlFor'); const forAttr = forAttrHandle ? await forAttrHandle.jsonValue() : null; if (forAttr) { const sel = `#${forAttr}`; const el = await page.$(sel); if (el) { await el.click({ clickCount: 3 }).catch(()=>{}); await page.type(sel, meta.primary, {delay:5}); } } } } catch(_){ }
-    await setIfExists(['input[name="headline"]','input[name="title"]','input[placeholder*="Headline"]'], meta.headline);
-    await setIfExists(['textarea[name="description"]','textarea[placeholder*="Description"]'], meta.description);
-    await setIfExists(['input[name="cta"]','input[placeholder*="CTA"]'], meta.cta);
-try { const [lblCTA] = await page.$x("//label[contains(normalize-space(.), 'Call To Action')]"); if (lblCTA) { const forAttrHandle = await lblCTA.getProperty('htmlFor'); const forAttr = forAttrHandle ? await forAttrHandle.jsonValue() : null; if (forAttr) { const sel = `#${forAttr}`; const el = await page.$(sel); if (el) { await el.click({ clickCount: 3 }).catch(()=>{}); await page.type(sel, meta.cta, {delay:5}); } } } } catch(_){ }
-    await setIfExists(['input[name="url"]','input[name="click_url"]','input[placeholder*="URL"]'], meta.url);
-
-    /* 6) Submit */
-    await logStep('Submitting');
-    try { await clickByText(page, 'Create'); } catch { await clickByText(page, 'Save'); }
-
-    /* 7) Harvest preview/share URLs */
-    await page.waitForTimeout(1500);
-    const anchors = await page.$$eval('a', as => as.map(a => a.href).filter(Boolean));
-    const previewUrls = anchors.filter(u => /preview|share/i.test(u));
-
-    await logStep(`Done. Found ${previewUrls.length} preview URL(s).`);
-
-    // Optional: let Trello know if we fell back to default mapping
-    if (!CLIENT_CSV_URL || !previewUrls.length) {
-      if (DEFAULT_CLIENT_ID && postTrelloComment) {
-        try { await postTrelloComment(card.id, `No CSV match for "${card.name}" – used DEFAULT_CLIENT_ID=${DEFAULT_CLIENT_ID}.`); } catch (_) {}
+      const ledgerKey = api.ledgerKeyFor(card, group);
+      const seen = api.compareWithLedger({ ledgerKey, ledgerOn, campaignId, mode: plan.mode, network: network.profile, assets: plan.assets });
+      if (isDryRun) {
+        // the web UI cannot add slides to an existing ad, so a grown carousel is planned as a new ad
+        results.push(api.describePlannedGroup({ group, plan, meta, seen: { ...seen, appendSlides: false }, network: network.profile, paid }));
+        continue;
       }
+      if (seen.unchanged) {
+        const r = groupResult(group, plan, { paid, network: network.profile });
+        Object.assign(r, { outcome: 'unchanged', socialAdId: seen.prior.adId || '', displayAds: { ...seen.prior.displayAds } });
+        r.displayAdId = Object.values(r.displayAds)[0] || '';
+        log.info(`↩️  ${ledgerKey} already uploaded (ad ${r.socialAdId || Object.values(r.displayAds).join(', ')}); nothing changed.`);
+        results.push(r);
+        continue;
+      }
+      plans.push({ group, adName, plan, ledgerKey, seen });
+    } catch (e) {
+      log.error(`Uploader error${group.key ? ` (group "${group.label}")` : ''}:`, e);
+      if (!multi && !isDryRun) { await api.postBlockedComment(card, e, postTrelloComment); throw e; }
+      failures.push({ group: group.label, error: e.message, ...(e.validation && { validation: e.validation }) });
     }
+  }
+  // display-only cards carry no social copy, so only the landing page URL can block them
+  const copy = api.copyCheckFor(copyCheck, [...plans.map(p => p.plan.mode), ...results.map(r => r.mode)]);
+  if (copy.errors.length && !isDryRun) await api.blockOnCopyErrors(card, copy, postTrelloComment);
+  if (isDryRun) {
+    return api.finishDryRun(card, { attachments, mapping, campaignId, meta, copyCheck: copy, paid, forceMode, network, page: pageInfo, groups: todo, results, failures, postTrelloComment });
+  }
+  if (!plans.length && !results.length) throw await api.allGroupsFailed(card, todo, failures, postTrelloComment);
+
+  let campaignCode = mapping.campaignCode || ADPILER_CAMPAIGN_CODE_OVERRIDE || '';
+  if (plans.length) {
+    const { browser, close } = await openBrowser();
+    const page = await browser.newPage();
+    page.setDefaultTimeout(45000);
+    const target = campaignUrl(mapping, campaignId);
+    const openCampaign = () => step(page, `open campaign ${campaignId}`, async () => {
+      const resp = await page.goto(target, { waitUntil: 'networkidle2' });
+      if (resp && resp.status() >= 400) throw new Error(`${target} answered ${resp.status()}`);
+    });
 
-    return { previewUrls };
-  } catch (err) {
-    if (DEBUG_UI) {
-      try {
-        const shot = path.join(os.tmpdir(), `adpiler-ui-fail-${Date.now()}.png`);
-        await page.screenshot({ path: shot, fullPage: true });
-        console.error('UI failed. Screenshot saved at:', shot);
-      } catch (_) {}
+    try {
+      await login(page);
+      await openCampaign();
+      const harvestCode = () => step(page, 'harvest campaign code', () => readCampaignCode(page));
+      if (!campaignCode) campaignCode = await harvestCode();
+
+      for (const { group, adName, plan, ledgerKey, seen } of plans) {
+        try {
+          const common = { group, plan, adName, meta, paid, network: network.profile, pageName: pageInfo.pageName, openCampaign, files };
+          const r = groupResult(group, plan, { paid, network: network.profile });
+          if (plan.mode === 'display' && seen.prior) {
+            // only sizes that are new or whose file changed get a new display ad
+            const created = await buildDisplayAds(page, { ...common, assets: seen.changed });
+            Object.assign(r, { outcome: 'updated', displayAds: { ...seen.prior.displayAds, ...created }, uploadedCount: Object.keys(created).length });
+            ledger.recordUpload(ledgerKey, { campaignId, mode: plan.mode, displayAds: created, assets: seen.changed, merge: true });
+          } else if (plan.mode === 'display') {
+            r.displayAds = await buildDisplayAds(page, common);
+            r.uploadedCount = Object.keys(r.displayAds).length;
+            ledger.recordUpload(ledgerKey, { campaignId, mode: plan.mode, displayAds: r.displayAds, assets: plan.assets });
+          } else {
+            const { socialAdId, uploaded, failed } = await buildSocialAd(page, common);
+            Object.assign(r, { socialAdId, uploadedCount: uploaded.length, failedSlides: failed });
+            if (seen.prior) Object.assign(r, { outcome: 'replaced', priorAdId: seen.prior.adId });
+            ledger.recordUpload(ledgerKey, { campaignId, mode: plan.mode, network: network.profile.key, adId: socialAdId, assets: uploaded });
+          }
+          r.displayAdId = Object.values(r.displayAds)[0] || '';
+
+          if (!campaignCode) { await openCampaign(); campaignCode = await harvestCode(); }
+          results.push(r);
+        } catch (e) {
+          log.error(`UI uploader error${group.key ? ` (group "${group.label}")` : ''}:`, e);
+          if (!multi) throw e;
+          failures.push({ group: group.label, error: e.message });
+        }
+      }
+    } finally {
+      // close the browser session
+      try { await page.close(); } catch (_) {}
+      try { await close(); } catch (_) {}
     }
-    throw err;
-  } finally {
-    // cleanup temp files and session
-    try { tmpFiles.forEach(f => { try { fs.unlinkSync(f); } catch(_){} }); } catch(_) {}
-    try { await page.close(); } catch(_) {}
-    try { await browser.disconnect(); } catch(_) {}
   }
+  if (!results.length) throw await api.allGroupsFailed(card, todo, failures, postTrelloComment);
+
+  for (const r of results) {
+    const id = r.socialAdId || (multi ? r.displayAdId : '');
+    r.previewUrl = id && campaignCode ? api.buildPreviewUrl({ domain: ADPILER_PREVIEW_DOMAIN, campaignCode, adId: id }) : '';
+  }
+  logStep(`Done. ${results.length} ad(s), ${results.filter(r => r.previewUrl).length} preview URL(s).`);
+
+  if (postTrelloComment) {
+    try { await postTrelloComment(card.id, api.formatResultComment({ results, failures, groups: todo, copyCheck: copy, meta, network, page: pageInfo, note })); } catch {}
+  }
+  return api.summarizeResults({ results, failures: [...failures, ...api.failedSlideErrors(results)], groups: todo, campaignId });
 }
 
-module.exports = { uploadToAdpilerUI };
+module.exports = { uploadToAdpilerUI, UI_SELECTORS, UI_BUTTONS };
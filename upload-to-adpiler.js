@@ -2,40 +2,51 @@
  * Trello → AdPiler uploader (Display, Post, Post Carousel) + video support for Post
  *
  * Modes:
- *  - Display (300x600) → POST /campaigns/{campaign}/ads                  (file + width/height + landing_page_url)
+ *  - Display (IAB sizes) → POST /campaigns/{campaign}/ads                (file + width/height + landing_page_url, one ad per size)
  *  - Post (single social) → POST /campaigns/{campaign}/social-ads        (create) → /social-ads/{ad}/slides (upload 1)
  *  - Post Carousel →       POST /campaigns/{campaign}/social-ads         (create) → /social-ads/{ad}/slides (upload many)
  *
- * Auto mode selection (unless ADPILER_FORCE_MODE=display|post|post-carousel):
+ * Auto mode selection (unless opts.forceMode, the "Ad Type" custom field or ADPILER_FORCE_MODE=display|post|post-carousel):
  *  1) ≥2 square (1:1) images → Post Carousel
- *  2) else ≥2 non-display images (NOT 300×600) → Post Carousel
+ *  2) else ≥2 non-display images (not a display size) → Post Carousel
  *  3) else exactly 1 square → Post (single)
- *  4) else if title hints "display" or a true 300×600 GIF/PNG exists → Display
+ *  4) else if title hints "display"/a display size, or an image matches a display size → Display
  *  5) else → Post (single)
  *
  * Single Post media preference:
- *  1) square image → 2) first video (.mp4/.mov/.m4v) → 3) first attachment
+ *  1) square image → 2) video (.mp4/.mov/.m4v) that passes video-inspect.js → 3) first attachment
  *
  * Labels tolerate markdown wrappers (e.g., **Primary Text**:). Multiline values supported.
+ * A card can hold several ads (groupAttachments); repeat runs consult upload-ledger.js (compareWithLedger).
  */
 
+const fs = require('fs');
 const fetch = require('node-fetch');
+const { trelloFetch, adpilerFetch, mapConcurrent } = require('./rate-limit');
 const FormData = require('form-data');
-const csv = require('csvtojson');
 const { URL } = require('url');
+const ledger = require('./upload-ledger');
+const { inspectHtml5Zip } = require('./html5-banner');
+const { inspectVideoFile } = require('./video-inspect');
+const { createAttachmentCache, fileStream } = require('./attachment-cache');
+const { validateAdMeta } = require('./ad-copy-validation');
+const { isCopyDocument, readCopyDocuments } = require('./copy-brief');
+const { findNetwork, defaultNetwork } = require('./network-profiles');
+const { getClientMapping } = require('./client-mapping');
+const { log, setContext } = require('./logger');
 
 // Optional: pixel detection for asset picking (recommended)
 let imageSize = null;
 try { imageSize = require('image-size'); } catch { /* optional */ }
 
 // ---------- CONSTANTS ----------
-const FIXED_NETWORK = 'facebook';
 const DEFAULT_PAGE_NAME = 'Adpiler';
 
 // ---------- ENV ----------
 const {
   ADPILER_API_KEY,
   CLIENT_CSV_URL,
+  CLIENT_MAPPING_FILE,
   TRELLO_API_KEY,
   TRELLO_TOKEN,
   DEFAULT_CLIENT_ID = '',
@@ -46,67 +57,60 @@ const {
   ADPILER_API_BASE,
   ADPILER_BASE_URL,
   ADPILER_FORCE_MODE, // 'display' | 'post' | 'post-carousel'
-  USE_DESCRIPTION_AS_MESSAGE_FALLBACK = 'true'
+  USE_DESCRIPTION_AS_MESSAGE_FALLBACK = 'true',
+  ADPILER_IDEMPOTENT = 'true',
+  ADPILER_GROUPING = 'true',
+  ADPILER_DISPLAY_SIZES = '300x600,300x250,728x90,160x600,320x50,970x250',
+  ADPILER_HTML5_MAX_KB = '150',
+  ADPILER_VIDEO_MAX_MB = '4096',
+  ADPILER_VIDEO_MIN_SECONDS = '1',
+  ADPILER_VIDEO_MAX_SECONDS = '14460',
+  ADPILER_DRY_RUN_LABEL = 'AdPiler: dry run',
+  ADPILER_SLIDE_CONCURRENCY = '3'
 } = process.env;
 
 const _API_BASE = (ADPILER_API_BASE || ADPILER_BASE_URL || '').trim();
 const API = (p) => `${_API_BASE.replace(/\/+$/,'')}/${String(p || '').replace(/^\/+/, '')}`;
 const normalize = (s) => (s || '').toLowerCase().trim();
 
+// "300x600, 728x90" → [{ width: 300, height: 600, key: '300x600' }, ...]
+const DISPLAY_SIZES = String(ADPILER_DISPLAY_SIZES || '')
+  .split(/[,\s]+/)
+  .map(t => t.trim().toLowerCase().match(/^(\d+)x(\d+)$/))
+  .filter(Boolean)
+  .map(m => ({ width: +m[1], height: +m[2], key: `${+m[1]}x${+m[2]}` }));
+
+const VIDEO_LIMITS = {
+  maxBytes: (parseFloat(ADPILER_VIDEO_MAX_MB) || 0) * 1024 * 1024,
+  minSeconds: parseFloat(ADPILER_VIDEO_MIN_SECONDS) || 0,
+  maxSeconds: parseFloat(ADPILER_VIDEO_MAX_SECONDS) || 0
+};
+// HTML5 bundles up to this size are read into memory for the zip check; bigger ones fail it on weight alone
+const HTML5_READ_LIMIT = 20 * 1024 * 1024;
+// Placement meta → preferred aspect ratios
+const PLACEMENT_ASPECTS = { stories: ['9:16'], story: ['9:16'], reels: ['9:16'], reel: ['9:16'], feed: ['1:1', '4:5'] };
+
 function assertEnv() {
   const miss = [];
   if (!_API_BASE) miss.push('ADPILER_API_BASE (or ADPILER_BASE_URL)');
   if (!ADPILER_API_KEY) miss.push('ADPILER_API_KEY');
   if (!TRELLO_API_KEY) miss.push('TRELLO_API_KEY');
   if (!TRELLO_TOKEN) miss.push('TRELLO_TOKEN');
-  if (!CLIENT_CSV_URL && !DEFAULT_CLIENT_ID) miss.push('CLIENT_CSV_URL (or set DEFAULT_CLIENT_ID)');
+  if (!CLIENT_CSV_URL && !CLIENT_MAPPING_FILE && !DEFAULT_CLIENT_ID) miss.push('CLIENT_CSV_URL or CLIENT_MAPPING_FILE (or set DEFAULT_CLIENT_ID)');
   if (miss.length) throw new Error(`Missing env vars: ${miss.join(', ')}`);
 }
 
-// ---------- CSV CLIENT/CAMPAIGN LOOKUP ----------
-async function getClientMapping(cardName) {
-  const fallback = {
-    clientId: String(DEFAULT_CLIENT_ID || '').trim(),
-    campaignId: String(DEFAULT_PROJECT_ID || '').trim(),
-    folderId: '',
-    campaignCode: ''
-  };
-
-  if (!CLIENT_CSV_URL) {
-    if (fallback.clientId) return { ...fallback };
-    throw new Error('CLIENT_CSV_URL not set and no DEFAULT_CLIENT_ID provided');
-  }
-
-  const res = await fetch(CLIENT_CSV_URL);
-  if (!res.ok) throw new Error(`Mapping CSV fetch failed (${res.status})`);
-  const rows = await csv().fromString(await res.text());
-
-  const lcCard = normalize(cardName);
-  let row = rows.find(r => lcCard.includes(normalize(r['Trello Client Name'])));
-  if (!row) row = rows.find(r => normalize(r['Trello Client Name']) === lcCard);
-
-  if (row) {
-    const clientId     = String(row['Adpiler Client ID'] || '').trim();
-    const folderId     = String(row['Adpiler Folder ID'] || '').trim();
-    const campaignId   = String(row['Adpiler Campaign ID'] || '').trim();
-    const campaignCode = String(row['Adpiler Campaign Code'] || '').trim();
-    if (clientId && campaignId) return { clientId, folderId, campaignId, campaignCode };
-  } else {
-    console.warn(`No CSV match for "${cardName}". Falling back to defaults.`);
-  }
-  return { ...fallback };
-}
-
 // ---------- TRELLO ATTACHMENT HELPERS ----------
 async function fetchCardAttachmentMeta(cardId, attachmentId) {
   const authQ = `key=${TRELLO_API_KEY}&token=${TRELLO_TOKEN}`;
   const url = `https://api.trello.com/1/cards/${cardId}/attachments/${attachmentId}?${authQ}`;
-  const r = await fetch(url);
+  const r = await trelloFetch(url);
   if (!r.ok) throw new Error(`Attachment ${attachmentId} metadata fetch failed (${r.status})`);
   return r.json();
 }
 
-async function downloadAttachmentBuffer(cardId, attachment) {
+// response body stream for an attachment (Trello upload or external link); attachment-cache.js writes it to disk
+async function openAttachment(cardId, attachment) {
   const meta = (attachment && typeof attachment.isUpload !== 'undefined')
     ? attachment
     : await fetchCardAttachmentMeta(cardId, attachment.id);
@@ -117,21 +121,34 @@ async function downloadAttachmentBuffer(cardId, attachment) {
 
   if (isUpload) {
     const dlUrl = `https://api.trello.com/1/cards/${cardId}/attachments/${attachment.id}/download?${authQ}`;
-    const dl = await fetch(dlUrl);
+    const dl = await trelloFetch(dlUrl);
     if (!dl.ok) throw new Error(`Attachment ${attachment.id} Trello download failed (${dl.status})`);
-    const ab = await dl.arrayBuffer();
-    return { buffer: Buffer.from(ab), filename: name, mimeType: meta.mimeType || '' };
+    return { body: dl.body, filename: name, mimeType: meta.mimeType || '' };
   }
 
   const externalUrl = meta.url;
   if (!externalUrl) throw new Error(`Attachment ${attachment.id} is not an uploaded file and has no url`);
   const extRes = await fetch(externalUrl, { redirect: 'follow' });
   if (!extRes.ok) throw new Error(`Attachment ${attachment.id} external fetch failed (${extRes.status}) for ${externalUrl}`);
-  const ab = await extRes.arrayBuffer();
-  return { buffer: Buffer.from(ab), filename: name, mimeType: meta.mimeType || '' };
+  return { body: extRes.body, filename: name, mimeType: meta.mimeType || '' };
+}
+
+/**
+ * Per-job cache of the card's attachments (one download each, kept on disk); call cleanup() when done.
+ * The pre-scan reads headers from disk and the uploads stream the files, so a large video is never held in memory.
+ */
+function createCardFiles(card) {
+  return createAttachmentCache(att => openAttachment(card.id, att), { label: card.id });
+}
+
+function measureImage(file) {
+  if (!imageSize) return { width: 0, height: 0 };
+  try { const d = imageSize(file); return { width: d?.width || 0, height: d?.height || 0 }; } catch { return { width: 0, height: 0 }; }
 }
 
 // ---------- CARD META PARSING ----------
+// Carousel slides can carry their own copy ("Slide 2 Headline:", "<filename> CTA:"); slide numbers follow the
+// upload order and anything not set per slide falls back to the card-level value.
 function extractAdMetaFromCard(card) {
   const norm = (s) => (s || '').trim();
   const isBlank = (s) => !s || /^leave\s+blank$/i.test(String(s).trim());
@@ -182,6 +199,9 @@ function extractAdMetaFromCard(card) {
   const cta         = pick('Call To Action', 'CTA');
   const url         = pick('Landing Page URL', 'URL', 'Link', 'Landing Page');
   let description   = pick('Description');
+  const slideOrder  = pick('Slide Order', 'Slides Order', 'Carousel Order');
+  const placement   = pick('Placement');
+  const network     = pick('Network', 'Platform');
 
   const clean = (s) => (isBlank(s) ? '' : norm(s));
   const cleanedUrl = clean(url);
@@ -189,61 +209,157 @@ function extractAdMetaFromCard(card) {
   let displayLink = '';
   try { if (cleanedUrl) displayLink = new URL(cleanedUrl).hostname.replace(/^www\./, ''); } catch {}
 
+  // Per-slide copy: description lines first, checklist items override
+  const slides = { byIndex: {}, byFile: {} };
+  const addSlideValue = (rawKey, value) => {
+    const sk = _slideKey(rawKey);
+    if (!sk || isBlank(value)) return false;
+    const bucket = sk.index ? slides.byIndex : slides.byFile;
+    const id = sk.index || sk.file;
+    bucket[id] = { ...(bucket[id] || {}), [sk.field]: norm(value) };
+    return true;
+  };
+  let hasSlides = false;
+  for (const m of desc.matchAll(/^\s*[*_~`]*([^:\n]{1,120}?)[*_~`]*\s*:\s*(.+)$/gm)) hasSlides = addSlideValue(m[1], m[2]) || hasSlides;
+  for (const [k, v] of Object.entries(clVals)) hasSlides = addSlideValue(k, v) || hasSlides;
+
   return {
     primary:     clean(primaryText),
     headline:    clean(headline),
     description: clean(description),
     cta:         clean(cta),
     url:         cleanedUrl,
-    displayLink
+    displayLink,
+    placement:   clean(placement),
+    network:     clean(network),
+    ...(hasSlides ? { slides } : {}),
+    ...(clean(slideOrder) ? { slideOrder: clean(slideOrder).split(/\s*(?:,|;|\n|→|->)\s*/).map(s => s.toLowerCase()).filter(Boolean) } : {})
   };
 }
 
+const BRIEF_FIELDS = ['primary', 'headline', 'description', 'cta', 'url', 'placement', 'network'];
+
+/**
+ * Card meta with the gaps filled from attached copy briefs (.txt/.md/.docx or Google Docs, see copy-brief.js;
+ * same label grammar as the description). Briefs are never uploaded as ad media.
+ * Card-level values win field by field, per slide too; the first brief that has a value supplies it.
+ * Adds copySources: the brief filenames that supplied something.
+ */
+async function extractAdMeta(card, { files, attachments } = {}) {
+  const meta = extractAdMetaFromCard(card);
+  if (!files) return meta;
+  const briefs = (await readCopyDocuments(files, attachments || card.attachments || []))
+    .map(doc => ({ filename: doc.filename, meta: extractAdMetaFromCard({ desc: doc.text }) }));
+  if (!briefs.length) return meta;
+
+  const out = { ...meta, ...(meta.slides && { slides: { byIndex: { ...meta.slides.byIndex }, byFile: { ...meta.slides.byFile } } }) };
+  const used = new Set();
+  for (const field of BRIEF_FIELDS) {
+    if (out[field]) continue;
+    const brief = briefs.find(b => b.meta[field]);
+    if (!brief) continue;
+    out[field] = brief.meta[field];
+    if (field === 'url') out.displayLink = brief.meta.displayLink;
+    used.add(brief.filename);
+  }
+  for (const brief of briefs) {
+    if (!out.slideOrder && brief.meta.slideOrder) { out.slideOrder = brief.meta.slideOrder; used.add(brief.filename); }
+    for (const kind of ['byIndex', 'byFile']) {
+      for (const [key, slide] of Object.entries(brief.meta.slides?.[kind] || {})) {
+        out.slides = out.slides || { byIndex: {}, byFile: {} };
+        const current = out.slides[kind][key] || {};
+        const added = Object.fromEntries(Object.entries(slide).filter(([f]) => !current[f]));
+        if (!Object.keys(added).length) continue;
+        out.slides[kind][key] = { ...added, ...current };
+        used.add(brief.filename);
+      }
+    }
+  }
+  if (used.size) {
+    out.copySources = [...used];
+    log.info(`📝 Copy filled from brief(s): ${out.copySources.join(', ')}`);
+  }
+  return out;
+}
+
+// "Slide 2 Headline" / "hero-01.jpg CTA" → { index: '2' | '', file: 'hero-01.jpg' | '', field }
+const SLIDE_FIELDS = {
+  headline: 'headline', title: 'headline', description: 'description', cta: 'cta', 'call to action': 'cta',
+  url: 'url', link: 'url', 'landing page': 'url', 'landing page url': 'url'
+};
+const SLIDE_KEY_RX = /^(?:slide\s*#?\s*(\d+)|(\S.*?\.(?:png|jpe?g|gif|webp|mp4|mov|m4v)))\s*[-–—]?\s*(headline|title|description|cta|call to action|landing page url|landing page|url|link)$/i;
+function _slideKey(rawKey = '') {
+  const key = String(rawKey).replace(/[*_`~]/g, '').replace(/\s+/g, ' ').trim();
+  const m = key.match(SLIDE_KEY_RX);
+  if (!m) return null;
+  return { index: m[1] ? String(parseInt(m[1], 10)) : '', file: m[2] ? m[2].toLowerCase() : '', field: SLIDE_FIELDS[m[3].toLowerCase()] };
+}
+
+// Card-level meta overlaid with this slide's own copy (by position, then by filename)
+function slideMetaFor(meta, { position, filename }) {
+  if (!meta.slides) return meta;
+  const own = { ...(meta.slides.byIndex[String(position)] || {}), ...(meta.slides.byFile[String(filename || '').toLowerCase()] || {}) };
+  if (!Object.keys(own).length) return meta;
+  const out = { ...meta, ...own };
+  if (own.url) {
+    out.displayLink = '';
+    try { out.displayLink = new URL(own.url).hostname.replace(/^www\./, ''); } catch {}
+  }
+  return out;
+}
+
 function derivePageName(cardName) {
   const first = (cardName || '').split(':')[0].trim();
   return first || DEFAULT_PAGE_NAME;
 }
 
-// ---------- HTTP HELPERS ----------
-async function postForm(path, form, maxAttempts = 4) {
-  let attempt = 0, lastErr;
-  while (attempt < maxAttempts) {
-    attempt++;
-    try {
-      const resp = await fetch(API(path), {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}`, ...form.getHeaders() },
-        body: form
-      });
-      const text = await resp.text();
-      let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
-      if (resp.ok) return json;
-
-      if (resp.status >= 500) {
-        const delay = 400 * (2 ** (attempt - 1)) + Math.floor(Math.random() * 200);
-        console.warn(`AdPiler ${resp.status} on ${path} (attempt ${attempt}/${maxAttempts}) → retrying in ${delay}ms`);
-        await new Promise(r => setTimeout(r, delay));
-        continue;
-      }
-      const err = new Error(`AdPiler ${resp.status} on ${path}: ${text}`);
-      err.status = resp.status;
-      err.body = json;
-      throw err;
-    } catch (e) {
-      if (e && typeof e.status === 'number' && e.status < 500) throw e;
-      lastErr = e;
-      if (attempt < maxAttempts) {
-        const delay = 400 * (2 ** (attempt - 1)) + Math.floor(Math.random() * 200);
-        console.warn(`POST form ${path} failed (attempt ${attempt}/${maxAttempts}): ${e.message}. Retrying in ${delay}ms...`);
-        await new Promise(r => setTimeout(r, delay));
-      }
-    }
+// Page name/handle for the chosen network: mapping "<Network> Page Name" → "Page Name" → card title prefix
+function pageNameFor(mapping, profile, cardName) {
+  const own = mapping.pageNames?.[profile.key];
+  if (own) return { pageName: own, source: `mapping "${profile.label} Page Name"` };
+  if (mapping.pageName) return { pageName: mapping.pageName, source: 'mapping "Page Name"' };
+  return { pageName: derivePageName(cardName), source: 'card title (no Page Name in the mapping)' };
+}
+
+// Network for the card: custom field → Ad Meta "Network:" → label ("Network: <name>" or just the name) → ADPILER_DEFAULT_NETWORK.
+// The profile (network-profiles.js) sets the allowed social ad types, copy limits, CTA vocabulary and required fields.
+function chooseNetwork(card, meta, overrides) {
+  const candidates = [
+    [overrides.network, 'custom field "Network"'],
+    [meta.network, 'Ad Meta "Network"'],
+    ...(card.labels || []).map(l => [String(l?.name || '').replace(/^\s*network\s*:\s*/i, ''), `label "${l?.name}"`])
+  ];
+  for (const [value, source] of candidates) {
+    if (!value) continue;
+    const profile = findNetwork(value);
+    if (profile) return { profile, source };
+    if (!/^label/.test(source)) log.warn(`Unknown network "${value}" (${source}); ignoring.`);
   }
-  throw lastErr || new Error(`POST form ${path} failed after retries`);
+  return { profile: defaultNetwork(), source: 'default' };
+}
+
+// ---------- HTTP HELPERS ----------
+// buildForm() is called per attempt: a FormData holding file streams can only be sent once.
+// 429s, 5xx and network errors are retried by rate-limit.js; what is left is thrown with status/body/endpoint.
+// retryServerErrors: false for creates whose 5xx may already have committed (only 429s are retried then).
+async function postForm(path, buildForm, { retryServerErrors = true } = {}) {
+  const resp = await adpilerFetch(API(path), () => {
+    const form = buildForm();
+    return { method: 'POST', headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}`, ...form.getHeaders() }, body: form };
+  }, { retryServerErrors });
+  const text = await resp.text();
+  let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
+  if (resp.ok) return json;
+  const retried = (resp.status >= 500 && retryServerErrors) || resp.status === 429 ? ' after retries' : '';
+  const err = new Error(`AdPiler ${resp.status} on ${path}${retried}: ${text}`);
+  err.status = resp.status;
+  err.body = json;
+  err.endpoint = path;
+  throw err;
 }
 
 async function getJSON(path) {
-  const r = await fetch(API(path), { headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}` } });
+  const r = await adpilerFetch(API(path), { headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}` } }, { retryServerErrors: true });
   const text = await r.text();
   let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
   if (!r.ok) throw new Error(`AdPiler GET ${path} → ${r.status}: ${text}`);
@@ -261,41 +377,79 @@ async function getCampaignCodeViaApi(campaignId) {
 }
 
 // ---------- DECIDE paid ----------
-function decidePaid({ cardName }) {
+function decidePaid({ cardName, override }) {
+  if (typeof override === 'boolean') return { paid: override };
   const isOrganic = /\borganic\b/.test(normalize(cardName));
   const paidDefault = String(ADPILER_PAID_DEFAULT || 'true').toLowerCase() !== 'false';
   return { paid: isOrganic ? false : !!paidDefault };
 }
 
+// ---------- CARD OVERRIDES (Trello custom fields) ----------
+// card.customFields is { 'Field Name': 'value' }, resolved against the board's definitions in server.js
+const CUSTOM_FIELDS = {
+  campaignId: ['adpiler campaign id', 'campaign id'],
+  folderId:   ['adpiler folder id', 'folder id'],
+  adType:     ['ad type', 'adpiler ad type'],
+  paid:       ['paid/organic', 'paid / organic', 'paid'],
+  network:    ['network', 'adpiler network', 'platform']
+};
+const AD_TYPES = {
+  display: 'display', banner: 'display', html5: 'display',
+  post: 'post', single: 'post', 'single image': 'post', video: 'post', 'single post': 'post',
+  carousel: 'post-carousel', 'post carousel': 'post-carousel', 'post-carousel': 'post-carousel'
+};
+
+// Custom fields win over the mapping and the title heuristics; only a per-job mode (opts.forceMode) beats "Ad Type"
+function readCardOverrides(card = {}) {
+  const fields = {};
+  for (const [name, value] of Object.entries(card.customFields || {})) fields[normalize(name)] = String(value).trim();
+  const pick = (key) => CUSTOM_FIELDS[key].map(n => fields[n]).find(Boolean) || '';
+
+  const out = { campaignId: pick('campaignId'), folderId: pick('folderId'), network: pick('network'), mode: '', paid: undefined };
+  const adType = pick('adType');
+  if (adType) {
+    out.mode = AD_TYPES[normalize(adType)] || '';
+    if (!out.mode) log.warn(`Ignoring custom field Ad Type "${adType}" (expected Display, Post or Carousel).`);
+  }
+  const paid = normalize(pick('paid'));
+  if (paid === 'paid' || paid === 'true') out.paid = true;
+  else if (paid === 'organic' || paid === 'false') out.paid = false;
+  else if (paid) log.warn(`Ignoring custom field Paid/Organic "${paid}" (expected Paid or Organic).`);
+  return out;
+}
+
 // ---------- Asset helpers ----------
-function _nameLooks300x600(n=''){ return /\b300\D*600\b/i.test(String(n||'')); }
-function _isGifOrPng(n='',m=''){ const name=String(n||'').toLowerCase(); const mime=String(m||'').toLowerCase(); return name.endsWith('.gif')||name.endsWith('.png')||/image\/(gif|png)/.test(mime); }
+function _matchDisplaySize(w=0,h=0){ return DISPLAY_SIZES.find(sz => sz.width===w && sz.height===h) || null; }
+function _nameDimensions(n=''){ const m=String(n||'').match(/(?:^|[^\d])(\d{2,4})\s*[x×]\s*(\d{2,4})(?!\d)/i); return m ? { width:+m[1], height:+m[2] } : null; }
+function _nameDisplaySize(n=''){ const d=_nameDimensions(n); return d ? _matchDisplaySize(d.width, d.height) : null; }
+function _nameLooksDisplay(n=''){ return !!_nameDisplaySize(n); }
+function _isZipName(n='',m=''){ return /\.zip$/i.test(String(n||'')) || /application\/(x-)?zip/i.test(String(m||'')); }
+function _isDisplayImage(n='',m=''){ const name=String(n||'').toLowerCase(); const mime=String(m||'').toLowerCase(); return /\.(gif|png|jpe?g)$/.test(name)||/image\/(gif|png|jpe?g)/.test(mime); }
 function _isImageName(n=''){ return /\.(png|jpe?g|gif|webp)$/i.test(String(n||'')); }
 function _isVideoName(n=''){ return /\.(mp4|mov|m4v)$/i.test(String(n||'')); }
 
-// Collect square (1:1) assets; if dimensions unknown, treat non-300x600 images as eligible
-async function collectSquareAssets(cardId, attachments = []) {
+// Collect square (1:1) assets; if dimensions unknown, treat images not named like a display size as eligible
+async function collectSquareAssets(files, attachments = []) {
   const out = [];
   for (const att of attachments || []) {
     if (!att?.id || !_isImageName(att.name||'')) continue;
     try {
-      const { buffer, filename } = await downloadAttachmentBuffer(cardId, att);
-      const fname = filename || att.name || `asset-${att.id}`;
-      let w=0,h=0, exactSquare=false, hinted=/\b(1\s*:\s*1|1200x1200|1080x1080|square)\b/i.test(fname);
-      if (imageSize) {
-        try { const d=imageSize(buffer); w=d?.width||0; h=d?.height||0; exactSquare = (w>0 && h>0 && w===h); } catch {}
-      }
-      const nameLooksDisplay = _nameLooks300x600(fname);
+      const file = await files.get(att);
+      const fname = file.filename;
+      const hinted=/\b(1\s*:\s*1|1200x1200|1080x1080|square)\b/i.test(fname);
+      const { width: w, height: h } = measureImage(file.path);
+      const exactSquare = w>0 && h>0 && w===h;
+      const nameLooksDisplay = _nameLooksDisplay(fname);
       const eligibleWhenUnknown = (!imageSize || (w===0||h===0)) && !nameLooksDisplay;
       if (exactSquare || hinted || eligibleWhenUnknown) {
         out.push({
-          buffer,
+          ...file,
           filename: fname,
           rankExact: exactSquare && (w===1200 || w===1080) ? 2 : (exactSquare ? 1 : 0),
           pixels: (w||0)*(h||0)
         });
       }
-    } catch (e) { console.warn('square pick skip:', e.message); }
+    } catch (e) { log.warn('square pick skip:', e.message); }
   }
   out.sort((a,b)=>{
     const A=[a.rankExact, a.pixels, (a.filename||'').toLowerCase()];
@@ -307,271 +461,915 @@ async function collectSquareAssets(cardId, attachments = []) {
 
 function collectNonDisplayImages(attachments = []) {
   return (attachments || []).filter(a =>
-    a?.name && _isImageName(a.name) && !_nameLooks300x600(a.name)
+    a?.name && _isImageName(a.name) && !_nameLooksDisplay(a.name)
   );
 }
 
-async function pickFirstVideo(cardId, attachments = []) {
-  const vid = (attachments || []).find(a => a?.name && _isVideoName(a.name));
-  if (!vid) return null;
-  try {
-    const { buffer, filename } = await downloadAttachmentBuffer(cardId, vid);
-    return { buffer, filename };
-  } catch (e) {
-    console.warn('video pick failed:', e.message);
-    return null;
+/**
+ * Inspect every video attachment and pick one for a single Post: the first that passes,
+ * preferring the aspect ratios of `placement` (Stories/Reels → 9:16, Feed → 1:1 / 4:5). The placement only picks
+ * the video; AdPiler is not sent one.
+ * Returns { video: { id, path, filename, bytes, sha1, info } | null, rejected: [{ id, filename, width, height, reason, invalid }] }.
+ */
+async function pickVideo(files, attachments = [], { placement = '' } = {}) {
+  const passed = [];
+  const rejected = [];
+  for (const att of attachments || []) {
+    if (!att?.id || !att.name || !_isVideoName(att.name)) continue;
+    try {
+      const file = await files.get(att);
+      const fname = file.filename;
+      const info = inspectVideoFile(file.path, VIDEO_LIMITS);
+      for (const w of info.warnings) log.warn(`Video ${fname}: ${w}`);
+      if (!info.ok) {
+        rejected.push({ id: att.id, filename: fname, width: info.width, height: info.height, reason: info.errors.join(' '), invalid: true });
+        continue;
+      }
+      passed.push({ ...file, info });
+    } catch (e) { log.warn('video pick failed:', e.message); }
   }
+  const wanted = PLACEMENT_ASPECTS[normalize(placement)] || [];
+  const video = passed.find(v => wanted.includes(v.info.aspect)) || passed[0] || null;
+  if (video && wanted.length && !wanted.includes(video.info.aspect)) {
+    log.warn(`Placement "${placement}" wants ${wanted.join(' or ')}, but ${video.filename} is ${video.info.aspect}.`);
+  }
+  return { video, rejected };
+}
+
+function describeVideo(info) {
+  return `${info.width}x${info.height} · ${info.aspect} · ${info.durationSeconds}s · ${info.codec}`;
 }
 
-async function pickFirstAttachment(cardId, attachments=[]) {
-  if (!attachments?.length) return null;
+async function pickFirstAttachment(files, attachments=[]) {
+  const first = (attachments || []).find(a => !isCopyDocument(a));
+  if (!first) return null;
   try {
-    const { buffer, filename } = await downloadAttachmentBuffer(cardId, attachments[0]);
-    return { buffer, filename };
+    return await files.get(first);
   } catch (e) {
-    console.warn('first attachment download failed:', e.message);
+    log.warn('first attachment download failed:', e.message);
     return null;
   }
 }
 
-async function pickDisplay300x600(cardId, attachments = []) {
+/**
+ * Sort display-capable images and HTML5 zips into the configured size table (ADPILER_DISPLAY_SIZES), matched on
+ * real pixel size or a WxH hint in the filename. HTML5 zips must pass html5-banner.js (ad.size, clickTag, weight).
+ * Returns { matched: one asset per size (best candidate), unmatched: [{ filename, width, height, reason, invalid? }] }.
+ */
+async function pickDisplayAssets(files, attachments = []) {
   const cand=[];
+  const unmatched=[];
   for (const att of attachments||[]) {
-    if (!att?.id || !_isGifOrPng(att.name, att.mimeType)) continue;
+    const isZip = _isZipName(att?.name, att?.mimeType);
+    if (!att?.id || !(isZip || _isDisplayImage(att.name, att.mimeType))) continue;
     try {
-      const { buffer, filename } = await downloadAttachmentBuffer(cardId, att);
-      let w=0,h=0;
-      if (imageSize) { try { const d=imageSize(buffer); w=d?.width||0; h=d?.height||0; } catch {} }
-      const okDim=(w===300&&h===600)||(w===600&&h===300);
-      cand.push({ buffer, filename: filename||att.name||`asset-${att.id}`, gif:/\.gif$/i.test(filename||att.name||''), hinted:_nameLooks300x600(filename||att.name), okDim });
-    } catch (e) { console.warn('display pick skip:', e.message); }
-  }
-  if (!cand.length) return null;
+      const file = await files.get(att);
+      const fname = file.filename;
+
+      if (isZip) {
+        const maxBytes = (parseInt(ADPILER_HTML5_MAX_KB, 10) || 0) * 1024;
+        // the zip reader needs the whole bundle; anything this big fails the weight check anyway
+        if (file.bytes > Math.max(maxBytes * 4, HTML5_READ_LIMIT)) {
+          unmatched.push({ filename: fname, width: 0, height: 0, reason: `HTML5 validation failed: bundle is ${Math.round(file.bytes / 1024)} KB (max ${ADPILER_HTML5_MAX_KB} KB)`, invalid: true });
+          continue;
+        }
+        const z = inspectHtml5Zip(fs.readFileSync(file.path), { maxBytes });
+        for (const w of z.warnings) log.warn(`HTML5 ${fname}: ${w}`);
+        if (!z.ok) { unmatched.push({ filename: fname, width: z.width, height: z.height, reason: `HTML5 validation failed: ${z.errors.join('; ')}`, invalid: true }); continue; }
+        const zsize = _matchDisplaySize(z.width, z.height);
+        if (!zsize) { unmatched.push({ filename: fname, width: z.width, height: z.height, reason: 'no matching display size' }); continue; }
+        cand.push({ ...file, width: zsize.width, height: zsize.height, size: zsize.key, html5: true, gif: false, measured: true });
+        continue;
+      }
+      const { width: w, height: h } = measureImage(file.path);
+      const byName = _nameDimensions(fname);
+      const size = (w&&h) ? _matchDisplaySize(w,h) : (byName ? _matchDisplaySize(byName.width, byName.height) : null);
+      if (!size) {
+        // only report files that look like banners; plain photos are social media, not display misses
+        if ((w&&h) ? byName : (byName || /\.gif$/i.test(fname))) unmatched.push({ filename: fname, width: w||byName?.width||0, height: h||byName?.height||0, reason: 'no matching display size' });
+        continue;
+      }
+      cand.push({ ...file, width: size.width, height: size.height, size: size.key, gif:/\.gif$/i.test(fname), measured: !!(w&&h) });
+    } catch (e) { log.warn('display pick skip:', e.message); }
+  }
+  // HTML5 beats GIF beats static, measured beats filename-hinted
   cand.sort((a,b)=>{
-    const A=[a.okDim?1:0,a.hinted?1:0,a.gif?1:0,(a.filename||'').toLowerCase()];
-    const B=[b.okDim?1:0,b.hinted?1:0,b.gif?1:0,(b.filename||'').toLowerCase()];
+    const A=[a.html5?1:0,a.measured?1:0,a.gif?1:0,(a.filename||'').toLowerCase()];
+    const B=[b.html5?1:0,b.measured?1:0,b.gif?1:0,(b.filename||'').toLowerCase()];
     return (B[0]-A[0])||(B[1]-A[1])||(B[2]-A[2])||(A[3]<B[3]?-1:1);
   });
-  return cand[0];
+  const matched=[];
+  for (const c of cand) {
+    if (matched.some(m => m.size === c.size)) unmatched.push({ filename: c.filename, width: c.width, height: c.height, reason: `duplicate ${c.size}` });
+    else matched.push(c);
+  }
+  return { matched, unmatched };
 }
 
 // ---------- /ads helper (Display) ----------
-async function postAdsCreate(campaignId, form) {
-  const resp = await fetch(API(`campaigns/${encodeURIComponent(campaignId)}/ads`), {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}`, ...form.getHeaders() },
-    body: form
+// only 429s are retried here: a 5xx may still have created the ad
+async function postAdsCreate(campaignId, buildForm) {
+  const resp = await adpilerFetch(API(`campaigns/${encodeURIComponent(campaignId)}/ads`), () => {
+    const form = buildForm();
+    return { method: 'POST', headers: { 'Authorization': `Bearer ${ADPILER_API_KEY}`, ...form.getHeaders() }, body: form };
   });
   const text = await resp.text();
   let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
-  if (!resp.ok) throw new Error(`POST /ads → ${resp.status}: ${text}`);
+  if (!resp.ok) {
+    const err = new Error(`POST /ads → ${resp.status}: ${text}`);
+    err.status = resp.status;
+    err.body = json;
+    err.endpoint = `campaigns/${campaignId}/ads`;
+    throw err;
+  }
   const id = json.id || json.adId || json.data?.id;
   if (!id) throw new Error(`Create /ads returned no id. Keys: ${Object.keys(json)}`);
   return id;
 }
 
-async function createDisplay300x600ViaAds({ campaignId, card, asset, landingUrl }) {
-  const form = new FormData();
-  form.append('name', card.name);
-  form.append('width', '300');
-  form.append('height','600');
-  if (landingUrl) form.append('landing_page_url', landingUrl);
-  form.append('file', asset.buffer, { filename: asset.filename });
-  const id = await postAdsCreate(campaignId, form);
-  console.log(`✅ Display 300x600 (/ads) ${id} file=${asset.filename}`);
+async function createDisplayViaAds({ campaignId, card, asset, landingUrl, name }) {
+  const buildForm = () => {
+    const form = new FormData();
+    form.append('name', name || card.name);
+    form.append('width', String(asset.width));
+    form.append('height', String(asset.height));
+    if (landingUrl) form.append('landing_page_url', landingUrl);
+    form.append('file', ...fileStream(asset));
+    return form;
+  };
+  const id = await postAdsCreate(campaignId, buildForm);
+  log.info(`✅ Display ${asset.width}x${asset.height} (/ads) ${id} file=${asset.filename}`);
   return id;
 }
 
 // ---------- Social ads via /social-ads ----------
-async function createSocialAd({ campaignId, card, paid, type, primaryText }) {
-  const form = new FormData();
-  form.append('name', card.name);
-  form.append('network', FIXED_NETWORK);
-  form.append('page_name', derivePageName(card.name));
-  form.append('paid', paid ? 'true' : 'false');
-  form.append('type', type);
-  if (primaryText) form.append('message', primaryText); // ad-level Primary Text
-  const json = await postForm(`campaigns/${encodeURIComponent(campaignId)}/social-ads`, form);
+async function createSocialAd({ campaignId, card, paid, type, primaryText, name, network, pageName }) {
+  const buildForm = () => {
+    const form = new FormData();
+    form.append('name', name || card.name);
+    form.append('network', network);
+    form.append('page_name', pageName || derivePageName(card.name));
+    form.append('paid', paid ? 'true' : 'false');
+    form.append('type', type);
+    if (primaryText) form.append('message', primaryText); // ad-level Primary Text
+    return form;
+  };
+  let json;
+  // like postAdsCreate: a 502/504 may come after AdPiler created the ad, and a retry would create a second one
+  try { json = await postForm(`campaigns/${encodeURIComponent(campaignId)}/social-ads`, buildForm, { retryServerErrors: false }); }
+  catch (e) {
+    // a validation error on `type` means this API build does not know the social ad type (the web UI may)
+    if ((e.status === 400 || e.status === 422) && /\btype\b/i.test(JSON.stringify(e.body || ''))) e.unsupportedType = type;
+    throw e;
+  }
   const adId = json.id || json.adId || json.data?.id;
   if (!adId) throw new Error(`Create social-ad did not return id. Keys: ${Object.keys(json)}`);
   return { adId, raw: json };
 }
 
-async function uploadOneSlide({ adId, fileBuf, filename, meta }) {
-  const form = new FormData();
-  if (meta.cta)         form.append('call_to_action',   meta.cta);
-  if (meta.displayLink) form.append('display_link',     meta.displayLink);
-  if (meta.headline)    form.append('headline',         meta.headline);
-  if (meta.description) form.append('description',      meta.description);
+async function uploadOneSlide({ adId, file, position, meta }) {
+  let landingUrl = '';
   try {
     if (meta.url) {
       const u = new URL(meta.url);
-      if (u.protocol === 'http:' || u.protocol === 'https:') {
-        form.append('landing_page_url', u.toString());
-      }
+      if (u.protocol === 'http:' || u.protocol === 'https:') landingUrl = u.toString();
     }
   } catch {}
-  form.append('media_file', fileBuf, { filename });
-  const json = await postForm(`social-ads/${encodeURIComponent(adId)}/slides`, form);
-  console.log(`✅ Slide → ad ${adId}: ${filename}`);
+  const buildForm = () => {
+    const form = new FormData();
+    if (meta.cta)         form.append('call_to_action',   meta.cta);
+    if (meta.displayLink) form.append('display_link',     meta.displayLink);
+    if (meta.headline)    form.append('headline',         meta.headline);
+    if (meta.description) form.append('description',      meta.description);
+    if (landingUrl)       form.append('landing_page_url', landingUrl);
+    if (position)         form.append('position',         String(position));
+    form.append('media_file', ...fileStream(file));
+    return form;
+  };
+  const json = await postForm(`social-ads/${encodeURIComponent(adId)}/slides`, buildForm);
+  log.info(`✅ Slide → ad ${adId}: ${file.filename}`);
   return { raw: json };
 }
 
-async function uploadSlidesToAd({ cardId, adId, attachments, meta, onlyThese }) {
+// "Slide Order" entry for a file: full name or name without extension
+function _slideOrderIndex(order = [], filename = '') {
+  const n = String(filename).toLowerCase();
+  return order.findIndex(o => o === n || o === n.replace(/\.[^.]+$/, ''));
+}
+
+/**
+ * Carousel order: meta.slideOrder → Trello attachment `pos` → leading number in the filename → filename.
+ * `attachments` supplies `pos` for picked assets that only carry the attachment id.
+ */
+function sortSlides(list = [], { order = [], attachments = [] } = {}) {
+  const posById = new Map((attachments || []).filter(a => a?.id && typeof a.pos === 'number').map(a => [a.id, a.pos]));
+  const nameOf = (a) => String(a.filename || a.name || '');
+  const listed = (a) => { const i = _slideOrderIndex(order, nameOf(a)); return i < 0 ? Infinity : i; };
+  const pos = (a) => posById.get(a.id) ?? (typeof a.pos === 'number' ? a.pos : Infinity);
+  const prefix = (a) => { const m = nameOf(a).match(/^(?:[a-z]+[\s_-]*)?(\d+)/i); return m ? +m[1] : Infinity; };
+  const by = (f, a, b) => { const x = f(a), y = f(b); return x === y ? 0 : (x < y ? -1 : 1); };
+  return list.slice().sort((a, b) =>
+    by(listed, a, b) || by(pos, a, b) || by(prefix, a, b) ||
+    nameOf(a).localeCompare(nameOf(b), undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+// "Slide Order" entries that match none of the slides
+function _unknownSlideOrder(order = [], list = []) {
+  return order.filter(o => !list.some(a => _slideOrderIndex([o], a.filename || a.name) === 0));
+}
+
+// Slides go up ADPILER_SLIDE_CONCURRENCY at a time; each carries its carousel `position`, which AdPiler places it by,
+// so the order does not depend on which upload finishes first.
+// Returns { uploaded: list entries that went up (carousel order), failed: [{ filename, error }] }.
+// A failed slide does not stop the others; the caller reports it so the card gets the failure outcome.
+// `slideSet` is the whole carousel, so per-slide copy keeps its slide number when only some slides are added.
+async function uploadSlidesToAd({ files, adId, attachments, meta, onlyThese, slideSet }) {
   const list = (onlyThese && onlyThese.length) ? onlyThese : (attachments || []);
-  const sorted = list.slice().sort((a, b) => (a.filename||a.name||'').localeCompare((b.filename||b.name||''), undefined, { numeric: true, sensitivity: 'base' }));
+  const sortOpts = { order: meta.slideOrder, attachments };
+  const sorted = sortSlides(list, sortOpts);
+  const order = sortSlides(slideSet && slideSet.length ? slideSet : list, sortOpts);
 
-  let count = 0;
-  for (const att of sorted) {
+  const done = await mapConcurrent(sorted, parseInt(ADPILER_SLIDE_CONCURRENCY, 10) || 1, async (att) => {
     try {
-      let buffer, filename;
-      if (att.buffer) { buffer = att.buffer; filename = att.filename; }
-      else { const dl = await downloadAttachmentBuffer(cardId, att); buffer = dl.buffer; filename = dl.filename || att.name || `asset-${att.id}`; }
-      await uploadOneSlide({ adId, fileBuf: buffer, filename, meta });
-      count++;
-      await new Promise(r => setTimeout(r, 200));
+      const file = att.path ? att : await files.get(att);
+      const position = order.findIndex(a => a === att || (a.id && a.id === att.id)) + 1 || sorted.indexOf(att) + 1;
+      await uploadOneSlide({ adId, file, position, meta: slideMetaFor(meta, { position, filename: file.filename }) });
+      return { att };
     } catch (e) {
-      console.warn(`⚠️ Slide upload failed (${att.name || att.filename || ''}): ${e.message}`);
+      log.warn(`⚠️ Slide upload failed (${att.name || att.filename || ''}): ${e.message}`);
+      return { failed: { filename: att.name || att.filename || att.id, error: e.message } };
     }
+  });
+  const uploaded = done.filter(d => d.att).map(d => d.att); // carousel order, whichever upload finished first
+  if (uploaded.length === 0 && list.length > 0) throw new Error(`No slides uploaded: ${done.map(d => `${d.failed.filename}: ${d.failed.error}`).join('; ')}`);
+  return { uploaded, failed: done.filter(d => d.failed).map(d => d.failed) };
+}
+
+// ---------- AD GROUPS ----------
+const GROUP_MODE_HINTS = [
+  [/\b(display|banner)\b/i, 'display'],
+  [/\bcarousel\b/i, 'post-carousel'],
+  [/\b(post|single|video)\b/i, 'post']
+];
+function _groupModeHint(label = '') {
+  for (const [rx, mode] of GROUP_MODE_HINTS) if (rx.test(label)) return mode;
+  return '';
+}
+function _leadingTypeKeyword(n = '') {
+  const m = String(n || '').match(/^\s*(display|banner|carousel|post|single|video)(?=[\s_\-.(]|\d|$)/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
+// "Ad Meta" checklist items like "Ad Group Carousel: slide1.jpg, slide2.jpg"
+function _explicitGroupsFromCard(card) {
+  const out = [];
+  const metaChecklist = (card.checklists || []).find(cl => String(cl.name || '').toLowerCase().trim() === 'ad meta');
+  for (const it of metaChecklist?.checkItems || []) {
+    const mm = String(it.name || '').replace(/[*_`~]/g, '').match(/^\s*ad\s*group\s+([^:]+?)\s*:\s*([\s\S]+)$/i);
+    if (!mm) continue;
+    const files = mm[2].split(/[,\n]/).map(f => normalize(f)).filter(Boolean);
+    if (files.length) out.push({ label: mm[1].trim(), files });
   }
-  if (count === 0 && list.length > 0) throw new Error('No slides uploaded (check file accessibility).');
-  return count;
+  return out;
 }
 
-// ---------- MAIN ----------
-async function uploadToAdpiler(card, attachments, { postTrelloComment } = {}) {
-  assertEnv();
+/**
+ * Split a card's attachments into one group per ad (unless ADPILER_GROUPING=false or a mode is forced):
+ * "Ad Group <Label>: file1.jpg, file2.jpg" Ad Meta items, else a leading type keyword in the filename
+ * (Display_…, Carousel-01…, Post …); display-size-named images left in the main group get their own Display ad.
+ * A label containing display/banner, carousel or post/single/video forces that group's mode.
+ * Returns [{ key, label, modeHint, attachments }]; key '' is the main (ungrouped) group.
+ */
+function groupAttachments(card, attachments = [], { forceMode = '' } = {}) {
+  const all = (attachments || []).filter(a => a?.name && !isCopyDocument(a)); // copy briefs are read by prepareCard, never uploaded
+  const enabled = String(ADPILER_GROUPING).toLowerCase() !== 'false' && !forceMode;
+  if (!enabled) return [{ key: '', label: 'main', modeHint: '', attachments: all }];
+
+  const groups = new Map();
+  const add = (key, label, att) => {
+    if (!groups.has(key)) groups.set(key, { key, label, modeHint: key ? _groupModeHint(label) : '', attachments: [] });
+    groups.get(key).attachments.push(att);
+  };
 
-  // Mapping
-  let mapping;
-  try { mapping = await getClientMapping(card.name); }
-  catch (e) { console.warn(`Mapping lookup failed; using defaults. ${e.message}`); mapping = { clientId: DEFAULT_CLIENT_ID, campaignId: DEFAULT_PROJECT_ID, campaignCode: '' }; }
-  const campaignId = mapping.campaignId || mapping.projectId || DEFAULT_PROJECT_ID;
-  if (!campaignId) throw new Error('No campaignId found (CSV "Adpiler Campaign ID" or DEFAULT_PROJECT_ID required)');
+  const explicit = _explicitGroupsFromCard(card);
+  for (const att of all) {
+    const name = normalize(att.name);
+    const eg = explicit.find(g => g.files.some(f => name === f || name.startsWith(f)));
+    if (eg) { add(normalize(eg.label), eg.label, att); continue; }
 
-  // Meta & paid
-  const meta = extractAdMetaFromCard(card);
-  const { paid } = decidePaid({ cardName: card.name });
+    const kw = _leadingTypeKeyword(att.name);
+    if (kw) { add(kw, kw, att); continue; }
+    add('', 'main', att);
+  }
 
-  // Decide mode (force / auto)
-  const title = String(card.name || '');
-  const wantsDisplayHint = /\bdisplay\b/i.test(title) || /\b300\D*600\b/i.test(title);
-  const forceMode = (ADPILER_FORCE_MODE || '').toLowerCase().trim(); // 'display' | 'post' | 'post-carousel'
+  // display-size banners sitting next to other media in the main group become their own Display group
+  const mainGroup = groups.get('');
+  if (mainGroup) {
+    const banners = mainGroup.attachments.filter(a => _isZipName(a.name, a.mimeType) || (_isDisplayImage(a.name, a.mimeType) && _nameLooksDisplay(a.name)));
+    if (banners.length && banners.length < mainGroup.attachments.length) {
+      mainGroup.attachments = mainGroup.attachments.filter(a => !banners.includes(a));
+      for (const b of banners) add('display', 'display', b);
+    }
+  }
 
-  let mode = forceMode || '';
-  let socialAdId = '';
-  let displayAdId = '';
-  let uploadedCount = 0;
+  return [...groups.values()].filter(g => g.attachments.length);
+}
 
-  try {
-    // Pre-scan
-    const displayAsset = await pickDisplay300x600(card.id, attachments);
-    const squareAssets = await collectSquareAssets(card.id, attachments);
-    const nonDisplayImages = collectNonDisplayImages(attachments);
-    const firstVideo = await pickFirstVideo(card.id, attachments);
-    const firstAsset = await pickFirstAttachment(card.id, attachments);
-
-    if (!mode) {
-      if (squareAssets.length >= 2)            mode = 'post-carousel';
-      else if (nonDisplayImages.length >= 2)   mode = 'post-carousel';   // fallback heuristic
-      else if (squareAssets.length === 1)      mode = 'post';
-      else if (wantsDisplayHint || displayAsset) mode = 'display';
-      else                                     mode = 'post';
+// ---------- GROUP PLAN (shared with upload-to-adpiler-ui.js) ----------
+/**
+ * Pre-scan a group's attachments, decide its mode and pick the assets that mode uploads.
+ * Throws with err.validation when the group can't be uploaded as-is.
+ * Returns { mode, assets, display, videos, slideOrder, slideOrderUnknown, primaryForMessage }.
+ */
+async function planAdGroup({ card, group, meta, network, forceMode, titleHint, adName, files }) {
+  const attachments = group.attachments;
+  let mode = forceMode || group.modeHint || '';
+
+  // Pre-scan
+  const display = await pickDisplayAssets(files, attachments);
+  const squareAssets = await collectSquareAssets(files, attachments);
+  // images whose measured pixels match a display size are banners, even without a WxH filename hint
+  const nonDisplayImages = collectNonDisplayImages(attachments).filter(a => !display.matched.some(m => m.id === a.id));
+  const videos = await pickVideo(files, attachments, { placement: meta.placement || (/\b(stor(y|ies)|reels?)\b/i.test(card.name || '') ? 'stories' : '') });
+  const firstVideo = videos.video;
+  const firstAsset = await pickFirstAttachment(files, attachments.filter(a => !videos.rejected.some(r => r.id === a.id)));
+
+  if (!mode) {
+    if (squareAssets.length >= 2)            mode = 'post-carousel';
+    else if (nonDisplayImages.length >= 2)   mode = 'post-carousel';   // fallback heuristic
+    else if (squareAssets.length === 1)      mode = 'post';
+    else if (titleHint || display.matched.length || display.unmatched.some(u => u.invalid)) mode = 'display';
+    else                                     mode = 'post';
+  }
+
+  log.info(`Mode decided: ${mode}${group.key ? ` (group "${group.label}")` : ''}`, { mode, group: group.label });
+  if (!group.key) setContext({ mode });
+  if (mode !== 'display' && !network.types.includes(mode)) {
+    const err = new Error(`${network.label} does not take ${mode} ads (allowed: ${network.types.join(', ')}).`);
+    err.validation = [{ filename: adName, reason: err.message }];
+    throw err;
+  }
+
+  // Primary text fallback (never leave message empty)
+  const messageFallbackOk = String(USE_DESCRIPTION_AS_MESSAGE_FALLBACK).toLowerCase() !== 'false';
+  const primaryForMessage = (meta.primary && meta.primary.trim()) ||
+                            (messageFallbackOk ? (meta.description && meta.description.trim()) : '') || '';
+
+  // Assets the chosen mode uploads
+  let assets;
+  if (mode === 'display') {
+    if (!display.matched.length) {
+      const seen = display.unmatched.map(u => `${u.filename} (${u.width || '?'}x${u.height || '?'}: ${u.reason})`).join(', ');
+      const err = new Error(`Display mode selected but no image or HTML5 bundle matches a display size (${DISPLAY_SIZES.map(sz => sz.key).join(', ')})${seen ? `. Found: ${seen}` : ''}.`);
+      err.validation = display.unmatched;
+      throw err;
+    }
+    assets = display.matched;
+  } else if (mode === 'post') {
+    // Preference: square image → checked video → first attachment
+    if (!squareAssets[0] && !firstVideo && videos.rejected.length) {
+      const err = new Error(`Video failed checks: ${videos.rejected.map(v => `${v.filename}: ${v.reason}`).join(' ')}`);
+      err.validation = videos.rejected;
+      throw err;
+    }
+    if (network.videoOnly && !firstVideo) {
+      const err = new Error(`${network.label} ads need a video that passes the checks; none found.`);
+      err.validation = videos.rejected.length ? videos.rejected : [{ filename: adName, reason: err.message }];
+      throw err;
     }
+    const media = network.videoOnly ? firstVideo : (squareAssets[0] || firstVideo || firstAsset);
+    if (!media) throw new Error('Post mode selected but no usable attachment found.');
+    assets = [media];
+  } else if (mode === 'post-carousel') {
+    // Slides: prefer squares → else non-display images → else everything (images only)
+    assets = squareAssets.length ? squareAssets
+             : (nonDisplayImages.length ? nonDisplayImages : attachments.filter(a => a?.name && _isImageName(a.name)));
+  } else {
+    throw new Error(`Unknown mode "${mode}"`);
+  }
+
+  // Carousel order (echoed on the card so the producer can check it)
+  let slideOrder = [];
+  let slideOrderUnknown = [];
+  if (mode === 'post-carousel') {
+    slideOrder = sortSlides(assets, { order: meta.slideOrder, attachments }).map(a => a.filename || a.name || a.id);
+    slideOrderUnknown = _unknownSlideOrder(meta.slideOrder, assets);
+    if (slideOrderUnknown.length) log.warn(`Slide Order entries not found: ${slideOrderUnknown.join(', ')}`);
+  }
+
+  return { mode, assets, display, videos, slideOrder, slideOrderUnknown, primaryForMessage };
+}
+
+// ---------- LEDGER (shared with upload-to-adpiler-ui.js) ----------
+/** Repeat runs consult the upload ledger unless ADPILER_IDEMPOTENT=false or the job forces a fresh upload. */
+function ledgerEnabled(force = false) {
+  return String(ADPILER_IDEMPOTENT).toLowerCase() !== 'false' && !force;
+}
+
+function ledgerKeyFor(card, group) {
+  return group.key ? `${card.id}:${group.key}` : card.id;
+}
+
+/**
+ * Compare a planned group with what it already pushed to the same campaign/mode/network.
+ * Returns { prior, changed, unchanged, appendSlides }: prior is the ledger entry (null when none applies),
+ * changed the assets that are new or whose bytes changed, appendSlides whether a carousel can simply grow.
+ * `sortOpts` ({ order, attachments }, see sortSlides) gives the carousel order the new slides must come last in.
+ * The API cannot swap or delete a slide, so a carousel only grows when every new slide sorts after its current ones;
+ * otherwise, as for changed post media, a new ad is made and the old one is left in place.
+ */
+function compareWithLedger({ ledgerKey, ledgerOn, campaignId, mode, network, assets, sortOpts = {} }) {
+  const prevUpload = ledgerOn ? ledger.getEntry(ledgerKey) : null;
+  const sameNetwork = mode === 'display' || (prevUpload?.network || 'facebook') === network.key;
+  const prior = (prevUpload && prevUpload.campaignId === campaignId && prevUpload.mode === mode && sameNetwork) ? prevUpload : null;
+  const changed = prior ? ledger.diffAssets(prior, assets) : assets;
+  // slides can only be appended: once a slide was replaced or removed, the old image would stay in the ad
+  const staleSlides = prior && mode === 'post-carousel' ? ledger.staleAssets(prior, assets) : [];
+  return {
+    prior,
+    changed,
+    unchanged: !!(prior && !changed.length && !staleSlides.length),
+    appendSlides: !!(prior && mode === 'post-carousel' && prior.adId && !staleSlides.length && _newSlidesLast(assets, changed, sortOpts))
+  };
+}
+
+// True when every new slide sorts after every slide the ad already has (existing slides keep their positions)
+function _newSlidesLast(assets, changed, sortOpts) {
+  const sorted = sortSlides(assets, sortOpts);
+  const firstNew = sorted.findIndex(a => changed.includes(a));
+  return firstNew < 0 || sorted.slice(firstNew).every(a => changed.includes(a));
+}
+
+// ---------- DRY RUN (shared with upload-to-adpiler-ui.js) ----------
+// opts.dryRun, or a card label matching ADPILER_DRY_RUN_LABEL: everything up to the plan runs as usual, the plan is
+// posted to the card, and nothing is written to AdPiler or the upload ledger.
+/** What a real run would do with a planned group (`seen`: compareWithLedger), as a dry-run result. */
+function describePlannedGroup({ group, plan, meta, seen, network, paid }) {
+  const { mode, assets, display, videos, slideOrderUnknown } = plan;
+  const { prior, changed, unchanged, appendSlides } = seen;
+  let action = 'create a new ad';
+  if (unchanged) action = `nothing (already uploaded as ${prior.adId || Object.values(prior.displayAds || {}).join(', ')})`;
+  else if (appendSlides) action = `add ${changed.length} new slide(s) to existing ad ${prior.adId}`;
+  else if (prior && mode === 'display') action = `create display ad(s) for new/changed sizes only (${changed.map(a => a.size).join(', ')})`;
+  else if (prior) action = `create a new ad (media changed; previous ad ${prior.adId} stays)`;
+  const sortOpts = { order: meta.slideOrder, attachments: group.attachments };
+  const planned = mode === 'post-carousel' ? sortSlides(appendSlides ? changed : assets, sortOpts) : assets;
+  const order = sortSlides(assets, sortOpts);
+  const describe = (a) => {
+    const name = a.filename || a.name || a.id;
+    if (a.info) return `${name} (${describeVideo(a.info)})`;
+    if (mode !== 'post-carousel') return (a.size ? `${a.size}: ` : '') + name;
+    const own = slideMetaFor(meta, { position: order.indexOf(a) + 1, filename: name });
+    return own === meta ? name : `${name} — ${own.headline || '(no headline)'} → ${own.url || '(no URL)'}`;
+  };
+  return {
+    group: group.label,
+    mode,
+    dryRun: true,
+    action,
+    files: planned.map(describe),
+    slideOrderUnknown,
+    unmatchedDisplay: display.unmatched,
+    rejectedVideos: videos.rejected,
+    network: mode === 'display' ? '' : network.label,
+    paid
+  };
+}
+
+// ---------- ONE AD PER GROUP ----------
+async function uploadAdGroup({ card, group, plan, campaignId, meta, paid, network, pageName, ledgerKey, ledgerOn, adName, files, dryRun = false }) {
+  const attachments = group.attachments;
+  let socialAdId = '';
+  let displayAds = {}; // size → ad id
+  let uploadedCount = 0;
+  let outcome = 'created'; // 'created' | 'updated' | 'replaced' | 'unchanged'
+  let priorAdId = '';
+  let failedSlides = [];
+
+  const { mode, assets, display, videos, slideOrder, slideOrderUnknown, primaryForMessage } = plan;
+
+  // Idempotency: compare against what this card/group already pushed to the same campaign/mode
+  const { prior, changed, unchanged, appendSlides } = compareWithLedger({ ledgerKey, ledgerOn, campaignId, mode, network, assets, sortOpts: { order: meta.slideOrder, attachments } });
+
+  if (dryRun) return describePlannedGroup({ group, plan: { mode, assets, display, videos, slideOrderUnknown }, meta, seen: { prior, changed, unchanged, appendSlides }, network, paid });
+
+  if (unchanged) {
+    outcome = 'unchanged';
+    socialAdId = prior.adId;
+    displayAds = { ...(prior.displayAds || {}) };
+    log.info(`↩️  ${ledgerKey} already uploaded (ad ${prior.adId || Object.values(displayAds).join(', ')}); nothing changed.`);
+
+  } else if (appendSlides) {
+    outcome = 'updated';
+    socialAdId = prior.adId;
+    const { uploaded, failed } = await uploadSlidesToAd({ files, adId: socialAdId, attachments, meta, onlyThese: changed, slideSet: assets });
+    uploadedCount = uploaded.length;
+    failedSlides = failed;
+    ledger.recordUpload(ledgerKey, { campaignId, mode, network: network.key, adId: socialAdId, assets: uploaded, merge: true });
+
+  } else if (prior && mode === 'display') {
+    // only sizes that are new or whose file changed get a new display ad
+    outcome = 'updated';
+    const created = await createDisplayAds({ campaignId, card, assets: changed, landingUrl: meta.url || '', adName, sizeInName: assets.length > 1 });
+    displayAds = { ...(prior.displayAds || {}), ...created };
+    uploadedCount = Object.keys(created).length;
+    ledger.recordUpload(ledgerKey, { campaignId, mode, displayAds: created, assets: changed, merge: true });
 
-    console.log(`Mode decided: ${mode}`);
+  } else {
+    if (prior) { outcome = 'replaced'; priorAdId = prior.adId; }
 
     if (mode === 'display') {
-      if (!displayAsset) throw new Error('Display mode selected but no 300x600 GIF/PNG found.');
-      const lp = meta.url || '';
-      displayAdId = await createDisplay300x600ViaAds({ campaignId, card, asset: displayAsset, landingUrl: lp });
-
-    } else if (mode === 'post') {
-      // Primary text fallback (never leave message empty)
-      const messageFallbackOk = String(USE_DESCRIPTION_AS_MESSAGE_FALLBACK).toLowerCase() !== 'false';
-      const primaryForMessage = (meta.primary && meta.primary.trim()) ||
-                                (messageFallbackOk ? (meta.description && meta.description.trim()) : '') || '';
-
-      // Create Social Ad (type=post), then upload exactly one slide.
-      // Preference: square image → first video → first attachment
-      const media = squareAssets[0] || firstVideo || firstAsset;
-      if (!media) throw new Error('Post mode selected but no usable attachment found.');
-
-      const { adId } = await createSocialAd({ campaignId, card, paid, type: 'post', primaryText: primaryForMessage });
+      displayAds = await createDisplayAds({ campaignId, card, assets, landingUrl: meta.url || '', adName, sizeInName: assets.length > 1 });
+      uploadedCount = Object.keys(displayAds).length;
+      ledger.recordUpload(ledgerKey, { campaignId, mode, displayAds, assets });
+
+    } else {
+      // Create Social Ad (type=post → exactly one slide, type=post-carousel → many)
+      const { adId } = await createSocialAd({ campaignId, card, paid, type: mode, primaryText: primaryForMessage, name: adName, network: network.key, pageName });
       socialAdId = adId;
 
-      await uploadSlidesToAd({
-        cardId: card.id,
-        adId: socialAdId,
-        attachments,
-        meta,
-        onlyThese: [media]
-      });
+      const { uploaded, failed } = await uploadSlidesToAd({ files, adId: socialAdId, attachments, meta, onlyThese: assets, slideSet: assets });
+      uploadedCount = uploaded.length;
+      failedSlides = failed;
+      ledger.recordUpload(ledgerKey, { campaignId, mode, network: network.key, adId: socialAdId, assets: uploaded });
+    }
+  }
+
+  const displayAdId = Object.values(displayAds)[0] || '';
+  const video = mode === 'post' && assets[0]?.info ? { filename: assets[0].filename, ...assets[0].info } : null;
+  return { group: group.label, mode, socialAdId, displayAdId, displayAds, unmatchedDisplay: display.unmatched, rejectedVideos: videos.rejected, video, network: mode === 'display' ? '' : network.label, uploadedCount, failedSlides, outcome, priorAdId, paid, slideOrder, slideOrderUnknown };
+}
 
-    } else if (mode === 'post-carousel') {
-      const messageFallbackOk = String(USE_DESCRIPTION_AS_MESSAGE_FALLBACK).toLowerCase() !== 'false';
-      const primaryForMessage = (meta.primary && meta.primary.trim()) ||
-                                (messageFallbackOk ? (meta.description && meta.description.trim()) : '') || '';
+async function createDisplayAds({ campaignId, card, assets, landingUrl, adName, sizeInName }) {
+  const created = {};
+  for (const asset of assets) {
+    const name = sizeInName ? `${adName || card.name} ${asset.size}` : adName;
+    created[asset.size] = await createDisplayViaAds({ campaignId, card, asset, landingUrl, name });
+  }
+  return created;
+}
 
-      const { adId } = await createSocialAd({ campaignId, card, paid, type: 'post-carousel', primaryText: primaryForMessage });
-      socialAdId = adId;
+function describeAdResult(r) {
+  if (r.outcome === 'unchanged') {
+    return `↩️ Already uploaded — no new or changed attachments since the last run (${r.mode}, id: ${r.socialAdId || r.displayAdId}). Nothing was created.`;
+  }
+  if (r.outcome === 'updated' && r.mode === 'display') return `🔁 DISPLAY: created ${r.uploadedCount} ad(s) for new/changed sizes; unchanged sizes kept. Current set: ${Object.entries(r.displayAds).map(([k, v]) => `${k}: ${v}`).join(', ')}.`;
+  if (r.outcome === 'updated') return `🔁 Updated existing POST CAROUSEL ${r.socialAdId}: added ${r.uploadedCount} new slide(s).${describeFailedSlides(r)}`;
+  let line = '';
+  if (r.socialAdId && r.mode === 'post')          line = `✅ ${r.network} POST (social-ads + 1 slide) id: ${r.socialAdId}, paid: ${r.paid ? 'true' : 'false'}.`;
+  if (r.socialAdId && r.mode === 'post-carousel') line = `✅ ${r.network} POST CAROUSEL (social-ads) id: ${r.socialAdId}, slides uploaded: ${r.uploadedCount}.`;
+  if (r.displayAdId && r.mode === 'display')      line = Object.entries(r.displayAds).map(([k, v]) => `✅ DISPLAY ${k} (/ads) id: ${v}.`).join('\n');
+  if (r.outcome === 'replaced') line += `\n(Media changed since the last run — previous ad ${r.priorAdId} was left in place.)`;
+  if (r.mode === 'post-carousel' && r.slideOrder?.length) line += `\n${describeSlideOrder(r)}`;
+  if (r.video) line += `\nVideo: ${r.video.filename} (${describeVideo(r.video)})`;
+  return line + describeFailedSlides(r);
+}
 
-      // Slides: prefer squares → else non-display images → else everything (images only)
-      const slideSet = squareAssets.length ? squareAssets
-                        : (nonDisplayImages.length ? nonDisplayImages : attachments.filter(a => a?.name && _isImageName(a.name)));
+function describeFailedSlides(r) {
+  if (!r.failedSlides?.length) return '';
+  return `\n⚠️ ${r.failedSlides.length} slide(s) not uploaded:\n${r.failedSlides.map(f => `  - ${f.filename}: ${f.error}`).join('\n')}`;
+}
 
-      uploadedCount = await uploadSlidesToAd({
-        cardId: card.id,
-        adId: socialAdId,
-        attachments,
-        meta,
-        onlyThese: slideSet
-      });
+/** Groups whose ad was created with slides missing, as failure entries (shared by both uploaders). */
+function failedSlideErrors(results) {
+  return results.filter(r => r.failedSlides?.length).map(r => ({
+    group: r.group,
+    error: `${r.failedSlides.length} slide(s) not uploaded to ad ${r.socialAdId}: ${r.failedSlides.map(f => `${f.filename}: ${f.error}`).join('; ')}`
+  }));
+}
 
-    } else {
-      throw new Error(`Unknown mode "${mode}"`);
+function describeSlideOrder(r) {
+  const lines = [`Slide order: ${r.slideOrder.map((f, i) => `${i + 1}. ${f}`).join(' · ')}`];
+  if (r.slideOrderUnknown?.length) lines.push(`(Slide Order entries not found on the card: ${r.slideOrderUnknown.join(', ')})`);
+  return lines.join('\n');
+}
+
+function hasDryRunLabel(card) {
+  const want = normalize(ADPILER_DRY_RUN_LABEL);
+  return !!want && (card.labels || []).some(l => normalize(l?.name) === want);
+}
+
+function formatPlanComment({ attachments, mapping, campaignId, meta, copyCheck, paid, forceMode, network, page, groups, results, failures, primaryFallback }) {
+  const lines = ['🧪 AdPiler DRY RUN — nothing was uploaded.'];
+  lines.push(`Campaign: ${campaignId} (client ${mapping.clientId || '?'}, from ${mapping.source || 'defaults'})`);
+  lines.push(`Network: ${network.profile.label} (${network.source}) · page: ${page.pageName} (${page.source})`);
+  lines.push(`Paid: ${paid ? 'true' : 'false'}${forceMode ? ` · forced mode: ${forceMode}` : ''}`);
+  for (const r of results) {
+    lines.push(`${groups.length > 1 ? `[${r.group}] ` : ''}Mode: ${r.mode} → would ${r.action}`);
+    r.files.forEach((f, i) => lines.push(`  ${i + 1}. ${f}`));
+  }
+  lines.push('—');
+  lines.push(`Primary Text: ${meta.primary || '(empty)'}`);
+  lines.push(`Headline: ${meta.headline || '(empty)'}`);
+  lines.push(`Description: ${meta.description || '(empty)'}`);
+  lines.push(`CTA: ${meta.cta || '(empty)'}`);
+  lines.push(`URL: ${meta.url || '(empty)'}${meta.displayLink ? ` (display link ${meta.displayLink})` : ''}`);
+  if (meta.copySources?.length) lines.push(`Copy filled from brief: ${meta.copySources.join(', ')}`);
+
+  const warnings = [];
+  if (/^defaults/.test(mapping.source || 'defaults')) warnings.push(`Campaign came from ${mapping.source || 'defaults'}.`);
+  if (/^card title/.test(page.source)) warnings.push(`No page name in the mapping for this client; "${page.pageName}" was taken from the card title.`);
+  if (!meta.primary && results.some(r => r.mode !== 'display')) warnings.push(primaryFallback ? 'No Primary Text — the Description will be used as the message.' : 'No Primary Text — the message will be empty.');
+  if (!(attachments || []).length) warnings.push('Card has no attachments.');
+  for (const e of copyCheck.errors) warnings.push(`BLOCKING: ${e.reason}`);
+  for (const w of copyCheck.warnings) warnings.push(w.reason);
+  for (const u of results.flatMap(r => r.unmatchedDisplay || [])) warnings.push(`${u.filename} (${u.width || '?'}x${u.height || '?'}): ${u.reason}`);
+  for (const f of results.flatMap(r => r.slideOrderUnknown || [])) warnings.push(`Slide Order entry "${f}" matches no slide.`);
+  for (const v of results.flatMap(r => r.rejectedVideos || [])) warnings.push(`Video ${v.filename} would be skipped: ${v.reason}`);
+  for (const f of failures) warnings.push(`${groups.length > 1 ? `[${f.group}] ` : ''}${f.error}`);
+  if (warnings.length) {
+    lines.push('Warnings:');
+    for (const w of warnings) lines.push(`  - ${w}`);
+  }
+  return lines.join('\n');
+}
+
+/** Post the dry-run plan (describePlannedGroup results) to the card and return the job result (shared by both uploaders). */
+async function finishDryRun(card, { attachments, mapping, campaignId, meta, copyCheck, paid, forceMode, network, page, groups, results, failures, postTrelloComment }) {
+  const primaryFallback = String(USE_DESCRIPTION_AS_MESSAGE_FALLBACK).toLowerCase() !== 'false' && !!meta.description;
+  const plan = formatPlanComment({ attachments, mapping, campaignId, meta, copyCheck, paid, forceMode, network, page, groups, results, failures, primaryFallback });
+  log.info(plan);
+  if (postTrelloComment) { try { await postTrelloComment(card.id, plan); } catch {} }
+  return {
+    previewUrls: [],
+    mode: groups.length > 1 ? 'multi' : (results[0]?.mode || ''),
+    outcome: 'dry-run',
+    campaignId,
+    errors: failures,
+    plan: { campaignId, mapping, network: network.profile.key, pageName: page.pageName, meta, paid, ads: results.map(({ group, mode, action, files }) => ({ group, mode, action, files })), errors: failures }
+  };
+}
+
+/** Trello comment for finished groups (shared by both uploaders). */
+function formatResultComment({ results, failures, groups, copyCheck, meta, network, page, note = '' }) {
+  const multi = groups.length > 1;
+  const lines = note ? [note] : [];
+  if (multi) {
+    lines.push(`AdPiler: ${results.length} of ${groups.length} ad(s) for this card:`);
+    for (const r of results) {
+      lines.push(`• [${r.group}] ${describeAdResult(r)}`);
+      if (r.previewUrl) lines.push(`  ${r.previewUrl}`);
     }
-  } catch (e) {
-    console.error('Uploader error:', e.message);
-    throw e;
+    for (const f of failures) lines.push(`• [${f.group}] ❌ ${f.error}${f.fallback ? ' (retrying through the AdPiler web UI)' : ''}`);
+  } else {
+    lines.push(describeAdResult(results[0]));
+  }
+  if (copyCheck.warnings.length) {
+    lines.push('⚠️ Copy:');
+    for (const w of copyCheck.warnings) lines.push(`  - ${w.reason}`);
+  }
+  const unmatched = results.flatMap(r => r.unmatchedDisplay || []);
+  if (unmatched.length) {
+    lines.push(`⚠️ Not uploaded as display (sizes allowed: ${DISPLAY_SIZES.map(sz => sz.key).join(', ')}):`);
+    for (const u of unmatched) lines.push(`  - ${u.filename} (${u.width || '?'}x${u.height || '?'}): ${u.reason}`);
+  }
+  const rejectedVideos = results.flatMap(r => r.rejectedVideos || []);
+  if (rejectedVideos.length) {
+    lines.push('⚠️ Videos skipped:');
+    for (const v of rejectedVideos) lines.push(`  - ${v.filename}: ${v.reason}`);
   }
+  if (/^card title/.test(page.source) && results.some(r => r.socialAdId)) {
+    lines.push(`⚠️ No ${network.profile.label} page name in the client mapping — used "${page.pageName}" from the card title.`);
+  }
+  lines.push('—');
+  if (meta.primary)  lines.push(`Primary Text: ${meta.primary.substring(0,120)}${meta.primary.length>120?'…':''}`);
+  if (meta.headline) lines.push(`Headline: ${meta.headline}`);
+  if (meta.cta)      lines.push(`CTA: ${meta.cta}`);
+  if (meta.url)      lines.push(`URL: ${meta.url}`);
+  if (!multi && results[0].previewUrl) lines.push(results[0].previewUrl);
+  return lines.join('\n');
+}
+
+/** Return value of an upload: { previewUrls, adId?, displayAdId?, mode, campaignId, outcome, ads?, errors? }. */
+function summarizeResults({ results, failures, groups, campaignId }) {
+  const multi = groups.length > 1;
+  const first = results[0];
+  const firstSocial = results.find(r => r.socialAdId);
+  const firstDisplay = results.find(r => r.displayAdId);
+  const previewUrls = results.map(r => r.previewUrl).filter(Boolean);
+
+  const out = { previewUrls };
+  if (firstSocial) out.adId = firstSocial.socialAdId;
+  if (firstDisplay) out.displayAdId = firstDisplay.displayAdId;
+  out.mode = multi ? 'multi' : first.mode;
+  out.campaignId = campaignId;
+  out.outcome = results.every(r => r.outcome === 'unchanged') ? 'unchanged' : (multi ? 'created' : first.outcome);
+  if (multi) out.ads = results.map(({ group, mode, socialAdId, displayAdId, outcome, previewUrl }) => ({ group, mode, adId: socialAdId || displayAdId, outcome, previewUrl }));
+  if (multi || failures.length) out.errors = failures;
+  return out;
+}
+
+// ---------- CARD PREP (shared with upload-to-adpiler-ui.js) ----------
+/**
+ * Everything both uploaders settle before touching AdPiler: mapping (+ custom-field overrides),
+ * network and page name, validated meta, paid flag and forced mode. With `files` (the job's attachment cache),
+ * copy briefs among `attachments` fill the meta the card leaves empty.
+ * Returns { mapping, campaignId, network: { profile, source }, page: { pageName, source }, copyCheck, meta, paid, forceMode, wantsDisplayHint }.
+ */
+async function prepareCard(card, { forceMode: modeOverride = '', files = null, attachments = null } = {}) {
+  // Mapping
+  let mapping;
+  try { mapping = await getClientMapping(card.name, { listName: card.list?.name, boardName: card.board?.name }); }
+  catch (e) { log.warn(`Mapping lookup failed; using defaults. ${e.message}`); mapping = { clientId: DEFAULT_CLIENT_ID, campaignId: DEFAULT_PROJECT_ID, campaignCode: '', source: `defaults (lookup failed: ${e.message})` }; }
+  const overrides = readCardOverrides(card);
+  if (overrides.campaignId) {
+    // the mapped campaign code belongs to the mapped campaign; look the override's code up instead
+    mapping = { ...mapping, campaignId: overrides.campaignId, projectId: overrides.campaignId, campaignCode: '', source: 'card custom field "AdPiler Campaign ID"' };
+  }
+  if (overrides.folderId) mapping = { ...mapping, folderId: overrides.folderId };
+  const campaignId = mapping.campaignId || mapping.projectId || DEFAULT_PROJECT_ID;
+  if (!campaignId) throw new Error('No campaignId found (mapping "Adpiler Campaign ID" or DEFAULT_PROJECT_ID required)');
+  setContext({ campaignId });
+
+  // Network + page, then meta (validated against the network; CTA canonicalized) & paid
+  const rawMeta = await extractAdMeta(card, { files, attachments });
+  const network = chooseNetwork(card, rawMeta, overrides);
+  const page = pageNameFor(mapping, network.profile, card.name);
+  log.info(`Network: ${network.profile.label} (${network.source}); page: ${page.pageName} (${page.source})`);
+  const copyCheck = validateAdMeta(rawMeta, { profile: network.profile });
+  const meta = copyCheck.meta;
+  for (const w of copyCheck.warnings) log.warn(`Copy warning: ${w.reason}`);
+  const { paid } = decidePaid({ cardName: card.name, override: overrides.paid });
+
+  // Decide mode (force / auto)
+  const title = String(card.name || '');
+  const wantsDisplayHint = /\bdisplay\b/i.test(title) || _nameLooksDisplay(title);
+  const forceMode = (modeOverride || overrides.mode || ADPILER_FORCE_MODE || '').toLowerCase().trim(); // 'display' | 'post' | 'post-carousel'
+  if (overrides.mode && !modeOverride) log.info(`Mode from card custom field Ad Type: ${overrides.mode}`);
+  return { mapping, campaignId, network, page, copyCheck, meta, paid, forceMode, wantsDisplayHint };
+}
 
-  // Preview URL (social ads)
-  let previewUrl = '';
+/** Post the blocking copy problems to the card and throw (err.validation = the errors). */
+async function blockOnCopyErrors(card, copyCheck, postTrelloComment) {
+  const lines = ['❌ AdPiler upload blocked — please fix the ad copy, then move the card back:', ...copyCheck.errors.map(e => `  - ${e.reason}`)];
+  if (copyCheck.warnings.length) lines.push('Also check:', ...copyCheck.warnings.map(w => `  - ${w.reason}`));
+  if (postTrelloComment) { try { await postTrelloComment(card.id, lines.join('\n')); } catch {} }
+  const err = new Error(`Ad copy validation failed: ${copyCheck.errors.map(e => e.reason).join(' ')}`);
+  err.validation = copyCheck.errors;
+  throw err;
+}
+
+/** copyCheck narrowed to the planned modes: display ads carry no social copy, so only their landing page URL is checked. */
+function copyCheckFor(copyCheck, modes) {
+  if (!modes.length || modes.some(m => m !== 'display')) return copyCheck;
+  const onlyUrl = (issues) => issues.filter(i => i.field === 'url');
+  return { ...copyCheck, errors: onlyUrl(copyCheck.errors), warnings: onlyUrl(copyCheck.warnings) };
+}
+
+/** For a group that failed planning with err.validation: list what blocked it on the card. */
+async function postBlockedComment(card, err, postTrelloComment) {
+  if (!err.validation || !postTrelloComment) return;
+  const lines = ['❌ AdPiler upload blocked — nothing was created:', ...err.validation.map(u => `  - ${u.filename}: ${u.reason}`)];
+  try { await postTrelloComment(card.id, lines.join('\n')); } catch {}
+}
+
+/**
+ * Error for a multi-group card where no group went through (err.failures). When every group was blocked by
+ * validation, the blocked comment is posted and err.validation is their union, as for a single group.
+ */
+async function allGroupsFailed(card, groups, failures, postTrelloComment) {
+  const err = new Error(`All ${groups.length} ad groups failed: ${failures.map(f => `${f.group}: ${f.error}`).join('; ')}`);
+  err.failures = failures;
+  if (failures.length && failures.every(f => f.validation)) {
+    err.validation = failures.flatMap(f => f.validation);
+    await postBlockedComment(card, err, postTrelloComment);
+  }
+  return err;
+}
+
+/**
+ * Why the web UI should retry an API failure, or '' when it would fail the same way (copy and asset problems).
+ * With opts.uiFallback (ADPILER_UPLOAD_MODE=hybrid) the reason is set as `fallback` for server.js to act on.
+ */
+function fallbackReason(err) {
+  if (!err || err.validation) return '';
+  const where = err.endpoint ? ` on ${err.endpoint}` : '';
+  if (err.unsupportedType) return `the API rejected social ad type "${err.unsupportedType}"`;
+  if (err.status >= 500 && err.status !== 501) return `AdPiler API kept answering ${err.status}${where}`;
+  if ([404, 405, 501].includes(err.status)) return `the API has no such endpoint${where} (${err.status})`;
+  return '';
+}
+
+// ---------- MAIN ----------
+async function uploadToAdpiler(card, attachments, opts = {}) {
+  assertEnv();
+  // one download per attachment (copy briefs included) for the whole card, removed however the run ends
+  const files = createCardFiles(card);
   try {
-    if (socialAdId) {
-      let campaignCode = mapping.campaignCode || ADPILER_CAMPAIGN_CODE_OVERRIDE || '';
-      if (!campaignCode) campaignCode = await getCampaignCodeViaApi(campaignId);
-      if (campaignCode) previewUrl = buildPreviewUrl({ domain: ADPILER_PREVIEW_DOMAIN, campaignCode, adId: socialAdId });
-    }
-  } catch (e) { console.warn('Preview URL build warning:', e.message); }
+    return await runUpload(card, attachments, files, opts);
+  } finally {
+    files.cleanup();
+  }
+}
 
-  // Trello comment
-  if (postTrelloComment) {
-    const lines = [];
-    if (socialAdId && mode === 'post') {
-      lines.push(`✅ Social POST (social-ads + 1 slide) id: ${socialAdId}, paid: ${paid ? 'true' : 'false'}.`);
+async function runUpload(card, attachments, files, { postTrelloComment, force = false, dryRun = false, forceMode: modeOverride = '', uiFallback = false } = {}) {
+  const { mapping, campaignId, network, page, copyCheck, meta, paid, forceMode, wantsDisplayHint } = await log.time('prepare card', () => prepareCard(card, { forceMode: modeOverride, files, attachments }));
+  const ledgerOn = ledgerEnabled(force);
+  const isDryRun = !!dryRun || hasDryRunLabel(card);
+  if (isDryRun) log.info(`🧪 Dry run for card ${card.id} — no AdPiler writes.`);
+
+  const groups = groupAttachments(card, attachments, { forceMode });
+  if (!groups.length) groups.push({ key: '', label: 'main', modeHint: '', attachments: [] });
+  const multi = groups.length > 1;
+  if (multi) {
+    setContext({ mode: 'multi' });
+    log.info(`Card has ${groups.length} ad groups: ${groups.map(g => `${g.label}(${g.attachments.length})`).join(', ')}`);
+  }
+
+  const results = [];
+  const failures = [];
+  const groupFailed = async (group, e) => {
+    log.error(`Uploader error${group.key ? ` (group "${group.label}")` : ''}:`, e);
+    const fallback = uiFallback && !isDryRun ? fallbackReason(e) : '';
+    if (!multi && !isDryRun) {
+      if (fallback) e.fallback = fallback;
+      else await postBlockedComment(card, e, postTrelloComment);
+      throw e;
     }
-    if (socialAdId && mode === 'post-carousel') {
-      lines.push(`✅ Social POST CAROUSEL (social-ads) id: ${socialAdId}, slides uploaded: ${uploadedCount}.`);
+    failures.push({ group: group.label, error: e.message, ...(fallback && { fallback }), ...(e.validation && { validation: e.validation }) });
+  };
+
+  // plan every group before uploading any: whether the copy blocks the card depends on the planned modes
+  const planned = [];
+  for (const group of groups) {
+    const adName = group.key ? `${card.name} — ${group.label}` : card.name;
+    try {
+      planned.push({ group, adName, plan: await planAdGroup({ card, group, meta, network: network.profile, forceMode, titleHint: !multi && wantsDisplayHint, adName, files }) });
+    } catch (e) {
+      await groupFailed(group, e);
     }
-    if (displayAdId && mode === 'display') {
-      lines.push(`✅ DISPLAY 300x600 (/ads) id: ${displayAdId}.`);
+  }
+  const copy = copyCheckFor(copyCheck, planned.map(p => p.plan.mode));
+  if (copy.errors.length && !isDryRun) await blockOnCopyErrors(card, copy, postTrelloComment);
+
+  for (const { group, adName, plan } of planned) {
+    try {
+      results.push(await log.time(`ad group "${group.label}"`, () => uploadAdGroup({
+        card,
+        group,
+        plan,
+        campaignId,
+        meta,
+        paid,
+        network: network.profile,
+        pageName: page.pageName,
+        ledgerKey: ledgerKeyFor(card, group),
+        ledgerOn,
+        adName,
+        files,
+        dryRun: isDryRun
+      }), { group: group.label }));
+    } catch (e) {
+      await groupFailed(group, e);
     }
-    lines.push('—');
-    if (meta.primary)  lines.push(`Primary Text: ${meta.primary.substring(0,120)}${meta.primary.length>120?'…':''}`);
-    if (meta.headline) lines.push(`Headline: ${meta.headline}`);
-    if (meta.cta)      lines.push(`CTA: ${meta.cta}`);
-    if (meta.url)      lines.push(`URL: ${meta.url}`);
-    if (previewUrl)    lines.push(previewUrl);
-    try { await postTrelloComment(card.id, lines.join('\n')); } catch {}
-  }
-
-  const out = { previewUrls: previewUrl ? [previewUrl] : [] };
-  if (socialAdId) out.adId = socialAdId;
-  if (displayAdId) out.displayAdId = displayAdId;
-  out.mode = mode;
-  return out;
+  }
+
+  if (isDryRun) return finishDryRun(card, { attachments, mapping, campaignId, meta, copyCheck: copy, paid, forceMode, network, page, groups, results, failures, postTrelloComment });
+
+  if (!results.length) throw await allGroupsFailed(card, groups, failures, postTrelloComment);
+
+  // Preview URLs
+  let campaignCode = mapping.campaignCode || ADPILER_CAMPAIGN_CODE_OVERRIDE || '';
+  for (const r of results) {
+    r.previewUrl = '';
+    const id = r.socialAdId || (multi ? r.displayAdId : '');
+    if (!id) continue;
+    try {
+      if (!campaignCode) campaignCode = await getCampaignCodeViaApi(campaignId);
+      if (campaignCode) r.previewUrl = buildPreviewUrl({ domain: ADPILER_PREVIEW_DOMAIN, campaignCode, adId: id });
+    } catch (e) { log.warn('Preview URL build warning:', e.message); }
+  }
+
+  // Trello comment
+  if (postTrelloComment) {
+    try { await postTrelloComment(card.id, formatResultComment({ results, failures, groups, copyCheck: copy, meta, network, page })); } catch {}
+  }
+
+  return summarizeResults({ results, failures: [...failures, ...failedSlideErrors(results)], groups, campaignId });
 }
 
-module.exports = { uploadToAdpiler };
+module.exports = {
+  uploadToAdpiler,
+  fallbackReason,
+  // shared with upload-to-adpiler-ui.js
+  prepareCard,
+  blockOnCopyErrors,
+  copyCheckFor,
+  postBlockedComment,
+  allGroupsFailed,
+  groupAttachments,
+  planAdGroup,
+  ledgerEnabled,
+  ledgerKeyFor,
+  compareWithLedger,
+  hasDryRunLabel,
+  describePlannedGroup,
+  finishDryRun,
+  createCardFiles,
+  sortSlides,
+  slideMetaFor,
+  buildPreviewUrl,
+  formatResultComment,
+  failedSlideErrors,
+  summarizeResults
+};
@@ -0,0 +1,206 @@
+/**
+ * MP4 / MOV / M4V inspection — pure Node, reads the ISO-BMFF / QuickTime atom tree.
+ *
+ * Read from the buffer:
+ *  - duration (moov/mvhd), dimensions + rotation of the first video track (trak/tkhd)
+ *  - video codec (trak/mdia/minf/stbl/stsd sample entry), whether an audio track exists
+ *  - file size
+ *
+ * Aspect ratio maps to a placement: 1:1 and 4:5 → Feed, 9:16 → Stories/Reels, 16:9 → Feed (landscape).
+ * Anything taller than 9:16 or wider than 16:9, too small, too long/short, too big, or in a codec
+ * other than H.264/HEVC is reported as an error.
+ *
+ * Returns { ok, container, codec, width, height, durationSeconds, bytes, hasAudio, aspect, placement, errors: [], warnings: [] }.
+ *
+ * inspectVideoFile(path) runs the same checks on a file on disk, reading only the top-level atom headers
+ * and the ftyp/moov atoms — a multi-GB mdat never has to be loaded.
+ */
+
+const fs = require('fs');
+
+const CODECS = {
+  avc1: 'H.264', avc3: 'H.264',
+  hvc1: 'HEVC', hev1: 'HEVC',
+  mp4v: 'MPEG-4 Part 2',
+  apch: 'ProRes', apcn: 'ProRes', apcs: 'ProRes', apco: 'ProRes', ap4h: 'ProRes', ap4x: 'ProRes'
+};
+const SUPPORTED = new Set(['H.264', 'HEVC']);
+
+// [label, width/height, placement]
+const ASPECTS = [
+  ['9:16', 9 / 16, 'Stories/Reels'],
+  ['4:5', 4 / 5, 'Feed (vertical)'],
+  ['1:1', 1, 'Feed'],
+  ['16:9', 16 / 9, 'Feed (landscape)']
+];
+const ASPECT_TOLERANCE = 0.03;
+const STORIES_MAX_SECONDS = 60;
+const FIRST_ATOMS = new Set(['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot']); // what a movie file can start with
+const MIN_SIDE = 120;
+
+// ---------- ATOM READER ----------
+/** Child boxes in [start, end) as [{ type, start (payload), end }]. Throws on a box running past the buffer. */
+function readBoxes(buf, start = 0, end = buf.length) {
+  const out = [];
+  let p = start;
+  while (p + 8 <= end) {
+    let size = buf.readUInt32BE(p);
+    const type = buf.toString('latin1', p + 4, p + 8);
+    let header = 8;
+    if (size === 1) {
+      if (p + 16 > end) break;
+      size = Number(buf.readBigUInt64BE(p + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - p; // box runs to the end of its parent
+    }
+    if (size < header) throw new Error(`corrupt "${type}" atom`);
+    if (p + size > end) {
+      // a trailing mdat cut short still leaves a readable moov; anything else means the file is incomplete
+      if (type === 'mdat') { out.push({ type, start: p + header, end, truncated: true }); break; }
+      throw new Error(`"${type}" atom runs past the end of the file (truncated upload?)`);
+    }
+    out.push({ type, start: p + header, end: p + size });
+    p += size;
+  }
+  return out;
+}
+
+function child(buf, box, path) {
+  let cur = box;
+  for (const type of path.split('/')) {
+    cur = readBoxes(buf, cur.start, cur.end).find(b => b.type === type);
+    if (!cur) return null;
+  }
+  return cur;
+}
+
+function readMvhd(buf, box) {
+  const v = buf[box.start];
+  const timescale = buf.readUInt32BE(box.start + (v === 1 ? 20 : 12));
+  const duration = v === 1 ? Number(buf.readBigUInt64BE(box.start + 24)) : buf.readUInt32BE(box.start + 16);
+  return timescale ? duration / timescale : 0;
+}
+
+function readTkhd(buf, box) {
+  const v = buf[box.start];
+  const matrix = box.start + (v === 1 ? 52 : 40);
+  const a = buf.readInt32BE(matrix);
+  const b = buf.readInt32BE(matrix + 4);
+  const width = Math.round(buf.readUInt32BE(matrix + 36) / 65536);
+  const height = Math.round(buf.readUInt32BE(matrix + 40) / 65536);
+  const quarterTurn = a === 0 && Math.abs(b) === 65536;
+  return quarterTurn ? { width: height, height: width, rotated: true } : { width, height, rotated: false };
+}
+
+function readTrack(buf, trak) {
+  const hdlr = child(buf, trak, 'mdia/hdlr');
+  const handler = hdlr ? buf.toString('latin1', hdlr.start + 8, hdlr.start + 12) : '';
+  const stsd = child(buf, trak, 'mdia/minf/stbl/stsd');
+  const format = stsd && stsd.start + 16 <= stsd.end ? buf.toString('latin1', stsd.start + 12, stsd.start + 16) : '';
+  const tkhd = child(buf, trak, 'tkhd');
+  return { handler, format, ...(tkhd ? readTkhd(buf, tkhd) : { width: 0, height: 0, rotated: false }) };
+}
+
+function classifyAspect(width, height) {
+  if (!width || !height) return { aspect: '', placement: '' };
+  const ratio = width / height;
+  const hit = ASPECTS.find(([, r]) => Math.abs(ratio - r) / r <= ASPECT_TOLERANCE);
+  return hit ? { aspect: hit[0], placement: hit[2] } : { aspect: `${width}:${height}`, placement: '' };
+}
+
+// ---------- INSPECT ----------
+function emptyResult(bytes) {
+  return {
+    ok: false, container: '', codec: '', width: 0, height: 0, durationSeconds: 0, bytes,
+    hasAudio: false, aspect: '', placement: '', errors: [], warnings: []
+  };
+}
+
+// `bytes` overrides the size check when `buffer` holds only some atoms of a larger file (inspectVideoFile)
+function inspectVideo(buffer, { maxBytes = 0, minSeconds = 1, maxSeconds = 0, bytes = buffer.length } = {}) {
+  const res = emptyResult(bytes);
+  const firstType = buffer.length >= 8 ? buffer.toString('latin1', 4, 8) : '';
+  if (!FIRST_ATOMS.has(firstType)) { res.errors.push('Not an MP4/MOV file (no ftyp/moov header).'); return res; }
+  let top;
+  try { top = readBoxes(buffer); } catch (e) { res.errors.push(`Not a readable MP4/MOV: ${e.message}`); return res; }
+
+  const ftyp = top.find(b => b.type === 'ftyp');
+  const brand = ftyp ? buffer.toString('latin1', ftyp.start, ftyp.start + 4) : '';
+  res.container = brand === 'qt  ' ? 'mov' : (ftyp ? 'mp4' : '');
+  const moov = top.find(b => b.type === 'moov');
+  if (!moov) { res.errors.push('No "moov" atom — not an MP4/MOV file, or the upload is incomplete.'); return res; }
+
+  try {
+    const mvhd = child(buffer, moov, 'mvhd');
+    res.durationSeconds = mvhd ? Math.round(readMvhd(buffer, mvhd) * 100) / 100 : 0;
+    const tracks = readBoxes(buffer, moov.start, moov.end).filter(b => b.type === 'trak').map(t => readTrack(buffer, t));
+    const video = tracks.find(t => t.handler === 'vide');
+    res.hasAudio = tracks.some(t => t.handler === 'soun');
+    if (!video) { res.errors.push('No video track found.'); return res; }
+    res.codec = CODECS[video.format] || video.format || 'unknown';
+    res.width = video.width;
+    res.height = video.height;
+  } catch (e) {
+    res.errors.push(`Could not read the movie header: ${e.message}`);
+    return res;
+  }
+  Object.assign(res, classifyAspect(res.width, res.height));
+
+  const mb = (n) => `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (!SUPPORTED.has(res.codec)) res.errors.push(`Codec ${res.codec} is not accepted; export as H.264 (or HEVC) MP4.`);
+  if (!res.width || !res.height) res.errors.push('Video dimensions are missing from the track header.');
+  else if (Math.min(res.width, res.height) < MIN_SIDE) res.errors.push(`${res.width}x${res.height} is below the ${MIN_SIDE}px minimum.`);
+  else if (!res.placement) {
+    const ratio = res.width / res.height;
+    if (ratio < ASPECTS[0][1] * (1 - ASPECT_TOLERANCE)) res.errors.push(`${res.width}x${res.height} is taller than 9:16.`);
+    else if (ratio > ASPECTS[3][1] * (1 + ASPECT_TOLERANCE)) res.errors.push(`${res.width}x${res.height} is wider than 16:9.`);
+    else res.warnings.push(`${res.width}x${res.height} is not a standard ratio (1:1, 4:5, 9:16, 16:9); it may be cropped.`);
+  }
+  if (!res.durationSeconds) res.warnings.push('Duration is missing from the movie header.');
+  else if (res.durationSeconds < minSeconds) res.errors.push(`Video is ${res.durationSeconds}s (min ${minSeconds}s).`);
+  else if (maxSeconds && res.durationSeconds > maxSeconds) res.errors.push(`Video is ${res.durationSeconds}s (max ${maxSeconds}s).`);
+  else if (res.aspect === '9:16' && res.durationSeconds > STORIES_MAX_SECONDS) res.warnings.push(`Stories cut 9:16 video after ${STORIES_MAX_SECONDS}s (this one is ${res.durationSeconds}s).`);
+  if (maxBytes && res.bytes > maxBytes) res.errors.push(`File is ${mb(res.bytes)} (max ${mb(maxBytes)}).`);
+  if (!res.hasAudio) res.warnings.push('No audio track.');
+
+  res.ok = res.errors.length === 0;
+  return res;
+}
+
+function inspectVideoFile(file, limits = {}) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const bytes = fs.fstatSync(fd).size;
+    const head = Buffer.alloc(16);
+    const kept = [];
+    let p = 0;
+    while (p + 8 <= bytes) {
+      fs.readSync(fd, head, 0, 16, p);
+      const type = head.toString('latin1', 4, 8);
+      if (p === 0 && !FIRST_ATOMS.has(type)) return inspectVideo(head, { ...limits, bytes });
+      let size = head.readUInt32BE(0);
+      let header = 8;
+      if (size === 1) { size = Number(head.readBigUInt64BE(8)); header = 16; }
+      else if (size === 0) size = bytes - p;
+      const fail = (msg) => Object.assign(emptyResult(bytes), { errors: [`Not a readable MP4/MOV: ${msg}`] });
+      if (size < header) return fail(`corrupt "${type}" atom`);
+      if (p + size > bytes) {
+        if (type === 'mdat') break;
+        return fail(`"${type}" atom runs past the end of the file (truncated upload?)`);
+      }
+      if (type === 'ftyp' || type === 'moov') {
+        const box = Buffer.alloc(size);
+        fs.readSync(fd, box, 0, size, p);
+        kept.push(box);
+      }
+      p += size;
+    }
+    // ftyp + moov are a complete movie header on their own
+    return inspectVideo(kept.length ? Buffer.concat(kept) : head.subarray(0, Math.min(bytes, 16)), { ...limits, bytes });
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { inspectVideo, inspectVideoFile, classifyAspect, readBoxes };